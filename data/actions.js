@@ -45,5 +45,31 @@ Actions = {
             { "setFlag": "jobHunting" },
             { "showText": "You spend time asking around for work opportunities. Perhaps something will come of it." }
         ]
+    },
+
+    "lieLow": {
+        "id": "lieLow",
+        "text": "Lie low for a while",
+        "actionCost": 1,
+        "conditions": {
+            "timecopStage": "rumors"
+        },
+        "effects": [
+            { "throwOffTimecops": 8 },
+            { "showText": "You keep to routine, pay cash and avoid anything you shouldn't know how to do. Whoever is asking about you has less to ask about." }
+        ]
+    },
+
+    "letGo": {
+        "id": "letGo",
+        "text": "Let go",
+        "actionCost": 0,
+        "conditions": {
+            "inChapter": { "theEnd": "arrival" }
+        },
+        "effects": [
+            { "setMetaFlag": "witnessed_end" },
+            { "triggerJump": true }
+        ]
     }
 };
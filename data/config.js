@@ -10,10 +10,31 @@ const Config = {
     saveKeyPrefix: 'thelastjump_save_',
     autoSaveKey: 'thelastjump_autosave',
 
+    // Language settings (see data/locales.js)
+    defaultLocale: 'en',
+    fallbackLocale: 'en',       // Used for strings a locale doesn't have
+    localeKey: 'thelastjump_locale',
+
     // Starting scene
     initialStory: 'intro',
     initialChapter: 'start',
 
+    // Story entered at the start of each new universe after a jump
+    jumpStory: 'intro',
+
+    // The End - arrives at the start of its scheduled week unless averted
+    theEnd: {
+        baseWeek: 52,       // Week The End arrives in each universe
+        variance: 0,        // Random spread of +/- this many weeks (0 = fixed)
+        story: 'theEnd'     // Story entered when The End arrives
+    },
+
+    // How often a fluid Jumper's body gender is rolled: 'jump' or 'week'
+    fluidGenderRoll: 'jump',
+
+    // Random seed for new games (null = pick a fresh seed each game)
+    randomSeed: null,
+
     // Debug
     debug: false
 };
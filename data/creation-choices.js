@@ -14,6 +14,7 @@
  *   text: string - button label
  *   condition: function(game, char) - optional, whether this option is available
  *   impacts: array of impacts applied when selected (see character-creation.js)
+ *   customPronouns: true - ask the player to type in a pronoun set instead
  *
  * CreationChoiceSets group choices for different scenarios:
  *   firstJump: choices for initial player creation
@@ -32,11 +33,17 @@ const CreationChoices = {
             },
             {
                 text: 'Medium',
-                impacts: [{ stat: 'health', delta: 50 }]
+                impacts: [
+                    { stat: 'health', delta: 50 },
+                    { stat: 'strength', delta: 10 }
+                ]
             },
             {
                 text: 'High',
-                impacts: [{ stat: 'health', delta: 100 }]
+                impacts: [
+                    { stat: 'health', delta: 100 },
+                    { stat: 'strength', delta: 25 }
+                ]
             }
         ]
     },
@@ -54,12 +61,16 @@ const CreationChoices = {
             },
             {
                 text: 'Medium',
-                impacts: [{ stat: 'money', delta: 100 }]
+                impacts: [
+                    { stat: 'money', delta: 100 },
+                    { giveObject: { template: 'home', name: '@homes.flat', state: { rent: 80 } } }
+                ]
             },
             {
                 text: 'High',
                 impacts: [
                     { stat: 'money', delta: 300 },
+                    { giveObject: { template: 'home', name: '@homes.house', state: { rent: 200 } } },
                     { stat: 'health', delta: -20, probability: 0.5 }  // Wealthy but fragile
                 ]
             }
@@ -78,6 +89,19 @@ const CreationChoices = {
         ]
     },
 
+    acquaintancePronouns: {
+        id: 'acquaintancePronouns',
+        text: 'What did people call them?',
+        options: [
+            { text: 'Whatever fit their gender', impacts: [] },
+            { text: 'He/him', impacts: [{ pronouns: 'male' }] },
+            { text: 'She/her', impacts: [{ pronouns: 'female' }] },
+            { text: 'They/them', impacts: [{ pronouns: 'nonbinary' }] },
+            { text: 'Xe/xem', impacts: [{ pronouns: 'xe' }] },
+            { text: 'Something else', customPronouns: true }
+        ]
+    },
+
     acquaintanceRelationship: {
         id: 'acquaintanceRelationship',
         text: (game, char) => {
@@ -94,5 +118,5 @@ const CreationChoices = {
 // Standard choice sets for different scenarios
 const CreationChoiceSets = {
     firstJump: ['combatCapability', 'affluence'],
-    rememberAcquaintance: ['acquaintanceGender', 'acquaintanceRelationship']
+    rememberAcquaintance: ['acquaintanceGender', 'acquaintancePronouns', 'acquaintanceRelationship']
 };
@@ -0,0 +1,68 @@
+/* The Last Jump - Endings Data
+ * JS-wrapped JSON format for local file:// compatibility (browsers block fetch for local files)
+ *
+ * When the End week is reached, the highest-priority ending whose conditions
+ * pass concludes the game. See docs/endings.md.
+ */
+
+Endings = {
+    "findPeace": {
+        "id": "findPeace",
+        "title": "Rest",
+        "priority": 20,
+        "conditions": { "endAverted": true, "hasAspiration": "find_peace" },
+        "text": "The week The End should have come, nothing happens. Then nothing happens the next week, and the one after that.\n\nSomewhere in the second month you stop counting.",
+        "epilogue": [
+            "You take a small apartment with a window that gets the morning sun. You learn the names of the neighbours' children. None of them will ever know what you did for them, and that is exactly right.",
+            "Years later you realise you have not thought about jumping in a very long time. The pull is gone. There is only this life, and it is enough."
+        ]
+    },
+
+    "rebuildFamily": {
+        "id": "rebuildFamily",
+        "title": "What Was Lost",
+        "priority": 20,
+        "conditions": { "endAverted": true, "hasAspiration": "rebuild_family" },
+        "text": "The sky keeps its color. For the first time in more lives than you can count, tomorrow is a promise instead of a guess.",
+        "epilogue": [
+            "The faces are different from the ones you remember, and the names are wrong. It doesn't matter. You set an extra place at the table anyway, and one evening somebody sits in it.",
+            "It is not the family you lost. It is the one you built, in the only universe that got to keep going."
+        ]
+    },
+
+    "understandEnd": {
+        "id": "understandEnd",
+        "title": "The Truth",
+        "priority": 20,
+        "conditions": { "endAverted": true, "hasAspiration": "understand_end" },
+        "text": "The End does not come, and in its absence you can finally see the shape of the thing that was supposed to happen: not a catastrophe, but a schedule.",
+        "epilogue": [
+            "You spend years pulling at the thread. The timecops were never guarding the universe. They were guarding the timetable, and someone, somewhere, set it.",
+            "You don't find out who. Not in this life. But for once there will be a next week to keep looking in."
+        ]
+    },
+
+    "saveEveryone": {
+        "id": "saveEveryone",
+        "title": "Everyone",
+        "priority": 30,
+        "conditions": { "endAverted": true, "hasAspiration": "save_everyone" },
+        "text": "The End passes this universe by. Billions of people wake up the next morning, and not one of them knows how close it was.",
+        "epilogue": [
+            "You know it wasn't really everyone. There were all the other universes, all the other lives. But it was everyone here, and here is where you are.",
+            "You keep helping where you can. Old habits. The difference now is that the people you save get to stay saved."
+        ]
+    },
+
+    "averted": {
+        "id": "averted",
+        "title": "After",
+        "priority": 0,
+        "conditions": { "endAverted": true },
+        "text": "The week of The End comes and goes. The world does not notice that it was supposed to stop.",
+        "epilogue": [
+            "You are not sure what you hoped would happen after. You had never planned that far; it had never been necessary.",
+            "So you live. One ordinary day at a time, in a universe that has finally been allowed to keep going."
+        ]
+    }
+};
@@ -13,5 +13,88 @@ Events = {
         },
         "handler": "processRentPayments",
         "onSuperseded": "reschedule"
+    },
+
+    // Timecop investigation (see docs/timecops.md): each stage's event
+    // outranks the last, and only fires while that stage is the furthest reached
+    "timecopRumors": {
+        "id": "timecopRumors",
+        "priority": 40,
+        "probability": 0.3,
+        "conditions": {
+            "timecopStage": "rumors",
+            "not": { "timecopStage": "surveillance" }
+        },
+        "text": "A neighbour mentions that someone came by asking about you. They didn't leave a name, and nobody can quite remember their face."
+    },
+
+    "timecopSurveillance": {
+        "id": "timecopSurveillance",
+        "priority": 70,
+        "probability": 0.5,
+        "conditions": {
+            "timecopStage": "surveillance",
+            "not": { "timecopStage": "confrontation" }
+        },
+        "text": "The same grey coat has been behind you on three different streets today.",
+        "choices": [
+            {
+                "text": "Lose the tail",
+                "abilityCheck": "sneak_past",
+                "deepMemoryTraces": { "timecop_suspicion": 10 },
+                "onSuccess": {
+                    "text": "You slip through a crowded market and out the back of a bakery. The grey coat doesn't follow.",
+                    "effects": [{ "throwOffTimecops": 15 }]
+                },
+                "onFailure": {
+                    "text": "Every turn you take, the grey coat is already there. Now they know you know.",
+                    "effects": [{ "addTrace": ["timecop_suspicion", 5] }]
+                }
+            },
+            { "text": "Pretend you haven't noticed", "action": "dismiss" }
+        ]
+    },
+
+    "timecopConfrontation": {
+        "id": "timecopConfrontation",
+        "priority": 95,
+        "probability": 0.8,
+        "conditions": { "timecopStage": "confrontation" },
+        "text": "A woman in a grey coat sits down across from you. \"You're running late for your own ending,\" she says. \"Let's talk about why.\"",
+        "choices": [
+            {
+                "text": "Talk your way out",
+                "abilityCheck": "fast_talk",
+                "deepMemoryTraces": { "timecop_suspicion": 15 },
+                "onCrushingSuccess": {
+                    "text": "By the time you finish she is apologising for the mix-up.",
+                    "effects": [{ "throwOffTimecops": 60 }]
+                },
+                "onSuccess": {
+                    "text": "She isn't convinced, but she isn't sure either. She leaves you her untouched coffee.",
+                    "effects": [{ "throwOffTimecops": 40 }]
+                },
+                "onFailure": {
+                    "text": "She smiles at every lie as if she has heard it in a hundred other lives.",
+                    "effects": [{ "addTrace": ["timecop_suspicion", 10] }]
+                }
+            },
+            {
+                "text": "Make a run for it",
+                "abilityCheck": "sneak_past",
+                "deepMemoryTraces": { "timecop_suspicion": 15 },
+                "onSuccess": {
+                    "text": "You are out of the door and gone before she finishes standing up.",
+                    "effects": [{ "throwOffTimecops": 30 }]
+                },
+                "onFailure": {
+                    "text": "You don't get far. The bruises will fade; her interest won't.",
+                    "effects": [
+                        { "modifyStat": ["health", -15] },
+                        { "addTrace": ["timecop_suspicion", 5] }
+                    ]
+                }
+            }
+        ]
     }
 };
@@ -3,17 +3,39 @@
  *
  * This includes:
  *   - Core gender options
+ *   - Pronoun options
  *   - Attraction preferences
  *   - Aspirations (unlock content/endings)
  *   - Well-trod strategies (gate deep skill selection)
  */
 
 // Gender options for core Jumper identity
+// Each new body takes the core gender, except for fluid Jumpers, whose body
+// gender is rolled from bodyGenders (each jump, or each week; see Config.fluidGenderRoll)
 const JumperGenderOptions = {
     male: { id: 'male', title: 'Male', pronoun: 'he' },
     female: { id: 'female', title: 'Female', pronoun: 'she' },
     nonbinary: { id: 'nonbinary', title: 'Non-binary', pronoun: 'they' },
-    fluid: { id: 'fluid', title: 'Fluid', pronoun: 'they' }
+    fluid: { id: 'fluid', title: 'Fluid', pronoun: 'they', bodyGenders: ['male', 'female', 'nonbinary'] }
+};
+
+// Valid core genders: the body genders, plus fluid, which no body has
+const CoreGenders = Object.keys(JumperGenderOptions);
+
+// Pronoun options for core Jumper identity
+// pronouns names a table in TextInterpolation.pronouns; null follows the core gender
+// custom asks the player for every form (see Game.showPronounEntry)
+const JumperPronounOptions = {
+    gender: { id: 'gender', title: 'Whatever fits my gender', pronouns: null },
+    he: { id: 'he', title: 'He/him', pronouns: 'male' },
+    she: { id: 'she', title: 'She/her', pronouns: 'female' },
+    they: { id: 'they', title: 'They/them', pronouns: 'nonbinary' },
+    xe: { id: 'xe', title: 'Xe/xem', pronouns: 'xe' },
+    ze: { id: 'ze', title: 'Ze/hir', pronouns: 'ze' },
+    fae: { id: 'fae', title: 'Fae/faer', pronouns: 'fae' },
+    ey: { id: 'ey', title: 'Ey/em', pronouns: 'ey' },
+    it: { id: 'it', title: 'It/its', pronouns: 'it' },
+    custom: { id: 'custom', title: 'Something else', custom: true }
 };
 
 // Attraction options (multi-select)
@@ -24,7 +46,7 @@ const JumperAttractionOptions = {
 };
 
 // Aspirations - what the Jumper hopes for if they ever avert The End
-// These unlock specific storylines and ending variations
+// These unlock specific storylines and ending variations (hasAspiration, data/endings.js)
 const JumperAspirations = {
     find_peace: {
         id: 'find_peace',
@@ -0,0 +1,402 @@
+/* The Last Jump - Locales - by FrigOfFury
+ * String tables for player-facing text, one per locale.
+ * See docs/localization.md for full documentation.
+ *
+ * Each locale has:
+ *   name         - shown in the language picker, in its own language
+ *   numberLocale - BCP 47 tag for number formatting and plural rules
+ *   currency     - ISO 4217 code for money
+ *   pronouns     - pronoun tables for TextInterpolation, by gender or set name
+ *                  (missing sets fall back to TextInterpolation.pronouns)
+ *   verbs        - this language's forms for verb pairs written in content,
+ *                  keyed 'plural/singular' (pairs not listed are used as written)
+ *   strings      - text by string ID; plural text is an object keyed by
+ *                  Intl.PluralRules category (one, few, many, other, ...)
+ *
+ * Strings missing from a locale fall back to Config.fallbackLocale.
+ */
+
+const Locales = {
+    en: {
+        name: 'English',
+        numberLocale: 'en-US',
+        currency: 'USD',
+        strings: {
+            // Shared buttons
+            'common.continue': 'Continue',
+            'common.cancel': 'Cancel',
+            'common.back': 'Back',
+
+            // Time units (Config.timeUnit), alone and counted
+            'units.week': 'week',
+            'units.weekCount': { one: '{count} week', other: '{count} weeks' },
+
+            // Relative save times
+            'time.justNow': 'just now',
+            'time.minutesAgo': { one: '{count} minute ago', other: '{count} minutes ago' },
+            'time.hoursAgo': { one: '{count} hour ago', other: '{count} hours ago' },
+            'time.daysAgo': { one: '{count} day ago', other: '{count} days ago' },
+
+            // Startup screen and save slots
+            'startup.newGame': 'New Game',
+            'startup.continue': 'Continue',
+            'saves.empty': 'Empty',
+            'saves.autosave': 'Autosave',
+            'saves.slot': 'Slot {slot}',
+            'saves.week': 'Week {week}',
+            'saves.saveTitle': 'Save Game',
+            'saves.loadTitle': 'Load Game',
+
+            // System menu
+            'menu.title': 'Menu',
+            'menu.save': 'Save Game',
+            'menu.load': 'Load Game',
+            'menu.pastLives': 'Past Lives',
+            'menu.language': 'Language',
+            'menu.exportJournal': 'Export Journal',
+            'menu.resume': 'Resume',
+            'pastLives.title': 'Past Lives',
+            'pastLives.none': 'This is the first life you remember.',
+            'weekEnd.title': 'Week {week}',
+            'weekEnd.autosaved': 'Your progress has been autosaved.',
+            'weekEnd.saveToSlot': 'Save to Slot',
+
+            // Homes (given by the affluence creation choice) and their rent
+            'homes.flat': 'your flat',
+            'homes.house': 'your house',
+            'rent.paid': 'Paid {rent} rent for {home}.',
+            'rent.evicted': 'Evicted from {home}—couldn\'t afford {rent} rent.',
+
+            // HUD and options
+            'hud.time': '{unit} {week}',
+            'hud.actions': 'Actions: {remaining}/{total}',
+            'stats.health': 'Health',
+            'stats.money': 'Money',
+            'stats.timecop_suspicion': 'Timecop Suspicion',
+            'stats.deepskill_use': 'Deep Skill Residue',
+            'stats.strength': 'Strength',
+            'options.endPeriod': 'End {unit}',
+            'options.cost': { one: '[{count} action]', other: '[{count} actions]' },
+            'lifeSummary.title': 'A Life Ends',
+            'ending.newGame': 'Begin a new game',
+
+            // Life cards (Game.describeLife)
+            'life.title': 'Universe {universe}: {name}',
+            'life.lived': 'Lived to {unit} {weeks}.',
+            'life.stats': 'Final stats: {stats}.',
+            'life.completed': 'Completed: {titles}.',
+            'life.failed': 'Failed: {titles}.',
+            'life.relationship': '{name} ({type})',
+            'life.relationships': 'Relationships: {people}.',
+            'life.ending': 'Ending: {title}.',
+            'life.deepSkills': 'Carried on as deep skills: {skills}.',
+            'life.averted': 'The End was averted.',
+            'life.arrived': 'The End arrived in {unit} {week}{moved}.',
+            'life.left': 'Left with {span} until The End{moved}.',
+            'life.later': ', {span} later than scheduled',
+            'life.early': ', {span} early',
+
+            // Skills (skills.<id> names a skill; SkillDefinitions titles otherwise)
+            'skillUp.improved': 'Your {skill} skill improved to {value}.',
+
+            // Ability check odds (AbilityChecker.describeOdds)
+            'odds.display': '{percent}% ({label})',
+            'odds.veryLikely': 'very likely',
+            'odds.likely': 'likely',
+            'odds.possible': 'possible',
+            'odds.unlikely': 'unlikely',
+            'odds.veryUnlikely': 'very unlikely',
+            'odds.unknown': 'unknown',
+
+            // Deep memory prompt
+            'deepMemory.prompt': 'You could reach back into a past life for this. Deep memory makes success more likely, but it can leave traces.',
+            'deepMemory.rely': 'Rely on this life',
+            'deepMemory.draw': 'Draw on deep memory',
+            'deepMemory.odds': 'Odds: {odds}',
+            'deepMemory.specialty': 'A specialty from a past life.',
+            'deepMemory.general': 'General past-life experience.',
+            'deepMemory.traces': 'Leaves traces: {traces}',
+            'deepMemory.noTraces': 'Leaves no known traces.',
+
+            // Pursuit panel
+            'pursuits.title': 'Weekly Pursuits',
+            'pursuits.confirm': 'Start Week',
+            'pursuits.active': 'Active ({hours}h/week)',
+            'pursuits.enable': 'Enable ({hours}h/week)',
+            'pursuits.option': '{title} ({hours}h)',
+            'pursuits.whenActive': '({hours}h when active)',
+            'pursuits.hours': 'Pursuit Hours: {hours}/{free} free',
+            'pursuits.actions': 'Actions This Week: {count}',
+            'pursuits.bonus': '(+{percent}% chance of extra)',
+
+            // Jumper creation
+            'jumper.gender.title': 'Who Are You?',
+            'jumper.gender.prompt': 'Across countless iterations, through every identity you\'ve worn, who are you at your core?',
+            'jumper.pronouns.title': 'What Do They Call You?',
+            'jumper.pronouns.prompt': 'And when the people who know you speak of you, what do they call you?',
+            'jumper.pronouns.customPrompt': 'Tell me the words they use, each in its place.',
+            'jumper.attraction.title': 'Who Do You Love?',
+            'jumper.attraction.prompt': 'Who captures your heart? Select all that apply.',
+            'jumper.aspiration.title': 'What Do You Hope For?',
+            'jumper.aspiration.prompt': 'If you ever do avert The End for good... what do you hope for?',
+            'jumper.strategy1.title': 'Your First Well-Trod Path',
+            'jumper.strategy1.prompt': 'Over countless iterations, you\'ve developed expertise. What approach have you focused on?',
+            'jumper.skills1.title': 'Skills From Your Path',
+            'jumper.strategy2.title': 'Your Second Well-Trod Path',
+            'jumper.strategy2.prompt': 'And what other approach have you refined over the iterations? You may double down on the same path.',
+            'jumper.skills2.title': 'More Skills From Your Path',
+            'jumper.personal.title': 'A Personal Interest',
+            'jumper.skills.prompt': {
+                one: 'From your time as {strategy}, which skills became second nature? You have {count} point to spend.',
+                other: 'From your time as {strategy}, which skills became second nature? You have {count} points to spend.'
+            },
+            'jumper.personal.prompt': {
+                one: 'Beyond your practiced approaches, what personal interest have you cultivated? You have {count} point to spend.',
+                other: 'Beyond your practiced approaches, what personal interest have you cultivated? You have {count} points to spend.'
+            },
+            'jumper.skillCost': { one: '{title} ({count} pt)', other: '{title} ({count} pts)' },
+            'jumper.pointsSpent': 'Points: {spent}/{budget} spent',
+
+            // Custom pronoun form (Game.showPronounEntry)
+            'pronouns.title': 'Pronouns',
+            'pronouns.subject': 'Subject (they are here)',
+            'pronouns.object': 'Object (I saw them)',
+            'pronouns.possessive': 'Possessive (their book)',
+            'pronouns.possessivePronoun': 'Possessive pronoun (the book is theirs)',
+            'pronouns.reflexive': 'Reflexive (they did it themself)',
+            'pronouns.number': 'Verbs',
+            'pronouns.singular': 'Singular (xe runs)',
+            'pronouns.plural': 'Plural (they run)',
+            'pronouns.submit': 'Use these',
+            'pronouns.incomplete': 'Fill in every form.',
+
+            // Terminal frontend (tools/terminal-renderer.js)
+            'terminal.unavailable': '(unavailable)',
+            'terminal.active': 'active ({hours}h/week)',
+            'terminal.on': 'on ({hours}h/week)',
+            'terminal.off': 'off ({hours}h/week)',
+            'terminal.none': 'none',
+            'terminal.number': '{value} ({min}-{max}, {hours}h when active)',
+            'terminal.overBudget': '(over budget)',
+            'terminal.help': 'Type the number of an option to pick it.\nCommands: save <slot>, load <slot>, saves, lives, journal [file], language [id], help, quit',
+            'terminal.pursuitPrompt': 'Pick a pursuit to change it, or press Enter to start the week.',
+            'terminal.noPursuit': 'No such pursuit.',
+            'terminal.optionPrompt': 'Option',
+            'terminal.unchanged': 'Unchanged: {setting}',
+            'terminal.pursuitByActions': '{title} is changed through actions, not here.',
+            'terminal.saveSlots': 'Save to a slot from 0 to {last}.',
+            'terminal.saved': 'Saved to slot {slot}.',
+            'terminal.nothingToLoad': 'Nothing to load in slot "{slot}".',
+            'terminal.journalWritten': 'Journal written to {file}.',
+            'terminal.optionUnavailable': 'That option is not available.',
+            'terminal.unknownCommand': 'Unknown command "{command}". Type "help" for commands.'
+        }
+    },
+
+    // Partial: anything not listed here is shown in English
+    es: {
+        name: 'Español',
+        numberLocale: 'es-ES',
+        currency: 'USD',
+        pronouns: {
+            male: { subject: 'él', object: 'lo', possessive: 'su', possessivePronoun: 'suyo', reflexive: 'se', number: 'singular' },
+            female: { subject: 'ella', object: 'la', possessive: 'su', possessivePronoun: 'suya', reflexive: 'se', number: 'singular' },
+            nonbinary: { subject: 'elle', object: 'le', possessive: 'su', possessivePronoun: 'suye', reflexive: 'se', number: 'singular' },
+            fluid: { subject: 'elle', object: 'le', possessive: 'su', possessivePronoun: 'suye', reflexive: 'se', number: 'singular' }
+        },
+        verbs: {
+            'are/is': 'son/es',
+            'were/was': 'eran/era',
+            'have/has': 'tienen/tiene'
+        },
+        strings: {
+            'common.continue': 'Continuar',
+            'common.cancel': 'Cancelar',
+            'common.back': 'Volver',
+
+            'units.week': 'semana',
+            'units.weekCount': { one: '{count} semana', other: '{count} semanas' },
+
+            'time.justNow': 'ahora mismo',
+            'time.minutesAgo': { one: 'hace {count} minuto', other: 'hace {count} minutos' },
+            'time.hoursAgo': { one: 'hace {count} hora', other: 'hace {count} horas' },
+            'time.daysAgo': { one: 'hace {count} día', other: 'hace {count} días' },
+
+            'startup.newGame': 'Nueva partida',
+            'startup.continue': 'Continuar',
+            'saves.empty': 'Vacío',
+            'saves.autosave': 'Autoguardado',
+            'saves.slot': 'Ranura {slot}',
+            'saves.week': 'Semana {week}',
+            'saves.saveTitle': 'Guardar partida',
+            'saves.loadTitle': 'Cargar partida',
+
+            'menu.title': 'Menú',
+            'menu.save': 'Guardar partida',
+            'menu.load': 'Cargar partida',
+            'menu.pastLives': 'Vidas pasadas',
+            'menu.language': 'Idioma',
+            'menu.exportJournal': 'Exportar diario',
+            'menu.resume': 'Reanudar',
+            'pastLives.title': 'Vidas pasadas',
+            'pastLives.none': 'Esta es la primera vida que recuerdas.',
+            'weekEnd.title': 'Semana {week}',
+            'weekEnd.autosaved': 'Tu progreso se ha guardado automáticamente.',
+            'weekEnd.saveToSlot': 'Guardar en ranura',
+
+            'homes.flat': 'tu piso',
+            'homes.house': 'tu casa',
+            'rent.paid': 'Pagaste {rent} de alquiler por {home}.',
+            'rent.evicted': 'Te desahuciaron de {home}: no pudiste pagar {rent} de alquiler.',
+
+            'hud.time': '{unit} {week}',
+            'hud.actions': 'Acciones: {remaining}/{total}',
+            'stats.health': 'Salud',
+            'stats.money': 'Dinero',
+            'stats.timecop_suspicion': 'Sospecha de la policía temporal',
+            'stats.deepskill_use': 'Residuo de habilidades profundas',
+            'stats.strength': 'Fuerza',
+            'options.endPeriod': 'Terminar {unit}',
+            'options.cost': { one: '[{count} acción]', other: '[{count} acciones]' },
+            'lifeSummary.title': 'Una vida termina',
+            'ending.newGame': 'Empezar una nueva partida',
+
+            'life.title': 'Universo {universe}: {name}',
+            'life.lived': 'Vivió hasta la {unit} {weeks}.',
+            'life.stats': 'Estadísticas finales: {stats}.',
+            'life.completed': 'Logrado: {titles}.',
+            'life.failed': 'Fallado: {titles}.',
+            'life.relationships': 'Relaciones: {people}.',
+            'life.ending': 'Final: {title}.',
+            'life.deepSkills': 'Pasaron a ser habilidades profundas: {skills}.',
+            'life.averted': 'El Fin se evitó.',
+            'life.arrived': 'El Fin llegó en la {unit} {week}{moved}.',
+            'life.left': 'Quedaban {span} para el Fin{moved}.',
+            'life.later': ', {span} más tarde de lo previsto',
+            'life.early': ', {span} antes de lo previsto',
+
+            'odds.display': '{percent} % ({label})',
+            'odds.veryLikely': 'muy probable',
+            'odds.likely': 'probable',
+            'odds.possible': 'posible',
+            'odds.unlikely': 'improbable',
+            'odds.veryUnlikely': 'muy improbable',
+            'odds.unknown': 'desconocida',
+
+            'skillUp.improved': 'Tu habilidad de {skill} subió a {value}.',
+            'skills.athletics': 'Atletismo',
+            'skills.stealth': 'Sigilo',
+            'skills.melee': 'Cuerpo a cuerpo',
+            'skills.firearms': 'Armas de fuego',
+            'skills.projectiles': 'Proyectiles',
+            'skills.persuasion': 'Persuasión',
+            'skills.deception': 'Engaño',
+            'skills.intimidation': 'Intimidación',
+            'skills.empathy': 'Empatía',
+            'skills.computers': 'Informática',
+            'skills.mechanics': 'Mecánica',
+            'skills.electronics': 'Electrónica',
+            'skills.treatment': 'Tratamiento médico',
+            'skills.driving': 'Conducción',
+            'skills.piloting': 'Pilotaje',
+            'skills.calculation': 'Cálculo',
+            'skills.analysis': 'Análisis',
+            'skills.art': 'Arte',
+            'skills.jumper_awareness': 'Conciencia de saltador',
+            'skills.unarmed': 'Sin armas',
+            'skills.blades': 'Armas blancas',
+            'skills.sleight_of_hand': 'Prestidigitación',
+            'skills.shadowing': 'Seguimiento',
+            'skills.parkour': 'Parkour',
+            'skills.swimming': 'Natación',
+            'skills.dancing': 'Baile',
+            'skills.walking_in_heels': 'Andar con tacones',
+            'skills.yoga': 'Yoga',
+            'skills.horse_riding': 'Equitación',
+            'skills.throwing': 'Lanzamiento',
+            'skills.contract_negotiation': 'Negociación de contratos',
+            'skills.comedy': 'Comedia',
+            'skills.seduction': 'Seducción',
+            'skills.storytelling': 'Narración',
+            'skills.public_speaking': 'Hablar en público',
+            'skills.disguise': 'Disfraz',
+            'skills.cosmetics': 'Cosmética',
+            'skills.fashion': 'Moda',
+            'skills.poker': 'Póquer',
+            'skills.cold_reading': 'Lectura en frío',
+            'skills.singing': 'Canto',
+            'skills.animal_handling': 'Trato con animales',
+            'skills.hacking': 'Hackeo',
+            'skills.document_forgery': 'Falsificación de documentos',
+            'skills.typing': 'Mecanografía',
+            'skills.long_nail_typing': 'Mecanografía con uñas largas',
+            'skills.lockpicking': 'Forzar cerraduras',
+            'skills.handyman': 'Bricolaje',
+            'skills.sewing': 'Costura',
+            'skills.security_systems': 'Sistemas de seguridad',
+            'skills.first_aid': 'Primeros auxilios',
+            'skills.surgery': 'Cirugía',
+            'skills.massage': 'Masaje',
+            'skills.cooking': 'Cocina',
+            'skills.forensics': 'Ciencia forense',
+            'skills.gardening': 'Jardinería',
+            'skills.drawing': 'Dibujo',
+            'skills.photography': 'Fotografía',
+            'skills.calligraphy': 'Caligrafía',
+            'skills.neat_handwriting': 'Letra pulcra',
+            'skills.cute_handwriting': 'Letra bonita',
+            'skills.deep_integration': 'Integración profunda',
+            'skills.controlled_recall': 'Recuerdo controlado',
+
+            'deepMemory.prompt': 'Podrías buscar esto en una vida pasada. La memoria profunda hace más probable el éxito, pero puede dejar rastros.',
+            'deepMemory.rely': 'Confiar en esta vida',
+            'deepMemory.draw': 'Recurrir a la memoria profunda',
+            'deepMemory.odds': 'Probabilidad: {odds}',
+            'deepMemory.specialty': 'Una especialidad de una vida pasada.',
+            'deepMemory.general': 'Experiencia general de vidas pasadas.',
+            'deepMemory.traces': 'Deja rastros: {traces}',
+            'deepMemory.noTraces': 'No deja rastros conocidos.',
+
+            'pursuits.title': 'Ocupaciones semanales',
+            'pursuits.confirm': 'Empezar la semana',
+            'pursuits.active': 'Activa ({hours} h/semana)',
+            'pursuits.enable': 'Activar ({hours} h/semana)',
+            'pursuits.option': '{title} ({hours} h)',
+            'pursuits.whenActive': '({hours} h si está activa)',
+            'pursuits.hours': 'Horas de ocupaciones: {hours}/{free} libres',
+            'pursuits.actions': 'Acciones esta semana: {count}',
+            'pursuits.bonus': '(+{percent} % de probabilidad de una más)',
+
+            'jumper.gender.prompt': 'A través de incontables iteraciones, bajo cada identidad que has llevado, ¿quién eres en el fondo?',
+            'jumper.pronouns.prompt': 'Y cuando quienes te conocen hablan de ti, ¿cómo te llaman?',
+            'jumper.attraction.prompt': '¿Quién te roba el corazón? Elige todas las que correspondan.',
+            'jumper.skillCost': { one: '{title} ({count} pt)', other: '{title} ({count} pts)' },
+            'jumper.pointsSpent': 'Puntos: {spent}/{budget} gastados',
+
+            'pronouns.title': 'Pronombres',
+            'pronouns.number': 'Verbos',
+            'pronouns.submit': 'Usar estos',
+            'pronouns.incomplete': 'Rellena todas las formas.',
+
+            'terminal.unavailable': '(no disponible)',
+            'terminal.active': 'activa ({hours} h/semana)',
+            'terminal.on': 'sí ({hours} h/semana)',
+            'terminal.off': 'no ({hours} h/semana)',
+            'terminal.none': 'ninguna',
+            'terminal.number': '{value} ({min}-{max}, {hours} h si está activa)',
+            'terminal.overBudget': '(excede el presupuesto)',
+            'terminal.help': 'Escribe el número de una opción para elegirla.\nComandos: save <ranura>, load <ranura>, saves, lives, journal [archivo], language [id], help, quit',
+            'terminal.pursuitPrompt': 'Elige una ocupación para cambiarla, o pulsa Intro para empezar la semana.',
+            'terminal.noPursuit': 'No existe esa ocupación.',
+            'terminal.optionPrompt': 'Opción',
+            'terminal.unchanged': 'Sin cambios: {setting}',
+            'terminal.pursuitByActions': '{title} se cambia con acciones, no aquí.',
+            'terminal.saveSlots': 'Guarda en una ranura de 0 a {last}.',
+            'terminal.saved': 'Guardado en la ranura {slot}.',
+            'terminal.nothingToLoad': 'No hay nada que cargar en la ranura "{slot}".',
+            'terminal.journalWritten': 'Diario escrito en {file}.',
+            'terminal.optionUnavailable': 'Esa opción no está disponible.',
+            'terminal.unknownCommand': 'Comando desconocido "{command}". Escribe "help" para ver los comandos.'
+        }
+    }
+};
@@ -105,3 +105,25 @@ const SkillDefinitions = {
     deep_integration: { type: 'specific', parent: 'jumper_awareness', title: 'Deep Integration' },
     controlled_recall: { type: 'specific', parent: 'jumper_awareness', title: 'Controlled Recall' }
 };
+
+// Practice-based improvement: checks and pursuits grant XP toward the next point
+const SkillProgression = {
+    // XP for attempting a check, by outcome (near misses teach the most)
+    checkXp: { crushingSuccess: 2, success: 3, failure: 4, crushingFailure: 2 },
+
+    // XP for a week of practice ({ gainSkillXp: 'skill' } without an amount)
+    weeklyPracticeXp: 5,
+
+    // XP for the first point of a skill, by skill type
+    xpPerPoint: { general: 20, specific: 10 },
+
+    // Each point already held makes the next one cost this much more (0.05 = +5%)
+    costGrowth: 0.05,
+
+    // Share of specific-skill XP that also trains its parent general skill
+    parentShare: 0.5,
+
+    // Points a skill must hold itself (not through its parent) by the end of a
+    // life for the Jumper to keep it as a deep skill
+    masteryThreshold: 60
+};
@@ -1,11 +1,38 @@
 /* The Last Jump - Stat Definitions - by FrigOfFury */
 
 // Define stats and their defaults here
+// format: 'currency' shows the value as money in the HUD (see Localization.formatValue)
 const StatDefinitions = {
     health: { displayName: 'Health', default: 50, min: 0, max: 200 },
-    money: { displayName: 'Money', default: 50, min: 0, max: null }
+    money: { displayName: 'Money', default: 50, min: 0, max: null, format: 'currency' },
+    // Set by combat capability at creation; a bonus to physical checks (athletic_leap, unarmed_defense)
+    strength: { displayName: 'Strength', default: 0, min: 0, max: 100 },
+
+    // Traces (see TraceDefinitions below)
+    timecop_suspicion: { displayName: 'Timecop Suspicion', default: 0, min: 0, max: 100 },
+    deepskill_use: { displayName: 'Deep Skill Residue', default: 0, min: 0, max: 100 }
     // Add more stats as needed
 };
 
 // Which stats show in the sidebar
 const DisplayedStats = ['health', 'money'];
+
+// Traces: stats that record the risks of deep memory (see docs/skills.md)
+//   scope: 'universe' (reset by a jump) or 'persistent' (follows the Jumper)
+//   decay: weekly decay - { linear: points } or { exponential: fraction }
+//   levels: named thresholds for the traceLevel condition, lowest first
+const TraceDefinitions = {
+    // Timecops watch the Jumper, not the body: suspicion carries into new lives
+    timecop_suspicion: {
+        scope: 'persistent',
+        decay: { linear: 1 },
+        levels: { noticed: 20, watched: 50, hunted: 80 }
+    },
+
+    // Neural residue in this brain; fades fast, and a new body starts clean
+    deepskill_use: {
+        scope: 'universe',
+        decay: { exponential: 0.1 },
+        levels: { detectable: 15, obvious: 50 }
+    }
+};
@@ -24,5 +24,16 @@ Stories = {
                 "showText": "onEnter"
             }
         }
+    },
+
+    "theEnd": {
+        "title": "The End",
+        "initialChapter": "arrival",
+        "chapters": {
+            "arrival": {
+                "text": "It begins the way it always begins: a wrongness at the edge of things, a silence where the world's noise should be. Then the sky forgets what color it was.\n\nThe End has come to this universe, as it came to all the others. Everything you built here—every name, every promise—comes apart like wet paper.\n\nYou feel the familiar pull. Somewhere, another life is waiting.",
+                "showText": "onEnter"
+            }
+        }
     }
 };
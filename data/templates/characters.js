@@ -4,7 +4,7 @@ const CharacterTemplates = {
     human: {
         stats: {},  // Uses StatDefinitions defaults
         traits: [],
-        gender: null  // Set during creation: 'male', 'female', 'nonbinary'
+        gender: null  // Set during creation: one of Genders
     },
     player: {
         extends: 'human'
@@ -12,5 +12,6 @@ const CharacterTemplates = {
     // Add character types as needed: werewolf, vampire, etc.
 };
 
-// Valid gender values
+// Valid body genders (pronoun tables in js/text-interpolation.js)
+// Fluid is a core gender only (see CoreGenders in data/jumper-identity.js)
 const Genders = ['male', 'female', 'nonbinary'];
@@ -9,6 +9,12 @@ const ObjectTemplates = {
         portable: false,
         state: {}
     },
+    home: {
+        portable: false,
+        state: {
+            rent: 0                 // Charged every 4 weeks by the rentDue event (processRentPayments)
+        }
+    },
     acquaintance: {
         portable: false,
         state: {
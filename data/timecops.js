@@ -0,0 +1,24 @@
+/* The Last Jump - Timecop Investigation - by FrigOfFury
+ * How the timecops in each universe close in on the Jumper.
+ * See docs/timecops.md for full documentation.
+ */
+
+const TimecopInvestigation = {
+    // Weekly attention drawn per point of each trace
+    traceWeights: {
+        timecop_suspicion: 0.2,
+        deepskill_use: 0.1
+    },
+
+    // Attention lost every week as old leads go cold
+    cooling: 2,
+
+    maxAttention: 100,
+
+    // Investigation stages in order, with the attention needed to reach each
+    stages: {
+        rumors: 10,
+        surveillance: 35,
+        confrontation: 70
+    }
+};
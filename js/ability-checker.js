@@ -10,27 +10,28 @@ const AbilityChecker = {
     // Last check result for debug display
     lastResult: null,
 
-    // Parse dice notation "2d6" -> { count: 2, sides: 6 }
+    // Parse dice notation (see js/dice.js); null if invalid
     parseDice(notation) {
-        const match = notation.match(/(\d+)d(\d+)/);
-        if (!match) return { count: 1, sides: 20 };
-        return { count: parseInt(match[1]), sides: parseInt(match[2]) };
+        return Dice.parse(notation);
     },
 
     // Roll dice using game's random function
     rollDice(notation, game) {
-        const { count, sides } = this.parseDice(notation);
-        let total = 0;
-        for (let i = 0; i < count; i++) {
-            total += Math.floor(game.random() * sides) + 1;
-        }
-        return total;
+        const expression = this.parseDice(notation);
+        if (!expression) return 0;
+        return Dice.roll(expression, () => game.random());
     },
 
     // Calculate average roll for showing odds
     averageRoll(notation) {
-        const { count, sides } = this.parseDice(notation);
-        return count * (sides + 1) / 2;
+        const expression = this.parseDice(notation);
+        return expression ? Dice.average(expression) : 0;
+    },
+
+    // Exact distribution of dice totals: Map of total -> probability
+    diceDistribution(notation) {
+        const expression = this.parseDice(notation);
+        return expression ? Dice.distribution(expression) : new Map();
     },
 
     // Resolve check reference (string ID, object with ref, or inline definition)
@@ -69,10 +70,31 @@ const AbilityChecker = {
         }
         if (!abilityCheck.dice) {
             errors.push('Missing required field: dice');
+        } else {
+            const diceError = Dice.validate(abilityCheck.dice);
+            if (diceError) errors.push(diceError);
         }
-        if (abilityCheck.difficulty == null) {
+        if (abilityCheck.opposed) {
+            const { character, skill, dice } = abilityCheck.opposed;
+            if (!character) errors.push('Missing required field: opposed.character');
+            if (!skill) errors.push('Missing required field: opposed.skill');
+            if (dice) {
+                const diceError = Dice.validate(dice);
+                if (diceError) errors.push(`opposed.dice: ${diceError}`);
+            }
+        } else if (abilityCheck.difficulty == null) {
             errors.push('Missing required field: difficulty');
         }
+        for (const helper of abilityCheck.helpers || []) {
+            if (!helper.character) errors.push('Missing required field: helpers[].character');
+            if (typeof helper.share !== 'number') errors.push('Missing required field: helpers[].share');
+        }
+        if (abilityCheck.team) {
+            if (!Array.isArray(abilityCheck.team.members)) errors.push('Missing required field: team.members');
+            if (!['worst', 'best'].includes(abilityCheck.team.counts)) {
+                errors.push('team.counts must be "worst" or "best"');
+            }
+        }
         return errors;
     },
 
@@ -101,18 +123,10 @@ const AbilityChecker = {
         const parts = path.split('.');
         if (parts.length < 2) return 0;
 
-        const entityId = parts[0];
         const propPath = parts.slice(1);
 
-        // Resolve entity ID to character
-        let char = null;
-        if (entityId === 'player') {
-            char = game.getPlayer();
-        } else {
-            // Try as character ID or flag reference
-            char = game.getCharacter(entityId);
-        }
-
+        // 'player', a character ID or an acquaintance role (see Game.resolveCharacterRef)
+        const char = game.getCharacter(game.resolveCharacterRef(parts[0]));
         if (!char) return 0;
 
         // Navigate property path
@@ -125,26 +139,86 @@ const AbilityChecker = {
         return typeof value === 'number' ? value : 0;
     },
 
-    // Perform an ability check
-    check(abilityCheckInput, game, useDeepMemory = false) {
-        const abilityCheck = this.resolveCheck(abilityCheckInput);
-        if (!abilityCheck) {
-            return { outcome: 'failure', error: 'Invalid check reference' };
+    // A character's skill plus their stat bonuses
+    computeSkillValue(charId, skill, bonuses, game) {
+        const baseSkillValue = game.getSkill(charId, skill);
+        let value = baseSkillValue;
+
+        const appliedBonuses = [];
+        if (bonuses) {
+            for (const bonus of bonuses) {
+                const statValue = game.getStat(charId, bonus.stat);
+                const bonusValue = Math.floor(statValue * (bonus.scale ?? 1));
+                value += bonusValue;
+                appliedBonuses.push({ stat: bonus.stat, value: bonusValue });
+            }
         }
 
-        // Validate required fields
-        const errors = this.validateCheck(abilityCheck);
-        if (errors.length > 0) {
-            console.error('AbilityChecker: Invalid check:', errors.join(', '), abilityCheck);
-            return { outcome: 'failure', error: errors.join(', ') };
+        return { baseSkillValue, value, appliedBonuses };
+    },
+
+    // A non-player character rolling for themselves (opponent or team member)
+    // NPCs draw on a matching deep skill specialty (+100) automatically
+    computeParticipant(charId, skill, bonuses, game) {
+        const { value, appliedBonuses } = this.computeSkillValue(charId, skill, bonuses, game);
+        const deepSkillBonus = game.hasDeepSkill(charId, skill) ? 100 : 0;
+        return { charId, skill, value: value + deepSkillBonus, deepSkillBonus, appliedBonuses };
+    },
+
+    // The opposing side of an opposed check, before its dice are rolled
+    // Returns null if the opponent can't be found
+    computeOpponent(opposed, dice, game) {
+        const charId = game.resolveCharacterRef(opposed.character);
+        if (!charId) {
+            console.error(`AbilityChecker: Unknown opponent "${opposed.character}"`);
+            return null;
+        }
+
+        return {
+            ...this.computeParticipant(charId, opposed.skill, opposed.bonuses, game),
+            dice: opposed.dice || dice
+        };
+    },
+
+    // Helpers add a share of their own skill to whichever roll counts
+    // Helpers who can't be found (e.g. no acquaintance of that type) don't take part
+    computeHelpers(helpers, skill, game) {
+        const applied = [];
+        for (const helper of helpers || []) {
+            const charId = game.resolveCharacterRef(helper.character);
+            if (!charId || charId === game.state.playerId) continue;
+
+            const helperSkill = helper.skill || skill;
+            const contribution = Math.floor(game.getSkill(charId, helperSkill) * helper.share);
+            applied.push({ charId, skill: helperSkill, contribution });
         }
+        return applied;
+    },
 
+    // Team members other than the player, each rolling the check's skill and dice
+    // Members who can't be found don't take part
+    computeTeam(team, abilityCheck, game) {
+        const members = [];
+        for (const ref of team.members) {
+            const charId = game.resolveCharacterRef(ref);
+            if (!charId || charId === game.state.playerId) continue;
+            if (members.some(member => member.charId === charId)) continue;
+            members.push(this.computeParticipant(charId, abilityCheck.skill, abilityCheck.bonuses, game));
+        }
+        return { counts: team.counts, members };
+    },
+
+    // Player value and effective difficulty for a resolved check, with the
+    // deep memory bonus, stat bonuses, helpers, team and matching modifiers that
+    // went into them. For opposed checks the difficulty is the opponent's value
+    // before their roll.
+    // Returns null if an opposed check's opponent can't be found
+    computeCheckValues(abilityCheck, game, useDeepMemory = false) {
         const pid = game.state.playerId;
-        const { skill, dice, difficulty, crushMargin, bonuses, modifiers } = abilityCheck;
+        const { skill, dice, difficulty, bonuses, modifiers, opposed, helpers, team } = abilityCheck;
 
-        // Base skill value
-        const baseSkillValue = game.getSkill(pid, skill);
-        let playerValue = baseSkillValue;
+        const { baseSkillValue, value, appliedBonuses } = this.computeSkillValue(pid, skill, bonuses, game);
+        let playerValue = value;
 
         // Deep memory bonus
         let deepMemoryBonus = 0;
@@ -153,23 +227,16 @@ const AbilityChecker = {
             playerValue += deepMemoryBonus;
         }
 
-        // Add bonuses from stats
-        const appliedBonuses = [];
-        if (bonuses) {
-            for (const bonus of bonuses) {
-                const statValue = game.getStat(pid, bonus.stat);
-                const bonusValue = Math.floor(statValue * (bonus.scale ?? 1));
-                playerValue += bonusValue;
-                appliedBonuses.push({ stat: bonus.stat, value: bonusValue });
-            }
-        }
-
-        // Roll dice
-        const roll = this.rollDice(dice, game);
-        const playerRoll = playerValue + roll;
-
         // Calculate effective difficulty
-        const baseDifficulty = this.resolveDifficulty(difficulty, game);
+        let opponent = null;
+        let baseDifficulty;
+        if (opposed) {
+            opponent = this.computeOpponent(opposed, dice, game);
+            if (!opponent) return null;
+            baseDifficulty = opponent.value;
+        } else {
+            baseDifficulty = this.resolveDifficulty(difficulty, game);
+        }
         let effectiveDifficulty = baseDifficulty;
 
         // Apply modifiers (conditions that adjust difficulty)
@@ -183,33 +250,110 @@ const AbilityChecker = {
             }
         }
 
-        // Determine outcome
-        let outcome;
-        if (crushMargin && playerRoll >= effectiveDifficulty + crushMargin) {
-            outcome = 'crushingSuccess';
-        } else if (playerRoll >= effectiveDifficulty) {
-            outcome = 'success';
-        } else if (crushMargin && playerRoll < effectiveDifficulty - crushMargin) {
-            outcome = 'crushingFailure';
-        } else {
-            outcome = 'failure';
+        const appliedHelpers = this.computeHelpers(helpers, skill, game);
+
+        return {
+            baseSkillValue,
+            playerValue,
+            deepMemoryBonus,
+            appliedBonuses,
+            appliedHelpers,
+            helperBonus: appliedHelpers.reduce((sum, helper) => sum + helper.contribution, 0),
+            team: team ? this.computeTeam(team, abilityCheck, game) : null,
+            baseDifficulty,
+            effectiveDifficulty,
+            appliedModifiers,
+            opponent
+        };
+    },
+
+    // Outcome tier for a final roll against the effective difficulty
+    determineOutcome(playerRoll, effectiveDifficulty, crushMargin) {
+        if (crushMargin && playerRoll >= effectiveDifficulty + crushMargin) return 'crushingSuccess';
+        if (playerRoll >= effectiveDifficulty) return 'success';
+        if (crushMargin && playerRoll < effectiveDifficulty - crushMargin) return 'crushingFailure';
+        return 'failure';
+    },
+
+    // Perform an ability check
+    check(abilityCheckInput, game, useDeepMemory = false) {
+        const abilityCheck = this.resolveCheck(abilityCheckInput);
+        if (!abilityCheck) {
+            return { outcome: 'failure', error: 'Invalid check reference' };
+        }
+
+        // Validate required fields
+        const errors = this.validateCheck(abilityCheck);
+        if (errors.length > 0) {
+            console.error('AbilityChecker: Invalid check:', errors.join(', '), abilityCheck);
+            return { outcome: 'failure', error: errors.join(', ') };
+        }
+
+        const { skill, dice, crushMargin } = abilityCheck;
+        const values = this.computeCheckValues(abilityCheck, game, useDeepMemory);
+        if (!values) {
+            return { outcome: 'failure', error: 'Unknown opponent' };
+        }
+
+        // Roll dice
+        const roll = this.rollDice(dice, game);
+        let playerRoll = values.playerValue + roll;
+
+        // Team: every member rolls and the worst (or best) total counts
+        let team = null;
+        if (values.team) {
+            const rolls = [{ charId: game.state.playerId, roll, total: playerRoll }];
+            for (const member of values.team.members) {
+                const memberRoll = this.rollDice(dice, game);
+                rolls.push({ charId: member.charId, roll: memberRoll, total: member.value + memberRoll });
+            }
+            const pick = values.team.counts === 'worst' ? Math.min : Math.max;
+            playerRoll = pick(...rolls.map(entry => entry.total));
+            team = {
+                counts: values.team.counts,
+                rolls,
+                counted: rolls.find(entry => entry.total === playerRoll).charId
+            };
+        }
+        playerRoll += values.helperBonus;
+
+        // Opposed: the opponent's roll sets the line to beat
+        let effectiveDifficulty = values.effectiveDifficulty;
+        let opponent = null;
+        if (values.opponent) {
+            const { charId, skill: opponentSkill, dice: opponentDice, value, deepSkillBonus, appliedBonuses } = values.opponent;
+            const opponentRoll = this.rollDice(opponentDice, game);
+            effectiveDifficulty += opponentRoll;
+            opponent = {
+                charId,
+                skill: opponentSkill,
+                dice: opponentDice,
+                roll: opponentRoll,
+                skillValue: value,
+                total: value + opponentRoll,
+                deepSkillBonus,
+                appliedBonuses
+            };
         }
 
         const result = {
-            outcome,
+            outcome: this.determineOutcome(playerRoll, effectiveDifficulty, crushMargin),
             playerRoll,
             effectiveDifficulty,
-            baseDifficulty,
+            baseDifficulty: values.baseDifficulty,
             roll,
-            skillValue: playerValue,
-            baseSkillValue,
+            skillValue: values.playerValue,
+            baseSkillValue: values.baseSkillValue,
             margin: playerRoll - effectiveDifficulty,
             skill,
             dice,
             useDeepMemory,
-            deepMemoryBonus,
-            appliedBonuses,
-            appliedModifiers
+            deepMemoryBonus: values.deepMemoryBonus,
+            appliedBonuses: values.appliedBonuses,
+            appliedModifiers: values.appliedModifiers,
+            helpers: values.appliedHelpers,
+            team,
+            opponent
         };
 
         // Store for debug display
@@ -218,49 +362,100 @@ const AbilityChecker = {
         return result;
     },
 
-    // Estimate odds before a check (for UI display)
-    estimateOdds(abilityCheckInput, game, useDeepMemory = false) {
-        const abilityCheck = this.resolveCheck(abilityCheckInput);
-        if (!abilityCheck) return 'unknown';
+    // Outcome blocks to try for each tier, nearest first. Fallbacks stay on the
+    // same side of the difficulty line: a success never runs failure content.
+    outcomeFallbacks: {
+        crushingSuccess: ['onCrushingSuccess', 'onSuccess'],
+        success: ['onSuccess', 'onCrushingSuccess'],
+        failure: ['onFailure', 'onCrushingFailure'],
+        crushingFailure: ['onCrushingFailure', 'onFailure']
+    },
 
-        const errors = this.validateCheck(abilityCheck);
-        if (errors.length > 0) return 'unknown';
+    // Pick the outcome block ({ text, effects, next }) an entity defines for a result tier
+    // Returns null if neither the tier nor its nearest neighbour is defined
+    selectOutcome(entity, outcome) {
+        for (const key of this.outcomeFallbacks[outcome] || []) {
+            if (entity[key]) return entity[key];
+        }
+        return null;
+    },
 
-        const pid = game.state.playerId;
-        const { skill, dice, difficulty, bonuses, modifiers } = abilityCheck;
+    // Verbal labels (string IDs) by minimum chance of success (crushing or plain), highest first
+    oddsLabels: [
+        { min: 0.85, label: 'odds.veryLikely' },
+        { min: 0.6, label: 'odds.likely' },
+        { min: 0.4, label: 'odds.possible' },
+        { min: 0.15, label: 'odds.unlikely' },
+        { min: 0, label: 'odds.veryUnlikely' }
+    ],
+
+    // Exact odds of each outcome tier before a check, from the full dice distribution
+    // Returns { tiers: { crushingSuccess, success, failure, crushingFailure },
+    //           successChance, percent, label } or null if the check is invalid.
+    // label is in the current language.
+    // Tier values are probabilities (0-1); percent is successChance as a whole
+    // number, never shown as 0 or 100 unless the result is certain.
+    calculateOdds(abilityCheckInput, game, useDeepMemory = false) {
+        const abilityCheck = this.resolveCheck(abilityCheckInput);
+        if (!abilityCheck) return null;
 
-        // Calculate expected player value
-        let playerValue = game.getSkill(pid, skill);
-        if (useDeepMemory) {
-            playerValue += game.hasDeepSkill(pid, skill) ? 100 : 30;
-        }
-        if (bonuses) {
-            for (const bonus of bonuses) {
-                const statValue = game.getStat(pid, bonus.stat);
-                playerValue += Math.floor(statValue * (bonus.scale ?? 1));
+        const errors = this.validateCheck(abilityCheck);
+        if (errors.length > 0) return null;
+
+        const values = this.computeCheckValues(abilityCheck, game, useDeepMemory);
+        if (!values) return null;
+        const { playerValue, helperBonus, team, effectiveDifficulty, opponent } = values;
+        const dice = this.diceDistribution(abilityCheck.dice);
+        const totalsFor = (value) => Dice.combine(new Map([[value, 1]]), dice);
+
+        // Distribution of the total that counts: the player's, or the team's worst/best
+        let totals = totalsFor(playerValue);
+        if (team) {
+            const pick = team.counts === 'worst' ? Math.min : Math.max;
+            for (const member of team.members) {
+                const combined = new Map();
+                for (const [a, pa] of totals) {
+                    for (const [b, pb] of totalsFor(member.value)) {
+                        const total = pick(a, b);
+                        combined.set(total, (combined.get(total) || 0) + pa * pb);
+                    }
+                }
+                totals = combined;
             }
         }
 
-        // Average roll
-        const avgRoll = this.averageRoll(dice);
-        const expectedRoll = playerValue + avgRoll;
+        // Opposed: subtract the opponent's dice (their value is in the difficulty)
+        if (opponent) {
+            totals = Dice.combine(totals, this.diceDistribution(opponent.dice), -1);
+        }
 
-        // Effective difficulty
-        let effectiveDifficulty = this.resolveDifficulty(difficulty, game);
-        if (modifiers && typeof ConditionChecker !== 'undefined') {
-            for (const mod of modifiers) {
-                if (ConditionChecker.check(mod.condition, game)) {
-                    effectiveDifficulty += mod.add;
-                }
-            }
+        const tiers = { crushingSuccess: 0, success: 0, failure: 0, crushingFailure: 0 };
+        for (const [total, p] of totals) {
+            tiers[this.determineOutcome(total + helperBonus, effectiveDifficulty, abilityCheck.crushMargin)] += p;
         }
 
-        // Margin determines estimate
-        const margin = expectedRoll - effectiveDifficulty;
-        if (margin >= 15) return 'very likely';
-        if (margin >= 5) return 'likely';
-        if (margin >= -5) return 'possible';
-        if (margin >= -15) return 'unlikely';
-        return 'very unlikely';
+        const successChance = tiers.crushingSuccess + tiers.success;
+        let percent = Math.round(successChance * 100);
+        // Sums of die probabilities carry float error; only exact ends count as certain
+        if (successChance > 1e-9 && successChance < 1 - 1e-9) percent = Math.min(99, Math.max(1, percent));
+
+        return {
+            tiers,
+            successChance,
+            percent,
+            label: Localization.t(this.oddsLabels.find(band => successChance >= band.min).label)
+        };
+    },
+
+    // Estimate odds before a check (for UI display)
+    // Returns the verbal label: 'very likely' ... 'very unlikely', or 'unknown' (in English)
+    estimateOdds(abilityCheckInput, game, useDeepMemory = false) {
+        return this.calculateOdds(abilityCheckInput, game, useDeepMemory)?.label || Localization.t('odds.unknown');
+    },
+
+    // Odds as display text, e.g. "62% (likely)"
+    describeOdds(abilityCheckInput, game, useDeepMemory = false) {
+        const odds = this.calculateOdds(abilityCheckInput, game, useDeepMemory);
+        return odds ? Localization.t('odds.display', { percent: odds.percent, label: odds.label }) : Localization.t('odds.unknown');
     }
 };
@@ -0,0 +1,300 @@
+/* The Last Jump - Browser Renderer - by FrigOfFury
+ *
+ * Draws the engine's view models into the page. Registered in main.js
+ * with Game.renderer = BrowserRenderer.
+ *
+ * The renderer keeps no game state: each render replaces what was on
+ * screen, and player input is passed straight back to the engine
+ * (Game.selectOption, Game.submitEntry, PursuitManager.configure/confirm).
+ *
+ * See Presentation in js/game.js for the view model shapes.
+ */
+
+const BrowserRenderer = {
+    // Whether the pursuit panel is currently on screen
+    pursuitPanelOpen: false,
+
+    render(slot, view, game) {
+        switch (slot) {
+            case 'narrative':
+                this.renderNarrative(view);
+                break;
+            case 'options':
+                this.renderOptions(view, game);
+                break;
+            case 'hud':
+                this.renderHud(view);
+                break;
+            case 'pursuits':
+                this.renderPursuits(view, game);
+                break;
+            case 'lifeSummary':
+                this.renderLifeSummary(view);
+                break;
+            case 'entry':
+                this.renderEntry(view, game);
+                break;
+        }
+    },
+
+    renderNarrative(view) {
+        const el = document.getElementById('story-text');
+        el.innerHTML = view.paragraphs.map(p => `<p>${p}</p>`).join('');
+    },
+
+    renderOptions(view, game) {
+        const container = document.getElementById('choices-container');
+        container.innerHTML = '';
+
+        view.items.forEach((item, index) => {
+            // Status line (e.g. points spent) sits just above the Continue button
+            if (item.primary && view.status) {
+                container.appendChild(this.createStatus(view.status));
+            }
+
+            const btn = document.createElement('button');
+            btn.className = 'choice-btn';
+            if (item.primary) btn.classList.add('continue-btn');
+            if (item.selected) btn.classList.add('selected');
+
+            if (item.detail) {
+                btn.innerHTML = `<strong>${item.text}</strong><br><small>${item.detail}</small>`;
+            } else {
+                btn.textContent = item.text;
+            }
+            // Appended as a node so the detail markup above survives
+            if (item.cost) {
+                btn.appendChild(document.createTextNode(` ${Localization.t('options.cost', { count: item.cost })}`));
+            }
+
+            btn.disabled = !!item.disabled;
+            btn.addEventListener('click', () => game.selectOption(index));
+            container.appendChild(btn);
+        });
+
+        if (view.status && !view.items.some(item => item.primary)) {
+            container.appendChild(this.createStatus(view.status));
+        }
+    },
+
+    // A form replaces the option buttons until it is submitted; the next
+    // options render puts buttons back, so a closed form needs no drawing
+    renderEntry(view, game) {
+        if (!view) return;
+        const container = document.getElementById('choices-container');
+        container.innerHTML = '';
+
+        const form = document.createElement('form');
+        form.className = 'entry-form';
+        if (view.error) form.appendChild(this.createStatus(view.error));
+
+        for (const field of view.fields) {
+            const label = document.createElement('label');
+            label.className = 'entry-field';
+            label.textContent = field.label;
+
+            let input;
+            if (field.choices) {
+                input = document.createElement('select');
+                for (const choice of field.choices) {
+                    const option = document.createElement('option');
+                    option.value = choice.value;
+                    option.textContent = choice.text;
+                    input.appendChild(option);
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+            }
+            input.className = 'creation-input';
+            input.name = field.id;
+            input.value = field.value;
+            label.appendChild(input);
+            form.appendChild(label);
+        }
+
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'choice-btn continue-btn';
+        submit.textContent = view.submit;
+        form.appendChild(submit);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            game.submitEntry(Object.fromEntries(new FormData(form)));
+        });
+        container.appendChild(form);
+        form.querySelector('input')?.focus();
+    },
+
+    createStatus(text) {
+        const display = document.createElement('div');
+        display.className = 'points-display';
+        display.style.cssText = 'color: #aaa; font-size: 0.9rem; margin: 0.5rem 0;';
+        display.textContent = text;
+        return display;
+    },
+
+    renderHud(view) {
+        document.getElementById('time-display').textContent = view.time;
+        document.getElementById('actions-display').textContent =
+            Localization.t('hud.actions', view.actions);
+
+        document.getElementById('stats-list').innerHTML = view.stats
+            .map(stat => `<li><span>${stat.label}</span><span>${stat.text}</span></li>`)
+            .join('');
+    },
+
+    // === Past Lives ===
+
+    // Card for the life a jump just ended, shown over the new universe
+    renderLifeSummary(view) {
+        const container = document.getElementById('life-summary-modal');
+        if (!container) return;
+
+        let html = '<div class="modal-content">';
+        html += `<h2>${Localization.t('lifeSummary.title')}</h2>`;
+        html += this.renderLifeCard(view);
+        html += '<div class="modal-actions">';
+        html += `<button class="choice-btn" id="life-summary-continue">${Localization.t('common.continue')}</button>`;
+        html += '</div>';
+        html += '</div>';
+
+        container.innerHTML = html;
+        container.style.display = 'flex';
+
+        document.getElementById('life-summary-continue').addEventListener('click', () => {
+            container.style.display = 'none';
+        });
+    },
+
+    // HTML for one life card ({ title, lines } from Game.describeLife)
+    renderLifeCard(card) {
+        let html = '<div class="life-card">';
+        html += `<div class="life-card-title">${card.title}</div>`;
+        html += card.lines.map(line => `<div class="life-card-line">${line}</div>`).join('');
+        html += '</div>';
+        return html;
+    },
+
+    // === Pursuit Panel ===
+
+    renderPursuits(view, game) {
+        const container = document.getElementById('pursuit-panel');
+        if (!container) return;
+
+        if (!view) {
+            container.style.display = 'none';
+            this.pursuitPanelOpen = false;
+            return;
+        }
+
+        // Settings changed while open: only the summary needs redrawing,
+        // which also keeps focus in the input being edited
+        if (this.pursuitPanelOpen && !view.rebuild) {
+            const summary = container.querySelector('.hours-summary');
+            if (summary) summary.outerHTML = this.renderHoursSummary(view.summary);
+            return;
+        }
+
+        let html = '<div class="modal-content">';
+        html += `<h2>${view.title}</h2>`;
+        html += '<div class="pursuit-list">';
+        for (const pursuit of view.pursuits) {
+            html += this.renderPursuitItem(pursuit);
+        }
+        html += '</div>';
+        html += this.renderHoursSummary(view.summary);
+        html += `<button id="confirm-pursuits" class="choice-btn">${view.confirmText}</button>`;
+        html += '</div>';
+
+        container.innerHTML = html;
+        container.style.display = 'flex';
+        this.pursuitPanelOpen = true;
+
+        this.attachPursuitListeners(game, container);
+    },
+
+    // Render a single pursuit item based on its config type
+    renderPursuitItem(pursuit) {
+        let html = `<div class="pursuit-item" data-pursuit="${pursuit.id}">`;
+        html += `<div class="pursuit-title">${pursuit.title}</div>`;
+        if (pursuit.description) {
+            html += `<div class="pursuit-desc">${pursuit.description}</div>`;
+        }
+
+        switch (pursuit.configType) {
+            case 'action':
+                html += `<div class="pursuit-status">${Localization.t('pursuits.active', { hours: pursuit.hoursCost })}</div>`;
+                break;
+
+            case 'toggle':
+                const checked = pursuit.enabled ? 'checked' : '';
+                html += `<label class="pursuit-toggle"><input type="checkbox" ${checked} data-type="toggle"> `;
+                html += `${Localization.t('pursuits.enable', { hours: pursuit.hoursCost })}</label>`;
+                break;
+
+            case 'select':
+                html += '<select data-type="select" class="pursuit-select">';
+                for (const opt of pursuit.options) {
+                    const selected = pursuit.option === opt.key ? 'selected' : '';
+                    const disabled = opt.available ? '' : 'disabled';
+                    html += `<option value="${opt.key}" ${selected} ${disabled}>`;
+                    html += `${Localization.t('pursuits.option', { title: opt.title, hours: opt.hoursCost })}</option>`;
+                }
+                html += '</select>';
+                break;
+
+            case 'number':
+                html += `<input type="number" data-type="number" class="pursuit-number" `;
+                html += `value="${pursuit.value}" `;
+                html += `min="${pursuit.min}" max="${pursuit.max}" step="${pursuit.step}">`;
+                html += ` ${Localization.t('pursuits.whenActive', { hours: pursuit.hoursCost })}`;
+                break;
+        }
+
+        html += '</div>';
+        return html;
+    },
+
+    // Render hours summary and action projection
+    renderHoursSummary(summary) {
+        let html = '<div class="hours-summary">';
+        html += `<div class="${summary.overBudget ? 'hours-warning' : ''}">`;
+        html += `${Localization.t('pursuits.hours', { hours: summary.hours, free: summary.freeHours })}</div>`;
+        html += `<div>${Localization.t('pursuits.actions', { count: summary.guaranteedActions })}`;
+        if (summary.bonusChance > 0) {
+            html += ` ${Localization.t('pursuits.bonus', { percent: Math.round(summary.bonusChance * 100) })}`;
+        }
+        html += '</div></div>';
+        return html;
+    },
+
+    // Pass pursuit input changes back to the engine
+    attachPursuitListeners(game, container) {
+        const pursuitIdOf = (e) => e.target.closest('.pursuit-item').dataset.pursuit;
+
+        container.querySelectorAll('input[data-type="toggle"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                PursuitManager.configure(game, pursuitIdOf(e), { enabled: e.target.checked });
+            });
+        });
+
+        container.querySelectorAll('select[data-type="select"]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                PursuitManager.configure(game, pursuitIdOf(e), { option: e.target.value });
+            });
+        });
+
+        container.querySelectorAll('input[data-type="number"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                PursuitManager.configure(game, pursuitIdOf(e), { value: parseFloat(e.target.value) || 0 });
+            });
+        });
+
+        const confirmBtn = container.querySelector('#confirm-pursuits');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', () => PursuitManager.confirm(game));
+        }
+    }
+};
@@ -8,7 +8,7 @@
  *   1. start() called with target charId and list of choice IDs
  *   2. Each choice is presented in sequence via presentChoice()
  *   3. Player selections queue impacts in pendingImpacts
- *      Exception: gender is applied immediately so later choice text can use correct pronouns
+ *      Exception: gender and pronouns are applied immediately so later choice text can use them
  *   4. After all choices, applyImpactsAndFinish() resolves impacts with probability
  *   5. If acquaintanceOwnerId set, creates acquaintance object(s) linking characters
  *   6. onComplete callback is called
@@ -18,9 +18,16 @@
  *   stat with probability: { stat: 'health', delta: -20, probability: 0.5 }
  *   flag: { flag: 'flagName', flagValue: true }
  *   gender: { gender: 'male' } - applied immediately for pronoun control in choice text
+ *   pronouns: { pronouns: 'xe' } - a set from TextInterpolation.pronouns, or a full table; applied immediately
  *   acquaintanceType: { acquaintanceType: 'enemy' } - used when creating acquaintance
  *   giveObject: { giveObject: { template, name, state } }
  *   effect: { effect: (game, char) => {} } - custom function
+ *
+ * An option with customPronouns: true asks the player for a pronoun set of
+ * their own (Game.showPronounEntry) instead of applying impacts.
+ *
+ * Option text is interpolated with the character being created as
+ * [target:...], so a label can read "[target:Subject] {target:were/was} kind".
  */
 
 const CharacterCreation = {
@@ -66,35 +73,63 @@ const CharacterCreation = {
             return;
         }
 
+        Game.redraw = () => this.presentChoice();
+        this.showQuestion();
+
         const choice = this.availableChoices[this.currentChoiceIndex];
         const char = Game.getCharacter(this.targetCharId);
 
-        // Render question text
-        let text = choice.text;
-        if (typeof text === 'function') text = text(Game, char);
-        Game.renderStory(text);
+        // Options available to this character
+        const options = choice.options.filter(option => !option.condition || option.condition(Game, char));
+        Game.showOptions({
+            kind: 'creation',
+            items: options.map(option => ({ text: Game.interpolateText(option.text, this.targetCharId) }))
+        }, index => this.selectOption(options[index]));
+    },
 
-        // Render options
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
+    showQuestion() {
+        const choice = this.availableChoices[this.currentChoiceIndex];
+        let text = choice.text;
+        if (typeof text === 'function') text = text(Game, Game.getCharacter(this.targetCharId));
+        Game.showNarrative(Game.interpolateText(text, this.targetCharId));
+    },
 
-        for (const option of choice.options) {
-            if (option.condition && !option.condition(Game, char)) continue;
+    // Ask for every form of a set of the player's own, under the question
+    enterCustomPronouns() {
+        Game.redraw = () => this.enterCustomPronouns();
+        this.showQuestion();
+        Game.showPronounEntry(table => this.applyCustomPronouns(table));
+    },
 
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = option.text;
-            btn.addEventListener('click', () => this.selectOption(option));
-            container.appendChild(btn);
-        }
+    // Select an option by its index in the current choice's options (used by replays)
+    // Returns false if there is no such option
+    selectOptionIndex(index) {
+        const choice = this.availableChoices[this.currentChoiceIndex];
+        const option = choice?.options[index];
+        if (!option) return false;
+        this.selectOption(option);
+        return true;
     },
 
     selectOption(option) {
+        if (typeof Journal !== 'undefined') {
+            const choice = this.availableChoices[this.currentChoiceIndex];
+            Journal.record(Game, { type: 'creationOption', index: choice.options.indexOf(option) });
+        }
+
+        // The player types in a pronoun set; the choice moves on once it is entered
+        if (option.customPronouns) {
+            this.enterCustomPronouns();
+            return;
+        }
+
         if (option.impacts) {
             for (const impact of option.impacts) {
-                // Apply gender immediately so later choices can reference it
+                // Apply gender and pronouns immediately so later choices can reference them
                 if (impact.gender) {
                     Game.setCharacterGender(this.targetCharId, impact.gender);
+                } else if (impact.pronouns) {
+                    Game.setCharacterPronouns(this.targetCharId, impact.pronouns);
                 } else {
                     this.pendingImpacts.push(impact);
                 }
@@ -104,6 +139,16 @@ const CharacterCreation = {
         this.presentChoice();
     },
 
+    // Give the character a pronoun table the player entered
+    applyCustomPronouns(table) {
+        if (typeof Journal !== 'undefined') {
+            Journal.record(Game, { type: 'creationPronouns', pronouns: table });
+        }
+        Game.setCharacterPronouns(this.targetCharId, table);
+        this.currentChoiceIndex++;
+        this.presentChoice();
+    },
+
     applyImpactsAndFinish() {
         const char = Game.getCharacter(this.targetCharId);
         let acquaintanceType = null;
@@ -6,11 +6,17 @@
  * Condition types:
  *   hasFlag: 'flag' or ['flag1', 'flag2']     - all flags must be set
  *   notFlag: 'flag' or ['flag1', 'flag2']     - none of these flags set
+ *   metaFlag: 'flag' or ['flag1', 'flag2']    - all ledger flags set (survive jumps)
+ *   pastLives: ['op', value]                  - compare the number of finished lives
  *   inChapter: { storyId: 'chapterId' }       - must be in specific chapter(s)
  *   stat: ['statName', 'op', value]           - compare player stat
  *   charStat: ['charId', 'statName', 'op', value] - compare any character stat
  *   skill: ['skillName', 'op', value]         - compare player skill (general+specific)
  *   hasDeepSkill: 'skill' or ['skill1', ...]  - player has deep skill specialty
+ *   hasAspiration: 'id' or ['id1', 'id2']     - Jumper identity holds all these aspirations
+ *   hasStrategy: 'id' or ['id1', 'id2']       - Jumper identity has picked all these strategies
+ *   traceLevel: { traceId: 'level' or value } - trace has reached a named level (or value)
+ *   timecopStage: 'stage'                     - timecop investigation has reached a stage
  *   hasObjectOfType: 'templateType'           - player owns object of type
  *   weekDivisibleBy: number                   - current week divisible by N
  *   minWeek: number                           - at least week N
@@ -21,12 +27,25 @@
  *   pursuitActive: 'id' or ['id1', 'id2']     - pursuit is active (& enabled for toggle)
  *   pursuitOption: ['id', 'option']           - check select pursuit's current option
  *   pursuitHours: ['op', value]               - check total weekly pursuit hours
+ *   weeksUntilEnd: ['op', value]              - compare weeks left before The End
+ *   endAverted: true|false                    - whether The End has been averted
  *   all: [conditions...]                      - all must pass (AND)
  *   any: [conditions...]                      - at least one must pass (OR)
  *   not: condition                            - inverts a condition
  */
 
 const ConditionChecker = {
+    // Every condition type check() reads; add new types here as well as below
+    // (tools/validate.js reports any other key in data as an unknown condition)
+    types: [
+        'inChapter', 'hasFlag', 'notFlag', 'metaFlag', 'pastLives', 'stat', 'charStat', 'skill',
+        'hasDeepSkill', 'hasAspiration', 'hasStrategy', 'traceLevel', 'timecopStage',
+        'weekDivisibleBy', 'minWeek', 'maxWeek', 'hasObjectOfType', 'playerHasObjectOfType',
+        'objectiveProgress', 'objectiveComplete', 'objectiveActive',
+        'pursuitActive', 'pursuitOption', 'pursuitHours', 'weeksUntilEnd', 'endAverted',
+        'flags', 'all', 'any', 'not'
+    ],
+
     // Main entry point - checks if all conditions pass
     check(conditions, game) {
         if (!conditions) return true;
@@ -62,6 +81,22 @@ const ConditionChecker = {
             }
         }
 
+        // metaFlag: 'flagName' or ['flag1', 'flag2'] - flags kept in the ledger
+        if (conditions.metaFlag != null) {
+            const flags = Array.isArray(conditions.metaFlag)
+                ? conditions.metaFlag
+                : [conditions.metaFlag];
+            for (const flag of flags) {
+                if (!game.hasMetaFlag(flag)) return false;
+            }
+        }
+
+        // pastLives: ['op', value] - lives archived in the ledger
+        if (conditions.pastLives != null) {
+            const [op, value] = conditions.pastLives;
+            if (!this.compare(game.state.ledger.pastLives.length, op, value)) return false;
+        }
+
         // stat: ['statName', 'op', value] - player stat comparison
         if (conditions.stat) {
             const [statName, op, value] = conditions.stat;
@@ -93,6 +128,54 @@ const ConditionChecker = {
             }
         }
 
+        // hasAspiration: 'aspirationId' or ['id1', 'id2'] - from the Jumper identity
+        if (conditions.hasAspiration != null) {
+            const aspirations = Array.isArray(conditions.hasAspiration)
+                ? conditions.hasAspiration
+                : [conditions.hasAspiration];
+            const held = game.state.jumperIdentity?.aspirations || [];
+            for (const aspiration of aspirations) {
+                if (!held.includes(aspiration)) return false;
+            }
+        }
+
+        // hasStrategy: 'strategyId' or ['id1', 'id2'] - from the Jumper identity
+        if (conditions.hasStrategy != null) {
+            const strategies = Array.isArray(conditions.hasStrategy)
+                ? conditions.hasStrategy
+                : [conditions.hasStrategy];
+            const held = game.state.jumperIdentity?.strategies || [];
+            for (const strategy of strategies) {
+                if (!held.includes(strategy)) return false;
+            }
+        }
+
+        // traceLevel: { traceId: 'level' | value }
+        // Passes once the trace reaches the level's threshold (see TraceDefinitions)
+        if (conditions.traceLevel) {
+            for (const [traceId, level] of Object.entries(conditions.traceLevel)) {
+                const threshold = typeof level === 'number'
+                    ? level
+                    : TraceDefinitions[traceId]?.levels?.[level];
+                if (threshold == null) {
+                    console.error(`ConditionChecker: Unknown level "${level}" for trace "${traceId}"`);
+                    return false;
+                }
+                if (game.getStat(pid, traceId) < threshold) return false;
+            }
+        }
+
+        // timecopStage: 'stage'
+        // Passes once this universe's investigation reaches the stage (see TimecopInvestigation)
+        if (conditions.timecopStage != null) {
+            const threshold = TimecopInvestigation.stages[conditions.timecopStage];
+            if (threshold == null) {
+                console.error(`ConditionChecker: Unknown timecop stage "${conditions.timecopStage}"`);
+                return false;
+            }
+            if (game.state.timecops.attention < threshold) return false;
+        }
+
         // weekDivisibleBy: number
         if (conditions.weekDivisibleBy != null) {
             if (game.state.week % conditions.weekDivisibleBy !== 0) return false;
@@ -185,6 +268,18 @@ const ConditionChecker = {
             if (!this.compare(hours, op, value)) return false;
         }
 
+        // weeksUntilEnd: ['op', value]
+        // Check weeks remaining before The End arrives in this universe
+        if (conditions.weeksUntilEnd != null) {
+            const [op, value] = conditions.weeksUntilEnd;
+            if (!this.compare(game.getWeeksUntilEnd(), op, value)) return false;
+        }
+
+        // endAverted: true | false
+        if (conditions.endAverted != null) {
+            if (!!game.state.theEnd?.averted !== conditions.endAverted) return false;
+        }
+
         // flags: ['flag1', 'flag2'] - legacy support, same as hasFlag array
         if (conditions.flags) {
             for (const flag of conditions.flags) {
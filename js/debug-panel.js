@@ -99,6 +99,17 @@ const DebugPanel = {
         html += `<tr><td>Week</td><td>${s.week}</td></tr>`;
         html += `<tr><td>Actions</td><td>${s.actionsRemaining}/${s.actionsPerWeek}</td></tr>`;
 
+        // RNG seed (include in bug reports)
+        if (s.rng) {
+            html += `<tr><td>Seed</td><td>${s.rng.seed}</td></tr>`;
+        }
+
+        // The End schedule
+        if (s.theEnd) {
+            const endText = s.theEnd.averted ? 'Averted' : `Week ${s.theEnd.week}`;
+            html += `<tr><td>The End</td><td>${endText}</td></tr>`;
+        }
+
         // Current story chapter
         if (s.storylines?.intro) {
             html += `<tr><td>Story Chapter</td><td>${s.storylines.intro.currentChapter}</td></tr>`;
@@ -215,6 +226,7 @@ const DebugPanel = {
         const j = Game.state.jumperIdentity;
         let html = '<table class="debug-table">';
         html += `<tr><td>Core Gender</td><td>${j.coreGender}</td></tr>`;
+        html += `<tr><td>Pronouns</td><td>${j.pronouns || 'by gender'}</td></tr>`;
         html += `<tr><td>Attracted To</td><td>${j.attractedTo?.join(', ') || 'none'}</td></tr>`;
         html += `<tr><td>Aspirations</td><td>${j.aspirations?.join(', ') || 'none'}</td></tr>`;
         html += `<tr><td>Strategies</td><td>${j.strategies?.join(', ') || 'none'}</td></tr>`;
@@ -0,0 +1,255 @@
+/* The Last Jump - Dice - by FrigOfFury
+ *
+ * Parses tabletop dice expressions into one shared representation that
+ * rolling, averages and exact odds all work from.
+ *
+ * Supported notation (terms joined with + or -, whitespace ignored):
+ *   2d6       - sum of two six-sided dice (d6 is 1d6)
+ *   2d6+3     - constant modifier
+ *   1d8+1d4   - sums (and differences) of dice
+ *   4d6kh3    - keep the highest 3 (k3 is the same)
+ *   2d20kl1   - keep the lowest 1 (2d20kh1 is advantage, 2d20kl1 disadvantage)
+ *   d6!       - exploding: a die showing its top face is rolled again and added
+ *   4d6!kh3   - explode first, then keep
+ *
+ * Parsed form:
+ *   { notation, terms: [
+ *       { type: 'dice', sign: 1, count: 4, sides: 6, explode: false, keep: { highest: true, count: 3 } },
+ *       { type: 'constant', sign: 1, value: 3 }
+ *   ] }
+ *
+ * Usage:
+ *   const expression = Dice.parse('4d6kh3');   // null (and logged) if invalid
+ *   Dice.validate('2d');                         // error message, or null if valid
+ *   Dice.roll(expression, () => game.random());
+ *   Dice.average(expression);
+ *   Dice.distribution(expression);               // Map of total -> probability
+ */
+
+const Dice = {
+    // Re-rolls per exploding die before it stops; rolls and odds share the cap
+    // so odds stay exact (a d6 exploding 5 times in a row is 1 in 7776)
+    maxExplosions: 5,
+
+    // Parsed expressions by notation
+    cache: new Map(),
+
+    // Parse a dice expression; logs and returns null if it is invalid
+    parse(notation) {
+        try {
+            return this.parseExpression(notation);
+        } catch (error) {
+            console.error(`Dice: ${error.message}`);
+            return null;
+        }
+    },
+
+    // Error message for an invalid expression, or null if it parses
+    validate(notation) {
+        try {
+            this.parseExpression(notation);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    },
+
+    // Parse or throw with a description of what is wrong
+    parseExpression(notation) {
+        if (typeof notation !== 'string') {
+            throw new Error(`Dice notation must be a string, got ${JSON.stringify(notation)}`);
+        }
+        if (this.cache.has(notation)) return this.cache.get(notation);
+
+        const compact = notation.replace(/\s+/g, '').toLowerCase();
+        if (!compact) throw new Error('Empty dice notation');
+
+        const terms = [];
+        const termPattern = /([+-]?)([^+-]+)/g;
+        let consumed = 0;
+        let match;
+        while ((match = termPattern.exec(compact)) !== null) {
+            if (match.index !== consumed || (!match[1] && terms.length > 0)) break;
+            terms.push(this.parseTerm(match[2], match[1] === '-' ? -1 : 1, notation));
+            consumed = termPattern.lastIndex;
+        }
+        if (consumed !== compact.length) {
+            throw new Error(`Unexpected "${compact.slice(consumed)}" in dice notation "${notation}"`);
+        }
+
+        const expression = { notation, terms };
+        this.cache.set(notation, expression);
+        return expression;
+    },
+
+    parseTerm(text, sign, notation) {
+        if (/^\d+$/.test(text)) {
+            return { type: 'constant', sign, value: parseInt(text, 10) };
+        }
+
+        const match = text.match(/^(\d*)d(\d+)(!?)(?:k([hl]?)(\d+))?$/);
+        if (!match) {
+            throw new Error(`Can't read "${text}" in dice notation "${notation}"`);
+        }
+
+        const [, countText, sidesText, bang, keepSide, keepText] = match;
+        const count = countText ? parseInt(countText, 10) : 1;
+        const sides = parseInt(sidesText, 10);
+        const explode = bang === '!';
+
+        if (count < 1) throw new Error(`"${text}" rolls no dice`);
+        if (sides < 1) throw new Error(`"${text}" has dice with no sides`);
+        if (explode && sides < 2) throw new Error(`"${text}" can't explode a one-sided die`);
+
+        let keep = null;
+        if (keepText !== undefined) {
+            const keepCount = parseInt(keepText, 10);
+            if (keepCount < 1 || keepCount > count) {
+                throw new Error(`"${text}" keeps ${keepCount} of ${count} dice`);
+            }
+            keep = { highest: keepSide !== 'l', count: keepCount };
+        }
+
+        return { type: 'dice', sign, count, sides, explode, keep };
+    },
+
+    // Roll a parsed expression; random() returns a float in [0, 1)
+    roll(expression, random) {
+        let total = 0;
+        for (const term of expression.terms) {
+            total += term.sign * (term.type === 'constant' ? term.value : this.rollTerm(term, random));
+        }
+        return total;
+    },
+
+    rollTerm(term, random) {
+        const dice = [];
+        for (let i = 0; i < term.count; i++) {
+            let value = Math.floor(random() * term.sides) + 1;
+            let face = value;
+            for (let rerolls = 0; term.explode && face === term.sides && rerolls < this.maxExplosions; rerolls++) {
+                face = Math.floor(random() * term.sides) + 1;
+                value += face;
+            }
+            dice.push(value);
+        }
+        return this.keepDice(dice, term.keep).reduce((sum, value) => sum + value, 0);
+    },
+
+    // The dice a keep rule leaves in play
+    keepDice(dice, keep) {
+        if (!keep) return dice;
+        const sorted = [...dice].sort((a, b) => keep.highest ? b - a : a - b);
+        return sorted.slice(0, keep.count);
+    },
+
+    // Expected total of a parsed expression
+    average(expression) {
+        let total = 0;
+        for (const term of expression.terms) {
+            if (term.type === 'constant') {
+                total += term.sign * term.value;
+            } else if (!term.explode && !term.keep) {
+                total += term.sign * term.count * (term.sides + 1) / 2;
+            } else {
+                let mean = 0;
+                for (const [value, p] of this.termDistribution(term)) mean += value * p;
+                total += term.sign * mean;
+            }
+        }
+        return total;
+    },
+
+    // Exact distribution of totals: Map of total -> probability
+    distribution(expression) {
+        let result = new Map([[0, 1]]);
+        for (const term of expression.terms) {
+            const values = term.type === 'constant'
+                ? new Map([[term.value, 1]])
+                : this.termDistribution(term);
+            result = this.combine(result, values, term.sign);
+        }
+        return result;
+    },
+
+    // Add (sign 1) or subtract (sign -1) an independent distribution
+    combine(a, b, sign = 1) {
+        const result = new Map();
+        for (const [x, px] of a) {
+            for (const [y, py] of b) {
+                const total = x + sign * y;
+                result.set(total, (result.get(total) || 0) + px * py);
+            }
+        }
+        return result;
+    },
+
+    // Distribution of one die, following explosions up to the cap
+    dieDistribution(sides, explode) {
+        const result = new Map();
+        const add = (base, p, rerolls) => {
+            for (let face = 1; face <= sides; face++) {
+                const value = base + face;
+                if (explode && face === sides && rerolls < this.maxExplosions) {
+                    add(value, p / sides, rerolls + 1);
+                } else {
+                    result.set(value, (result.get(value) || 0) + p / sides);
+                }
+            }
+        };
+        add(0, 1, 0);
+        return result;
+    },
+
+    termDistribution(term) {
+        const die = this.dieDistribution(term.sides, term.explode);
+
+        if (!term.keep) {
+            let result = new Map([[0, 1]]);
+            for (let i = 0; i < term.count; i++) {
+                result = this.combine(result, die);
+            }
+            return result;
+        }
+
+        // Order statistics: walk the faces from the kept end, choosing how many
+        // of the dice not yet placed show each face. The first keep.count dice
+        // placed are the ones kept, so a state is (dice placed, kept total).
+        // Once they are all placed, the rest only have to land on later faces,
+        // so the work grows with count × faces rather than with every kept hand.
+        const faces = [...die].sort((a, b) => term.keep.highest ? b[0] - a[0] : a[0] - b[0]);
+        const keepCount = term.keep.count;
+        const add = (map, key, p) => map.set(key, (map.get(key) || 0) + p);
+        const result = new Map();
+        let states = [new Map([[0, 1]])]; // by dice placed: kept total -> probability
+
+        faces.forEach(([value, pv], index) => {
+            // Chance of a die landing on one of the faces after this one
+            const later = faces.slice(index + 1).reduce((sum, [, p]) => sum + p, 0);
+            const next = Array.from({ length: keepCount }, () => new Map());
+            states.forEach((totals, placed) => {
+                const free = term.count - placed;
+                for (const [total, p] of totals) {
+                    for (let shown = 0; shown <= free; shown++) {
+                        const key = total + Math.min(shown, keepCount - placed) * value;
+                        const prob = p * this.binomial(free, shown) * pv ** shown;
+                        if (placed + shown < keepCount) {
+                            add(next[placed + shown], key, prob);
+                        } else {
+                            add(result, key, prob * later ** (free - shown));
+                        }
+                    }
+                }
+            });
+            states = next;
+        });
+        return result;
+    },
+
+    // Ways to choose k of n
+    binomial(n, k) {
+        let result = 1;
+        for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+        return result;
+    }
+};
@@ -6,12 +6,17 @@
  * Effect types:
  *   setFlag: 'flagName'                       - set a global flag to true
  *   clearFlag: 'flagName'                     - set a global flag to false
+ *   setMetaFlag: 'flagName'                   - set a ledger flag that survives jumps
+ *   clearMetaFlag: 'flagName'                 - clear a ledger flag
  *   modifyStat: ['statName', delta]           - add delta to player stat
  *   setStat: ['statName', value]              - set player stat to value
  *   modifyCharStat: ['charId', 'stat', delta] - modify any character's stat
  *   modifySkill: ['skillName', delta]         - add delta to player skill
  *   setSkill: ['skillName', value]            - set player skill to value
+ *   gainSkillXp: ['skillName', xp]            - practice a skill (xp defaults to a week's practice)
  *   addDeepSkill: 'skillName'                 - add deep skill specialty to player
+ *   addTrace: ['traceId', amount]             - add to a trace, reduced by mitigation
+ *   throwOffTimecops: amount                  - remove attention from the timecop investigation
  *   setCharFlag: ['charId', 'flag', value]    - set character-specific flag
  *   giveObject: { template, name, state }     - create and give object to player
  *   removeObjectOfType: 'templateType'        - remove first object of type
@@ -23,11 +28,29 @@
  *   endPursuit: 'pursuitId'                   - deactivate a pursuit
  *   ensurePossession: ['type', { state }]     - create or update a possession
  *   showText: 'text'                          - queue text for display
+ *   delayEnd: weeks                           - push The End back by N weeks
+ *   accelerateEnd: weeks                      - bring The End forward by N weeks
+ *   setEndWeek: week                          - schedule The End for a specific week
+ *   avertEnd: true                            - avert The End in this universe
+ *   triggerEnding: 'endingId' or true         - conclude the game (true picks the best eligible ending)
+ *   triggerJump: true                         - end this universe and jump to the next
  *
  * Returns collected text for display (if any showText effects were used).
  */
 
 const EffectExecutor = {
+    // Every effect type execute() runs; add new types here as well as below
+    // (tools/validate.js reports any other key in data as an unknown effect)
+    types: [
+        'setFlag', 'clearFlag', 'setMetaFlag', 'clearMetaFlag',
+        'modifyStat', 'setStat', 'modifyCharStat', 'modifySkill', 'setSkill', 'gainSkillXp',
+        'addDeepSkill', 'addTrace', 'throwOffTimecops', 'setCharFlag',
+        'giveObject', 'removeObjectOfType', 'advanceChapter', 'enterStory',
+        'modifyObjectiveProgress', 'setObjectiveProgress', 'startPursuit', 'endPursuit',
+        'ensurePossession', 'delayEnd', 'accelerateEnd', 'setEndWeek', 'avertEnd',
+        'triggerEnding', 'showText', 'custom', 'triggerJump'
+    ],
+
     // Execute an array of effects, return any text to display
     execute(effects, game, context = {}) {
         if (!effects || !Array.isArray(effects)) return null;
@@ -46,6 +69,16 @@ const EffectExecutor = {
                 game.setFlag(effect.clearFlag, false);
             }
 
+            // setMetaFlag: 'flagName'
+            if (effect.setMetaFlag != null) {
+                game.setMetaFlag(effect.setMetaFlag, true);
+            }
+
+            // clearMetaFlag: 'flagName'
+            if (effect.clearMetaFlag != null) {
+                game.setMetaFlag(effect.clearMetaFlag, false);
+            }
+
             // modifyStat: ['statName', delta]
             if (effect.modifyStat != null) {
                 const [stat, delta] = effect.modifyStat;
@@ -76,11 +109,30 @@ const EffectExecutor = {
                 game.setSkill(pid, skillName, value);
             }
 
+            // gainSkillXp: ['skillName', xp] or 'skillName' - skill-ups are shown
+            if (effect.gainSkillXp != null) {
+                const [skillName, xp] = [].concat(effect.gainSkillXp);
+                const skillUps = game.gainSkillXp(pid, skillName, xp ?? SkillProgression.weeklyPracticeXp);
+                const text = game.describeSkillUps(skillUps);
+                if (text) textParts.push(text);
+            }
+
             // addDeepSkill: 'skillName'
             if (effect.addDeepSkill != null) {
                 game.addDeepSkill(pid, effect.addDeepSkill);
             }
 
+            // addTrace: ['traceId', amount]
+            if (effect.addTrace != null) {
+                const [traceId, amount] = effect.addTrace;
+                game.addTrace(traceId, amount);
+            }
+
+            // throwOffTimecops: amount
+            if (effect.throwOffTimecops != null) {
+                game.throwOffTimecops(effect.throwOffTimecops);
+            }
+
             // setCharFlag: ['charId', 'flagName', value]
             if (effect.setCharFlag != null) {
                 const [charId, flag, value] = effect.setCharFlag;
@@ -161,14 +213,34 @@ const EffectExecutor = {
                 }
             }
 
-            // showText: 'text' - collect for display
+            // delayEnd: weeks - push The End back
+            if (effect.delayEnd != null) {
+                game.state.theEnd.week += effect.delayEnd;
+            }
+
+            // accelerateEnd: weeks - bring The End forward
+            if (effect.accelerateEnd != null) {
+                game.state.theEnd.week -= effect.accelerateEnd;
+            }
+
+            // setEndWeek: week - schedule The End for a specific week
+            if (effect.setEndWeek != null) {
+                game.state.theEnd.week = effect.setEndWeek;
+            }
+
+            // avertEnd: true - The End will not arrive in this universe
+            if (effect.avertEnd) {
+                game.state.theEnd.averted = true;
+            }
+
+            // triggerEnding: 'endingId' or true - shown in place of the next display
+            if (effect.triggerEnding != null) {
+                game.triggerEnding(effect.triggerEnding);
+            }
+
+            // showText: 'text' - collect for display (interpolated where it is shown)
             if (effect.showText != null) {
-                let text = effect.showText;
-                // Support text interpolation if context provided
-                if (context.interpolate && typeof TextInterpolation !== 'undefined') {
-                    text = TextInterpolation.interpolate(text, context.interpolate);
-                }
-                textParts.push(text);
+                textParts.push(effect.showText);
             }
 
             // custom: allows inline simple expressions (use sparingly)
@@ -177,6 +249,13 @@ const EffectExecutor = {
                 const result = effect.custom(game, context);
                 if (result) textParts.push(result);
             }
+
+            // triggerJump: true - end this universe and start the next
+            // Any remaining effects belonged to the old universe, so stop here
+            if (effect.triggerJump) {
+                game.jump();
+                break;
+            }
         }
 
         return textParts.length > 0 ? textParts.join('\n\n') : null;
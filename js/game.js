@@ -5,55 +5,351 @@
  * Main game loop (triggered after actions and at week end):
  *   1. evaluateEvents() - check for triggered events, run highest priority
  *   2. evaluateStorylines() - check each storyline for chapter advancement
- *   3. refreshDisplay() - collect narrative text, available actions, render UI
+ *   3. refreshDisplay() - collect narrative text and available actions, present view models
+ *      (skipped when an event is on screen; resolving its choices refreshes instead)
  *
  * Key concepts:
  *   - Characters and Objects are instances created from templates
  *   - Player is just a character with id stored in state.playerId
  *   - Storylines track current chapter and whether text has been shown
- *   - Actions are collected based on conditions and rendered as buttons
+ *   - Actions are collected based on conditions and presented as options
+ *   - Chapters and events can offer choices; a choice's `next` advances the
+ *     storyline that offered it
  *   - Flags drive storyline advancement and action availability
+ *   - A jump wipes per-universe state; jumperIdentity and the ledger (meta flags,
+ *     deep skills, past lives) persist
+ *   - An ending (data/endings.js) concludes the game once The End is resolved
+ *   - Display goes through view models handed to a pluggable renderer
  */
 
 const Game = {
     state: null,
     nextId: 1,
-
-    // Controllable randomness for testing - override this to inject deterministic values
+    currentChoices: null,    // Event choices currently on screen (journal records indexes into this)
+    choiceStory: null,       // Storyline the on-screen event choices belong to
+    choiceTarget: null,      // Target of the event that offered the on-screen choices
+    queuedText: [],          // Effect text waiting to be shown with the next display
+    pendingDeepMemory: null, // Continues the ability check waiting on the deep memory prompt
+    renderer: null,          // Presentation layer (see Presentation); null runs headless
+    view: {},                // Latest view model per slot
+    optionHandler: null,     // Receives the index of the option the player picks
+    entryHandler: null,      // Receives the values of the form the player submits
+    redraw: null,            // Shows the current screen again (see relocalize)
+
+    // Seeded randomness - every game roll goes through here so saves reload
+    // with identical future rolls. Tests may still override this to inject values.
     random() {
-        return Math.random();
+        return SeededRandom.next(this.state.rng);
     },
 
     // Initialize new game
-    init() {
+    // seed: optional RNG seed (defaults to Config.randomSeed, else a fresh random seed)
+    init(seed = Config.randomSeed) {
         this.nextId = 1;
+        this.queuedText = [];
+        this.pendingDeepMemory = null;
         this.state = {
+            rng: SeededRandom.create(seed ?? SeededRandom.randomSeed()),
+            jumpCount: 0,
+            jumperIdentity: null,  // Persistent identity across all iterations
+            ledger: this.createLedger(),
+            journal: []            // Every player input, for replays (see js/journal.js)
+        };
+        this.resetUniverse();
+
+        this.enterStory(Config.initialStory);
+        this.evaluateStorylines();
+        this.refreshDisplay();
+    },
+
+    // Replace all per-universe state with a fresh universe.
+    // Only state that persists across jumps (jumpCount, jumperIdentity, ledger) is kept.
+    resetUniverse() {
+        Object.assign(this.state, {
             week: 1,
             actionsRemaining: Config.actionsPerPeriod,
             weekStartActions: Config.actionsPerPeriod,  // Track total actions for week progress
-            jumpCount: 0,
             playerId: null,
-            jumperIdentity: null,  // Persistent identity across all iterations
             characters: {},
             objects: {},
             storylines: {},
             pursuits: {},
             completedEvents: [],
             eventSchedule: {},  // Tracks event rolls and trigger times for current week
-            flags: {}
-        };
+            variants: {},       // Variant rolls for text shown this week (see interpolateText)
+            flags: {},
+            ending: null,       // Ending on screen: { id, slide } (see Endings)
+            lifeArchived: false // Set once this life is in the ledger (see archiveLife)
+        });
         this.state.playerId = this.createCharacter('player', 'You');
+        this.scheduleEnd();
+        this.resetTimecops();
 
         // Initialize pursuits (non-action types get their defaults)
         if (typeof PursuitManager !== 'undefined') {
             PursuitManager.initDefaults(this);
         }
+    },
 
-        this.enterStory(Config.initialStory);
+    // === Jumps ===
+    // A jump ends the current universe and starts the next one.
+    // The Jumper keeps their identity, the ledger and persistent traces; everything
+    // else (characters, objects, storylines, pursuits, flags, events) is wiped.
+    // The life that ended is archived in the ledger first (see Ledger) and its
+    // summary card presented; the rest of the display is left to the caller's game loop.
+    jump() {
+        const traces = this.getPersistentTraces();
+        const summary = this.archiveLife();
+
+        this.state.jumpCount++;
+        this.resetUniverse();
+
+        const pid = this.state.playerId;
+        for (const [traceId, value] of Object.entries(traces)) {
+            this.setStat(pid, traceId, value);
+        }
+        for (const skill of this.state.jumperIdentity?.deepSkills || []) {
+            this.addDeepSkill(pid, skill);
+        }
+        for (const skill of this.state.ledger.deepSkills) {
+            this.addDeepSkill(pid, skill);
+        }
+
+        // Identity was already remembered in a past life
+        if (this.state.jumperIdentity) {
+            this.setFlag('jumper_identity_created');
+            this.assignBodyGender();
+        }
+
+        this.enterStory(Config.jumpStory);
+        this.evaluateStorylines();
+        this.present('lifeSummary', this.describeLife(summary));
+    },
+
+    // === Ledger ===
+    // What the Jumper carries from life to life, kept outside the per-universe
+    // state so a jump never touches it:
+    //   metaFlags  - knowledge that survives jumps (e.g. what The End looks like)
+    //   deepSkills - skills mastered in a past life, promoted to deep skills
+    //   pastLives  - a summary of every finished life, oldest first
+
+    createLedger() {
+        return { metaFlags: {}, deepSkills: [], pastLives: [] };
+    },
+
+    setMetaFlag(flag, value = true) {
+        this.state.ledger.metaFlags[flag] = value;
+    },
+
+    hasMetaFlag(flag) {
+        return !!this.state.ledger.metaFlags[flag];
+    },
+
+    // Skills the player has raised to mastery (SkillProgression.masteryThreshold)
+    // A skill's own points count, so a specialty isn't mastered through its parent
+    getMasteredSkills() {
+        const skills = this.getPlayer()?.skills || {};
+        const held = { ...skills.general, ...skills.specific };
+        return Object.keys(held)
+            .filter(skill => SkillDefinitions[skill] && held[skill] >= SkillProgression.masteryThreshold);
+    },
+
+    // Record the ending life in the ledger: its deep skills and mastered
+    // skills become deep skills for every later life. Returns the summary.
+    // A life is archived once: a jump after an ending gets the ending's summary.
+    archiveLife() {
+        const ledger = this.state.ledger;
+        if (this.state.lifeArchived) return ledger.pastLives[ledger.pastLives.length - 1];
+        this.state.lifeArchived = true;
+
+        const promoted = [...new Set([...(this.getPlayer()?.deepSkills || []), ...this.getMasteredSkills()])]
+            .filter(skill => !ledger.deepSkills.includes(skill)
+                && !this.state.jumperIdentity?.deepSkills?.includes(skill));
+        ledger.deepSkills.push(...promoted);
+
+        const pid = this.state.playerId;
+        const theEnd = this.state.theEnd;
+        const summary = {
+            universe: this.state.jumpCount + 1,
+            name: this.getPlayer()?.name || 'Unknown',
+            weeks: this.state.week,
+            stats: Object.fromEntries(Object.keys(StatDefinitions).map(stat => [stat, this.getStat(pid, stat)])),
+            objectives: Object.entries(this.state.storylines)
+                .filter(([, storyline]) => storyline.completed)
+                .map(([storyId, storyline]) => ({
+                    id: storyId,
+                    title: Stories[storyId]?.title || storyId,
+                    result: storyline.result
+                })),
+            relationships: this.getCharacterObjectsOfType(pid, 'acquaintance').map(obj => ({
+                name: this.getCharacter(obj.state.targetCharId)?.name || obj.name,
+                type: obj.state.relationshipType
+            })),
+            end: {
+                week: theEnd.week,
+                scheduledWeek: theEnd.scheduledWeek ?? theEnd.week,
+                arrived: theEnd.arrived,
+                averted: theEnd.averted
+            },
+            promotedSkills: promoted,
+            ending: this.state.ending?.id || null
+        };
+        ledger.pastLives.push(summary);
+        return summary;
+    },
+
+    // Summary card for an archived life: { title, lines }
+    // Lines are built from the life.* strings, in the current language
+    describeLife(summary) {
+        const lines = [Localization.t('life.lived', { unit: this.getTimeUnitName(), weeks: summary.weeks })];
+
+        const stats = DisplayedStats
+            .filter(stat => summary.stats[stat] !== undefined)
+            .map(stat => `${this.getStatLabel(stat)} ${summary.stats[stat]}`);
+        if (stats.length) lines.push(Localization.t('life.stats', { stats: stats.join(', ') }));
+
+        const titles = (result) => summary.objectives
+            .filter(objective => objective.result === result)
+            .map(objective => Localization.text(objective.title));
+        const succeeded = titles('success');
+        const failed = titles('failure');
+        if (succeeded.length) lines.push(Localization.t('life.completed', { titles: succeeded.join(', ') }));
+        if (failed.length) lines.push(Localization.t('life.failed', { titles: failed.join(', ') }));
+
+        if (summary.relationships.length) {
+            const people = summary.relationships
+                .map(({ name, type }) => type ? Localization.t('life.relationship', { name, type: type.replace(/_/g, ' ') }) : name);
+            lines.push(Localization.t('life.relationships', { people: people.join(', ') }));
+        }
+
+        lines.push(this.describeLifeEnd(summary));
+
+        if (summary.ending) {
+            lines.push(Localization.t('life.ending', { title: Localization.text(Endings[summary.ending]?.title) || summary.ending }));
+        }
+
+        if (summary.promotedSkills.length) {
+            const skills = summary.promotedSkills.map(skill => this.getSkillLabel(skill));
+            lines.push(Localization.t('life.deepSkills', { skills: skills.join(', ') }));
+        }
+
+        return { title: Localization.t('life.title', { universe: summary.universe, name: summary.name }), lines };
+    },
+
+    // How close this life came to averting The End
+    describeLifeEnd({ end, weeks }) {
+        if (end.averted) return Localization.t('life.averted');
+
+        const unit = this.getTimeUnitName();
+        const span = (count) => this.getTimeSpan(count);
+        const shift = end.week - end.scheduledWeek;
+        const moved = shift > 0 ? Localization.t('life.later', { span: span(shift) })
+            : shift < 0 ? Localization.t('life.early', { span: span(-shift) }) : '';
+        if (end.arrived) return Localization.t('life.arrived', { unit, week: end.week, moved });
+        return Localization.t('life.left', { span: span(end.week - weeks), moved });
+    },
+
+    // === The End ===
+    // Every universe ends. Each one gets its own End week, which stories
+    // can delay, accelerate, or avert entirely.
+
+    scheduleEnd() {
+        const { baseWeek, variance } = Config.theEnd;
+        let week = baseWeek;
+        if (variance > 0) {
+            week += Math.floor(this.random() * (variance * 2 + 1)) - variance;
+        }
+        this.state.theEnd = { week, scheduledWeek: week, averted: false, arrived: false };
+    },
+
+    getWeeksUntilEnd() {
+        return this.state.theEnd.week - this.state.week;
+    },
+
+    isEndDue() {
+        const end = this.state.theEnd;
+        return !end.averted && !end.arrived && this.getWeeksUntilEnd() <= 0;
+    },
+
+    // The End arrives: the week flow stops and the End story takes over.
+    // The End story is responsible for triggering the jump.
+    triggerEnd() {
+        this.state.theEnd.arrived = true;
+        this.state.actionsRemaining = 0;
+        this.enterStory(Config.theEnd.story);
         this.evaluateStorylines();
         this.refreshDisplay();
     },
 
+    // === Endings ===
+    // Endings (data/endings.js) conclude the Jumper's story. When the End week
+    // is reached, averted or not, the highest-priority ending whose conditions
+    // pass takes over; with none eligible the week goes on as usual (and an
+    // unaverted End arrives). Effects can also start one with triggerEnding.
+    // An ending shows its text, then each epilogue slide in turn; the life is
+    // archived in the ledger and the game is over after the last slide.
+    //   state.ending = { id, slide }  // slide 0 is the ending text
+
+    // Highest-priority eligible ending (the first listed wins ties), or null
+    selectEnding() {
+        let best = null;
+        for (const [id, ending] of Object.entries(Endings)) {
+            if (!ConditionChecker.check(ending.conditions, this)) continue;
+            if (!best || (ending.priority || 0) > (Endings[best].priority || 0)) best = id;
+        }
+        return best;
+    },
+
+    // Start an ending by ID, or the best eligible one with true
+    // The ending takes over at the next display; returns false if there is none
+    triggerEnding(endingId = true) {
+        const id = endingId === true ? this.selectEnding() : endingId;
+        if (!Endings[id]) {
+            console.error(id ? `Game: Unknown ending "${id}"` : 'Game: No ending is eligible');
+            return false;
+        }
+
+        this.state.ending = { id, slide: 0 };
+        this.state.actionsRemaining = 0;
+        this.archiveLife();
+        return true;
+    },
+
+    showEnding() {
+        const ending = Endings[this.state.ending.id];
+        const slides = [ending.text, ...(ending.epilogue || [])];
+        const slide = this.state.ending.slide;
+
+        const queued = slide === 0 ? this.takeQueuedText() : [];
+        this.redraw = (redrawing = true) => {
+            const texts = slide === 0
+                ? [...this.queuedParagraphs(queued, redrawing), `<strong>${this.interpolateText(ending.title)}</strong>`, this.interpolateText(ending.text)]
+                : [this.interpolateText(slides[slide])];
+            this.showNarrative(texts.join('\n\n'));
+
+            const last = slide >= slides.length - 1;
+            const items = [{ text: Localization.t(last ? 'ending.newGame' : 'common.continue'), primary: true }];
+            this.showOptions({ kind: 'ending', items }, () => last ? this.init() : this.advanceEnding());
+        };
+        this.redraw(false);
+        this.updateHud();
+    },
+
+    // Move on to the next epilogue slide; returns false if there is none
+    advanceEnding() {
+        const ending = this.state.ending;
+        const slides = ending ? 1 + (Endings[ending.id].epilogue?.length || 0) : 0;
+        if (!ending || ending.slide >= slides - 1) {
+            console.error('Game: No epilogue slide to advance to');
+            return false;
+        }
+
+        this.record({ type: 'epilogue' });
+        ending.slide++;
+        this.showEnding();
+        return true;
+    },
+
     // === ID Generation ===
     generateId(prefix) {
         return `${prefix}_${this.nextId++}`;
@@ -94,17 +390,79 @@ const Game = {
             skills: { general: {}, specific: {} },
             deepSkills: [],
             gender: template?.gender || null,
+            pronouns: template?.pronouns || null,
             inventory: [],
             flags: {}
         };
         return id;
     },
 
+    // Set a body gender (one of Genders); core-only genders such as fluid are refused
     setCharacterGender(charId, gender) {
         const char = this.getCharacter(charId);
-        if (char && Genders.includes(gender)) {
-            char.gender = gender;
+        if (!char) return false;
+        if (!Genders.includes(gender)) {
+            console.error(`Game: "${gender}" is not a body gender`);
+            return false;
+        }
+        char.gender = gender;
+        return true;
+    },
+
+    // Give a character their own pronoun set: the name of a table in
+    // TextInterpolation.pronouns, a full table, or null to follow their gender
+    setCharacterPronouns(charId, pronouns) {
+        const char = this.getCharacter(charId);
+        if (!char) return false;
+        if (typeof pronouns === 'string' && !TextInterpolation.pronouns[pronouns]) {
+            console.error(`Game: Unknown pronoun set "${pronouns}"`);
+            return false;
+        }
+        const problem = pronouns && typeof pronouns === 'object' && TextInterpolation.validatePronounTable(pronouns);
+        if (problem) {
+            console.error(`Game: ${problem}`);
+            return false;
         }
+        char.pronouns = pronouns || null;
+        return true;
+    },
+
+    // Ask the player for a pronoun set of their own, then call onDone(table)
+    // The form stays up, with a note, until every form is filled in
+    showPronounEntry(onDone, values = {}, error = null) {
+        const fields = TextInterpolation.pronounForms.map(form => ({
+            id: form,
+            label: Localization.t(`pronouns.${form}`),
+            value: values[form] || ''
+        }));
+        fields.push({
+            id: 'number',
+            label: Localization.t('pronouns.number'),
+            value: values.number || 'singular',
+            choices: ['singular', 'plural'].map(number => ({ value: number, text: Localization.t(`pronouns.${number}`) }))
+        });
+
+        this.showEntry({ title: Localization.t('pronouns.title'), fields, error, submit: Localization.t('pronouns.submit') }, entered => {
+            const table = {};
+            for (const field of fields) {
+                table[field.id] = String(entered[field.id] ?? '').trim().toLowerCase();
+            }
+            if (TextInterpolation.validatePronounTable(table)) {
+                this.showPronounEntry(onDone, table, Localization.t('pronouns.incomplete'));
+            } else {
+                onDone(table);
+            }
+        });
+    },
+
+    // Give the player's body its gender: the Jumper's core gender, or a roll
+    // from bodyGenders for fluid Jumpers (see JumperGenderOptions)
+    assignBodyGender() {
+        const core = this.state.jumperIdentity?.coreGender;
+        if (!core) return;
+        const options = JumperGenderOptions[core]?.bodyGenders;
+        const gender = options ? options[Math.floor(this.random() * options.length)] : core;
+        this.setCharacterGender(this.state.playerId, gender);
     },
 
     getCharacter(id) {
@@ -115,6 +473,18 @@ const Game = {
         return this.getCharacter(this.state.playerId);
     },
 
+    // Resolve a character reference to an ID: 'player', a character ID, or the
+    // relationship type of one of the player's acquaintances (e.g. 'enemy')
+    // Returns null if nothing matches
+    resolveCharacterRef(ref) {
+        if (ref === 'player') return this.state.playerId;
+        if (this.getCharacter(ref)) return ref;
+
+        const acquaintance = this.getCharacterObjectsOfType(this.state.playerId, 'acquaintance')
+            .find(obj => obj.state.relationshipType === ref && this.getCharacter(obj.state.targetCharId));
+        return acquaintance ? acquaintance.state.targetCharId : null;
+    },
+
     transformCharacter(charId, newTemplateType) {
         const char = this.getCharacter(charId);
         const template = this.resolveTemplate(CharacterTemplates, newTemplateType);
@@ -252,6 +622,60 @@ const Game = {
         char.skills[bucket][skillName] = value;
     },
 
+    // === Skill Progress ===
+    // Practice grants XP toward the next point of a skill's own value (see
+    // SkillProgression in data/skills.js). Costs rise with each point held;
+    // specific skills pass a share of their XP on to their parent.
+
+    // XP needed for the next point of a skill
+    skillPointCost(charId, skillName) {
+        const def = SkillDefinitions[skillName];
+        const bucket = def.type === 'general' ? 'general' : 'specific';
+        const current = this.getCharacter(charId)?.skills?.[bucket]?.[skillName] ?? 0;
+        return SkillProgression.xpPerPoint[def.type] * (1 + Math.max(0, current) * SkillProgression.costGrowth);
+    },
+
+    // Add XP to a skill, raising it for each point's worth
+    // Returns the skills that went up: [{ skill, value }] (value is the effective skill)
+    gainSkillXp(charId, skillName, amount) {
+        const char = this.getCharacter(charId);
+        const def = typeof SkillDefinitions !== 'undefined' ? SkillDefinitions[skillName] : null;
+        if (!char || !def || !(amount > 0)) return [];
+
+        // Effective values are read once the parent has had its share too
+        return this.addSkillXp(char, skillName, amount)
+            .map(skill => ({ skill, value: this.getSkill(charId, skill) }));
+    },
+
+    // Returns the IDs of skills raised by the XP
+    addSkillXp(char, skillName, amount) {
+        const def = SkillDefinitions[skillName];
+        if (!char.skillXp) char.skillXp = {};
+
+        let xp = (char.skillXp[skillName] ?? 0) + amount;
+        let raised = false;
+        for (let cost = this.skillPointCost(char.id, skillName); xp >= cost; cost = this.skillPointCost(char.id, skillName)) {
+            xp -= cost;
+            this.modifySkill(char.id, skillName, 1);
+            raised = true;
+        }
+        char.skillXp[skillName] = xp;
+
+        const skillUps = raised ? [skillName] : [];
+        if (def.type === 'specific' && SkillDefinitions[def.parent]) {
+            skillUps.push(...this.addSkillXp(char, def.parent, amount * SkillProgression.parentShare));
+        }
+        return skillUps;
+    },
+
+    // Notification text for skill-ups, or null if there were none
+    describeSkillUps(skillUps) {
+        if (!skillUps.length) return null;
+        return skillUps
+            .map(({ skill, value }) => Localization.t('skillUp.improved', { skill: this.getSkillLabel(skill), value }))
+            .join(' ');
+    },
+
     hasDeepSkill(charId, skillName) {
         const char = this.getCharacter(charId);
         return char?.deepSkills?.includes(skillName) ?? false;
@@ -266,6 +690,131 @@ const Game = {
         }
     },
 
+    // === Traces ===
+    // Traces are player stats with extra rules from TraceDefinitions
+    // (data/stats.js): weekly decay, universe or persistent scope, and named
+    // levels. Accrual through addTrace is reduced by mitigation from active
+    // pursuits (or their selected option) and owned objects:
+    //   traceMitigation: { deepskill_use: 0.5 }  // blocks half of new residue
+
+    // Add to a trace after mitigation; returns the amount actually added
+    addTrace(traceId, amount) {
+        const applied = this.getTraceAccrual(traceId, amount);
+        this.modifyStat(this.state.playerId, traceId, applied);
+        return applied;
+    },
+
+    // How much of an increase would stick after mitigation (reductions pass through)
+    getTraceAccrual(traceId, amount) {
+        return amount > 0 ? Math.round(amount * (1 - this.getTraceMitigation(traceId))) : amount;
+    },
+
+    // Fraction of new accrual blocked (0-1); several sources stack multiplicatively
+    getTraceMitigation(traceId) {
+        const sources = [];
+
+        if (typeof Pursuits !== 'undefined') {
+            for (const [pursuitId, state] of Object.entries(this.state.pursuits)) {
+                const pursuit = Pursuits[pursuitId];
+                if (!pursuit || !ConditionChecker.check({ pursuitActive: pursuitId }, this)) continue;
+                sources.push(pursuit.traceMitigation, pursuit.options?.[state.option]?.traceMitigation);
+            }
+        }
+
+        for (const obj of this.getCharacterObjects(this.state.playerId)) {
+            const template = this.resolveTemplate(ObjectTemplates, obj.templateType);
+            sources.push(obj.state.traceMitigation ?? template?.traceMitigation);
+        }
+
+        let remaining = 1;
+        for (const mitigation of sources) {
+            const share = mitigation?.[traceId] ?? 0;
+            remaining *= 1 - Math.min(1, Math.max(0, share));
+        }
+        return 1 - remaining;
+    },
+
+    // Highest named level a trace has reached, or null
+    getTraceLevel(traceId) {
+        const value = this.getStat(this.state.playerId, traceId);
+        let reached = null;
+        for (const [level, threshold] of Object.entries(TraceDefinitions[traceId]?.levels || {})) {
+            if (value >= threshold) reached = level;
+        }
+        return reached;
+    },
+
+    // Apply one week of decay to every trace
+    decayTraces() {
+        const pid = this.state.playerId;
+        for (const [traceId, def] of Object.entries(TraceDefinitions)) {
+            const value = this.getStat(pid, traceId);
+            if (def.decay?.linear) {
+                this.setStat(pid, traceId, value - def.decay.linear);
+            } else if (def.decay?.exponential) {
+                this.setStat(pid, traceId, Math.floor(value * (1 - def.decay.exponential)));
+            }
+        }
+    },
+
+    // Trace values that follow the Jumper into the next universe
+    getPersistentTraces() {
+        const traces = {};
+        for (const [traceId, def] of Object.entries(TraceDefinitions)) {
+            if (def.scope === 'persistent') {
+                traces[traceId] = this.getStat(this.state.playerId, traceId);
+            }
+        }
+        return traces;
+    },
+
+    // === Timecops ===
+    // Every universe has its own timecop investigation. Each week the
+    // Jumper's traces draw attention (TimecopInvestigation.traceWeights) and
+    // old leads cool off; attention moves the investigation through its
+    // stages (rumors, surveillance, confrontation), which events react to
+    // with the timecopStage condition. Throwing them off removes attention.
+    //   state.timecops = { attention: 0 }
+
+    resetTimecops() {
+        this.state.timecops = { attention: 0 };
+    },
+
+    // Attention the player's current traces draw in one week
+    getTimecopAttentionGain() {
+        let gain = 0;
+        for (const [traceId, weight] of Object.entries(TimecopInvestigation.traceWeights)) {
+            gain += this.getStat(this.state.playerId, traceId) * weight;
+        }
+        return Math.round(gain);
+    },
+
+    // One week of investigation (before traces decay)
+    advanceTimecops() {
+        const change = this.getTimecopAttentionGain() - TimecopInvestigation.cooling;
+        this.setTimecopAttention(this.state.timecops.attention + change);
+    },
+
+    setTimecopAttention(value) {
+        this.state.timecops.attention = Math.max(0, Math.min(TimecopInvestigation.maxAttention, value));
+    },
+
+    // Lead the timecops astray; returns the attention actually removed
+    throwOffTimecops(amount) {
+        const before = this.state.timecops.attention;
+        this.setTimecopAttention(before - amount);
+        return before - this.state.timecops.attention;
+    },
+
+    // Furthest stage the investigation has reached, or null if nobody is looking
+    getTimecopStage() {
+        let reached = null;
+        for (const [stage, threshold] of Object.entries(TimecopInvestigation.stages)) {
+            if (this.state.timecops.attention >= threshold) reached = stage;
+        }
+        return reached;
+    },
+
     // === Flags ===
     setFlag(flag, value = true) {
         this.state.flags[flag] = value;
@@ -287,12 +836,35 @@ const Game = {
 
     // === Time ===
     endWeek() {
+        this.record({ type: 'endWeek' });
+
         // Check exit conditions for action-gated pursuits
         if (typeof PursuitManager !== 'undefined') {
             PursuitManager.checkExitConditions(this);
         }
 
         this.state.week++;
+        this.advanceTimecops();
+        this.decayTraces();
+        if (Config.fluidGenderRoll === 'week' && this.state.jumperIdentity?.coreGender === 'fluid') {
+            this.assignBodyGender();
+        }
+
+        // Reaching the End week resolves it: an eligible ending concludes the game
+        if (this.getWeeksUntilEnd() <= 0 && !this.state.theEnd.arrived) {
+            const endingId = this.selectEnding();
+            if (endingId) {
+                this.triggerEnding(endingId);
+                this.refreshDisplay();
+                return;
+            }
+        }
+
+        // The End replaces the normal week transition
+        if (this.isEndDue()) {
+            this.triggerEnd();
+            return;
+        }
 
         // Save checkpoint: before pursuit management for the new week
         this.save('autosave');
@@ -332,13 +904,12 @@ const Game = {
             this.state.actionsRemaining = Config.actionsPerPeriod;
         }
 
-        // Reset event schedule for new week and record total actions
+        // Reset event schedule and variant rolls for new week and record total actions
         this.state.eventSchedule = {};
+        this.state.variants = {};
         this.state.weekStartActions = this.state.actionsRemaining;
 
-        this.evaluateEvents();
-        this.evaluateStorylines();
-        this.refreshDisplay();
+        this.runGameLoop();
     },
 
     // Calculate progress through the week (0 = start, 1 = end)
@@ -378,13 +949,23 @@ const Game = {
 
     useAction(cost = 1) {
         this.state.actionsRemaining -= cost;
-        this.evaluateEvents();
+        this.runGameLoop();
+    },
+
+    // One pass of the main game loop. A triggered event keeps the screen
+    // until the player resolves its choices.
+    runGameLoop() {
+        const eventShown = this.evaluateEvents();
         this.evaluateStorylines();
-        this.refreshDisplay();
+        if (!eventShown) this.refreshDisplay();
     },
 
     // === Events ===
+    // Returns true if an event was triggered and is now on screen
     evaluateEvents() {
+        // Nothing happens once the game has ended
+        if (this.state.ending) return false;
+
         // Schedule any newly eligible probabilistic events
         this.scheduleNewEvents();
 
@@ -408,7 +989,7 @@ const Game = {
             eligible.push({ id, event });
         }
 
-        if (eligible.length === 0) return;
+        if (eligible.length === 0) return false;
 
         eligible.sort((a, b) => (b.event.priority || 0) - (a.event.priority || 0));
         const winner = eligible[0];
@@ -428,25 +1009,47 @@ const Game = {
         }
 
         // Execute the winning event
+        const event = winner.event;
         let result;
-        if (winner.event.handler && Handlers[winner.event.handler]) {
-            result = Handlers[winner.event.handler](this, winner.event, {});
-        } else if (winner.event.effects) {
-            const text = EffectExecutor.execute(winner.event.effects, this);
+        if (event.handler && Handlers[event.handler]) {
+            result = Handlers[event.handler](this, event, {});
+        } else {
+            const jumpCount = this.state.jumpCount;
+            const effectText = event.effects ? EffectExecutor.execute(event.effects, this) : null;
+            const texts = [event.text || effectText];
+
+            // A jump ended the universe (and storyline) this event belonged to:
+            // its check, next and choices no longer apply
+            const jumped = this.state.jumpCount !== jumpCount;
+            if (event.abilityCheck && !jumped) {
+                const check = this.runAbilityCheck(event);
+                texts.push(check.text);
+                this.followNext(event.story || null, check.next);
+            }
+            const choices = jumped ? [] : (event.choices || []).filter(choice => ConditionChecker.check(choice.conditions, this));
             result = {
-                text: winner.event.text || text || '',
-                choices: [{ text: 'Continue', action: 'dismiss' }]
+                text: texts.filter(Boolean).join('\n\n'),
+                choices: choices.length > 0 ? choices : [{ text: Localization.t('common.continue'), action: 'dismiss' }],
+                storyId: jumped ? null : event.story || null
             };
-        } else {
-            result = { text: winner.event.text || '', choices: [{ text: 'Continue', action: 'dismiss' }] };
         }
 
-        if (result) this.showEventResult(result);
+        if (!result) return false;
+        this.showEventResult({ target: event.target || null, ...result });
+        return true;
     },
 
+    // result: { text, choices, storyId, target } - storyId binds the choices' `next` to a
+    // storyline; target (a character reference) is [target:...] in its text and its choices'
     showEventResult(result) {
-        this.renderStory(result.text);
-        this.renderChoices(result.choices);
+        const queued = this.takeQueuedText();
+        this.redraw = (redrawing = true) => {
+            const texts = [...this.queuedParagraphs(queued, redrawing), this.interpolateText(result.text, result.target)].filter(Boolean);
+            this.showNarrative(texts.join('\n\n'));
+            this.showChoices(result.choices, result.storyId || null, result.target || null);
+        };
+        this.redraw(false);
+        this.updateHud();
     },
 
     // === Stories ===
@@ -528,12 +1131,12 @@ const Game = {
             // Execute effects
             const effects = isSuccess ? chapter.successEffects : chapter.failureEffects;
             if (effects) {
-                const text = EffectExecutor.execute(effects, this);
-                if (text) this.renderStory(text);
+                this.queueText(EffectExecutor.execute(effects, this));
             }
         }
     },
 
+    // Chapter text to show, uninterpolated so the screen can be redrawn
     collectNarrativeText() {
         const texts = [];
 
@@ -563,7 +1166,7 @@ const Game = {
     // === Actions ===
     // Actions are things the player can do, defined in data/actions.js.
     // They're collected based on conditions (storyline state, flags, etc.)
-    // and rendered as buttons. Actions set flags/stats; storylines react.
+    // and presented as options. Actions set flags/stats; storylines react.
 
     collectAvailableActions() {
         const available = [];
@@ -576,16 +1179,18 @@ const Game = {
     },
 
     executeAction(action) {
+        this.record({ type: 'action', id: action.id });
+        this.withDeepMemoryChoice(action, useDeepMemory => this.performAction(action, useDeepMemory));
+    },
+
+    performAction(action, useDeepMemory = false) {
+        const jumpCount = this.state.jumpCount;
         if (action.actionCost) {
             this.state.actionsRemaining -= action.actionCost;
         }
 
         // Continuation: resumes game loop after action completes
-        const continueGameLoop = () => {
-            this.evaluateEvents();
-            this.evaluateStorylines();
-            this.refreshDisplay();
-        };
+        const continueGameLoop = () => this.runGameLoop();
 
         // Run handler if present
         // Handlers can return { async: true, skipEffects: true }
@@ -597,10 +1202,14 @@ const Game = {
 
         // Process declarative effects unless handler said to skip
         if (action.effects && !handlerResult?.skipEffects) {
-            const text = EffectExecutor.execute(action.effects, this);
-            if (text) {
-                this.renderStory(text);
-            }
+            this.queueText(EffectExecutor.execute(action.effects, this), action.target);
+        }
+
+        // Roll the action's ability check and apply the outcome for its tier,
+        // unless its effects jumped out of the universe it belonged to
+        const jumped = this.state.jumpCount !== jumpCount;
+        if (action.abilityCheck && !handlerResult?.skipEffects && !jumped) {
+            this.queueText(this.runAbilityCheck(action, useDeepMemory).text, action.target);
         }
 
         // If handler is async (interactive sequence), it will call onComplete when done
@@ -611,14 +1220,286 @@ const Game = {
     },
 
     refreshDisplay() {
-        // Always update narrative area (clears stale text when nothing to show)
-        const narrativeTexts = this.collectNarrativeText();
-        this.renderStory(narrativeTexts.join('\n\n'));
+        if (this.state.ending) {
+            this.showEnding();
+            return;
+        }
+
+        const queued = this.takeQueuedText();
+        const chapterTexts = this.collectNarrativeText();
+        this.redraw = (redrawing = true) => {
+            // Always update narrative area (clears stale text when nothing to show)
+            const narrativeTexts = [...this.queuedParagraphs(queued, redrawing), ...chapterTexts.map(text => this.interpolateText(text))];
+            this.showNarrative(narrativeTexts.join('\n\n'));
+
+            const actions = this.collectAvailableActions();
+            this.showActions(actions, this.collectStoryChoices());
+        };
+        this.redraw(false);
+
+        this.updateHud();
+    },
+
+    // Hold effect text (e.g. from showText) until the next display
+    // target: character reference for [target:...] tokens (see interpolateText)
+    // The source is kept so a redraw can interpolate it again
+    queueText(text, target = null) {
+        if (text) this.queuedText.push({ text, target, shown: this.interpolateText(text, target) });
+    },
+
+    // Fill in text tokens (docs/text.md) with the standard entities from
+    // TextInterpolation.gameContext, plus [target:...] when target names a
+    // character (an ID, 'player' or a relationship type; see resolveCharacterRef)
+    // Variant rolls are kept per source text and target for the week, so the
+    // same text reads the same when shown again, in any language
+    interpolateText(text, target = null) {
+        if (!text) return text;
+        const key = `${target ?? ''}|${text}`;
+        const rolls = this.state.variants[key] || [];
+        text = Localization.text(text);
+        const context = TextInterpolation.gameContext(this);
+        if (target) {
+            const charId = this.resolveCharacterRef(target);
+            if (!charId) TextInterpolation.warn(`No character "${target}" to target`);
+            context.target = charId ? this.getCharacter(charId) : null;
+        }
+        const result = TextInterpolation.interpolate(text, context, this, rolls);
+        if (rolls.length > 0) this.state.variants[key] = rolls;
+        return result;
+    },
+
+    takeQueuedText() {
+        const texts = this.queuedText;
+        this.queuedText = [];
+        return texts;
+    },
+
+    // Paragraphs for taken queued text: as first interpolated, or interpolated
+    // again in the current language when redrawing
+    queuedParagraphs(queued, redrawing = false) {
+        return queued.map(entry => redrawing ? this.interpolateText(entry.text, entry.target) : entry.shown);
+    },
+
+    // Show the current screen again in the current language, e.g. after
+    // Localization.setLocale; an open pursuit panel is rebuilt too
+    relocalize() {
+        if (this.redraw) this.redraw();
+        if (this.view.pursuits && typeof PursuitManager !== 'undefined') PursuitManager.presentPanel(this, true);
+        this.updateHud();
+    },
+
+    // === Choices ===
+    // Choices are offered by chapters (alongside actions, while the chapter is
+    // current) and by events (in place of actions, until one is picked).
+    // Each is bound to the storyline that offered it, so `next` advances
+    // that storyline even when several are running.
+    //
+    // Choice fields: text, conditions, actionCost, effects, next, abilityCheck
+    //   (with outcome blocks, see Ability Checks),
+    //   action: 'startCreation' | 'createNpcAcquaintance' | 'dismiss'
+
+    // Choices offered by each storyline's current chapter
+    collectStoryChoices() {
+        const offered = [];
+        for (const [storyId, storylineState] of Object.entries(this.state.storylines)) {
+            const chapter = Stories[storyId]?.chapters[storylineState.currentChapter];
+            if (!chapter?.choices) continue;
+
+            chapter.choices.forEach((choice, index) => {
+                if (ConditionChecker.check(choice.conditions, this)) {
+                    offered.push({ storyId, index, choice });
+                }
+            });
+        }
+        return offered;
+    },
+
+    // Pick a choice from a storyline's current chapter (index into chapter.choices)
+    // Returns false if the chapter has no such choice
+    chooseStoryChoice(storyId, index) {
+        const storylineState = this.state.storylines[storyId];
+        const chapter = storylineState && Stories[storyId]?.chapters[storylineState.currentChapter];
+        const choice = chapter?.choices?.[index];
+        if (!choice) {
+            console.error(`Game: No choice ${index} in story "${storyId}"`);
+            return false;
+        }
+
+        this.record({ type: 'choice', story: storyId, index });
+        this.withDeepMemoryChoice(choice, useDeepMemory => this.resolveChoice(choice, storyId, useDeepMemory));
+        return true;
+    },
+
+    // Pick one of the event choices on screen
+    handleChoice(choice) {
+        this.record({ type: 'choice', index: this.currentChoices?.indexOf(choice) ?? -1 });
+        const storyId = this.choiceStory;
+        const target = choice.target || this.choiceTarget;
+        this.withDeepMemoryChoice(choice, useDeepMemory => this.resolveChoice(choice, storyId, useDeepMemory, target));
+    },
+
+    // Apply a choice and continue the game loop
+    // storyId: storyline the choice belongs to (null if not tied to one)
+    // target: character reference for [target:...] tokens in its text
+    resolveChoice(choice, storyId, useDeepMemory = false, target = choice.target || null) {
+        const jumpCount = this.state.jumpCount;
+        if (choice.actionCost) this.state.actionsRemaining -= choice.actionCost;
+
+        // Handler-built choices may carry a function instead of effect data
+        if (typeof choice.effects === 'function') {
+            choice.effects(this);
+        } else if (choice.effects) {
+            this.queueText(EffectExecutor.execute(choice.effects, this), target);
+        }
+
+        let next = choice.next;
+        if (choice.abilityCheck) {
+            const check = this.runAbilityCheck(choice, useDeepMemory);
+            this.queueText(check.text, target);
+            if (check.next) next = check.next;
+        }
+
+        // A jump ended the storyline this choice belonged to
+        if (this.state.jumpCount !== jumpCount) next = null;
+
+        const finish = () => {
+            this.followNext(storyId, next);
+            if (choice.actionCost) {
+                this.runGameLoop();
+            } else {
+                this.evaluateStorylines();
+                this.refreshDisplay();
+            }
+        };
+
+        if (choice.action === 'startCreation') {
+            const choiceSet = CreationChoiceSets[choice.creationChoices] || [];
+            CharacterCreation.start(this.state.playerId, choiceSet, { onComplete: finish });
+        } else if (choice.action === 'createNpcAcquaintance') {
+            // Create NPC and run creation flow
+            const npcId = this.createCharacter('human', 'Acquaintance');
+            const choiceSet = CreationChoiceSets[choice.creationChoices] || [];
+            CharacterCreation.start(npcId, choiceSet, {
+                createAcquaintanceFor: this.state.playerId,
+                reverseAcquaintance: choice.reverseAcquaintance || false,
+                onComplete: finish
+            });
+        } else {
+            finish();
+        }
+    },
+
+    // Advance the storyline a choice or event belongs to
+    followNext(storyId, next) {
+        if (!next) return;
+        if (!storyId || !this.state.storylines[storyId]) {
+            console.error(`Game: "${next}" has no active storyline to advance`);
+            return;
+        }
+        this.advanceChapter(storyId, next);
+    },
+
+    // === Ability Checks ===
+    // Actions, events and choices can carry an abilityCheck (ID or inline) with
+    // outcome blocks { text, effects, next } for each tier:
+    //   onCrushingSuccess, onSuccess, onFailure, onCrushingFailure
+    // A missing tier falls back to its neighbour on the same side (see
+    // AbilityChecker.selectOutcome). `next` applies to choices and story-bound events.
+    //
+    // Before an action's or choice's check the player is asked whether to
+    // draw on deep memory (skipped with deepMemory: false). Event checks are
+    // passive and always use current-identity skills. Trace costs for the
+    // deep path are declared as deepMemoryTraces: { timecop_suspicion: 10 }.
+
+    // Roll the entity's check, apply its outcome effects and grant the player skill XP
+    // Returns { result, text, next } - text is the outcome (and skill-up) text for display;
+    // result.traces holds the trace costs applied (after mitigation) for using deep memory
+    runAbilityCheck(entity, useDeepMemory = false) {
+        const result = AbilityChecker.check(entity.abilityCheck, this, useDeepMemory);
+        if (useDeepMemory && !result.error) {
+            result.traces = {};
+            for (const [traceId, amount] of Object.entries(entity.deepMemoryTraces || {})) {
+                result.traces[traceId] = this.addTrace(traceId, amount);
+            }
+        }
+
+        const outcome = AbilityChecker.selectOutcome(entity, result.outcome);
+        const texts = [];
+        if (outcome) {
+            texts.push(outcome.text);
+            if (outcome.effects) texts.push(EffectExecutor.execute(outcome.effects, this));
+        }
+
+        // Every attempt is practice
+        if (!result.error) {
+            const xp = SkillProgression.checkXp[result.outcome];
+            texts.push(this.describeSkillUps(this.gainSkillXp(this.state.playerId, result.skill, xp)));
+        }
+
+        return {
+            result,
+            text: texts.filter(Boolean).join('\n\n') || null,
+            next: outcome?.next || null
+        };
+    },
+
+    // Ask about deep memory before an entity's check, then call proceed(useDeepMemory)
+    // Entities without a check (or with deepMemory: false) proceed straight away
+    withDeepMemoryChoice(entity, proceed) {
+        if (!entity.abilityCheck || entity.deepMemory === false) {
+            proceed(false);
+            return;
+        }
 
-        const actions = this.collectAvailableActions();
-        this.renderActions(actions);
+        this.pendingDeepMemory = proceed;
+        this.showDeepMemoryPrompt(entity);
+    },
+
+    showDeepMemoryPrompt(entity) {
+        const check = AbilityChecker.resolveCheck(entity.abilityCheck);
+        const specialty = check && this.hasDeepSkill(this.state.playerId, check.skill);
+        const odds = (useDeepMemory) => AbilityChecker.describeOdds(entity.abilityCheck, this, useDeepMemory);
+
+        const traces = Object.entries(entity.deepMemoryTraces || {})
+            .map(([trace, amount]) => [trace, this.getTraceAccrual(trace, amount)])
+            .filter(([, amount]) => amount > 0)
+            .map(([trace, amount]) => `${StatDefinitions[trace] ? this.getStatLabel(trace) : trace.replace(/_/g, ' ')} +${amount}`);
+        const deepDetail = [
+            Localization.t('deepMemory.odds', { odds: odds(true) }),
+            Localization.t(specialty ? 'deepMemory.specialty' : 'deepMemory.general'),
+            traces.length ? Localization.t('deepMemory.traces', { traces: traces.join(', ') }) : Localization.t('deepMemory.noTraces')
+        ];
+
+        this.redraw = () => this.showDeepMemoryPrompt(entity);
+        this.showNarrative(Localization.t('deepMemory.prompt'));
+        this.showOptions({
+            kind: 'deepMemory',
+            items: [
+                { text: Localization.t('deepMemory.rely'), detail: Localization.t('deepMemory.odds', { odds: odds(false) }) },
+                { text: Localization.t('deepMemory.draw'), detail: deepDetail.join(' ') }
+            ]
+        }, index => this.chooseDeepMemory(index === 1));
+    },
+
+    // Answer the deep memory prompt; returns false if no check is waiting
+    chooseDeepMemory(useDeepMemory) {
+        const proceed = this.pendingDeepMemory;
+        if (!proceed) {
+            console.error('Game: No ability check is waiting on deep memory');
+            return false;
+        }
 
-        this.updateUI();
+        this.record({ type: 'deepMemory', use: useDeepMemory });
+        this.pendingDeepMemory = null;
+        proceed(useDeepMemory);
+        return true;
+    },
+
+    // === Journal ===
+    record(entry) {
+        if (typeof Journal !== 'undefined') {
+            Journal.record(this, entry);
+        }
     },
 
     // === Save/Load ===
@@ -647,7 +1528,17 @@ const Game = {
             const parsed = JSON.parse(data);
             this.state = parsed.state;
             this.nextId = parsed.nextId;
-            this.updateUI();
+            // Saves from before seeded randomness get a fresh generator
+            if (!this.state.rng) this.state.rng = SeededRandom.create(SeededRandom.randomSeed());
+            // Saves from before The End existed get a fresh schedule
+            if (!this.state.theEnd) this.scheduleEnd();
+            // Saves from before timecops existed start with no investigation
+            if (!this.state.timecops) this.resetTimecops();
+            // Saves from before the ledger existed start with an empty one
+            if (!this.state.ledger) this.state.ledger = this.createLedger();
+            // Saves from before variant rolls were kept have none yet
+            if (!this.state.variants) this.state.variants = {};
+            this.updateHud();
             return true;
         }
         return false;
@@ -656,6 +1547,7 @@ const Game = {
     // Resume game after loading - shows pursuit UI since saves happen before it
     // TODO: First week has no pursuit UI yet; default pursuits should be set during character creation
     resumeFromLoad() {
+        this.record({ type: 'resume' });
         if (typeof PursuitManager !== 'undefined') {
             PursuitManager.showPursuitUI(this, () => this.startWeek());
         } else {
@@ -697,121 +1589,153 @@ const Game = {
         localStorage.removeItem(key);
     },
 
-    // === UI ===
-    renderStory(text) {
-        const el = document.getElementById('story-text');
-        el.innerHTML = text.split('\n\n').map(p => `<p>${p}</p>`).join('');
+    // === Presentation ===
+    // The engine never touches the page. It builds plain view models and hands
+    // them to this.renderer (BrowserRenderer in the browser). Any object with a
+    // render(slot, view, game) method can stand in; with no renderer the engine
+    // runs headless and frontends or tests read this.view instead.
+    //
+    // Slots:
+    //   narrative: { paragraphs: ['...'] }
+    //   options:   { kind, items: [{ text, detail, cost, selected, disabled, primary }], status }
+    //              kind is 'actions', 'choices', 'creation', 'jumperCreation', 'deepMemory' or 'ending'
+    //   hud:       { time: 'Week 3', actions: { remaining, total }, stats: [{ id, label, value }] }
+    //   lifeSummary: { title, lines: ['...'] } - card for the life a jump just ended
+    //   pursuits:  pursuit panel (see PursuitManager.buildPanelView), null when closed;
+    //              rebuild is set when the open panel must be drawn again in full
+    //   entry:     { title, fields: [{ id, label, value, choices: [{ value, text }] }], error, submit }
+    //              a short form to fill in (e.g. a custom pronoun set), null when closed
+    //
+    // Player input comes back through selectOption(index); the pursuit panel
+    // uses PursuitManager.configure() and PursuitManager.confirm(), and forms
+    // submitEntry({ fieldId: value }).
+
+    present(slot, view) {
+        this.view[slot] = view;
+        if (this.renderer) this.renderer.render(slot, view, this);
     },
 
-    renderChoices(choices) {
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
+    showNarrative(text) {
+        this.present('narrative', { paragraphs: text ? text.split('\n\n') : [] });
+    },
 
-        for (const choice of choices) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = choice.text;
-            if (choice.actionCost) {
-                btn.textContent += ` [${choice.actionCost} action${choice.actionCost > 1 ? 's' : ''}]`;
-                btn.disabled = this.state.actionsRemaining < choice.actionCost;
-            }
-            btn.addEventListener('click', () => this.handleChoice(choice));
-            container.appendChild(btn);
+    // Offer a list of options; onSelect is called with the index of the picked item
+    // New options replace any form left open (e.g. by loading a save)
+    showOptions(view, onSelect) {
+        if (this.entryHandler) {
+            this.entryHandler = null;
+            this.present('entry', null);
         }
+        this.optionHandler = onSelect;
+        this.present('options', view);
+    },
 
-        if (this.state.actionsRemaining === 0) {
-            const endBtn = document.createElement('button');
-            endBtn.className = 'choice-btn';
-            endBtn.textContent = `End ${Config.timeUnit}`;
-            endBtn.addEventListener('click', () => this.endWeek());
-            container.appendChild(endBtn);
-        }
+    // Ask for a form to be filled in; onSubmit is called with { fieldId: value }
+    showEntry(view, onSubmit) {
+        this.entryHandler = onSubmit;
+        this.present('entry', view);
     },
 
-    renderActions(actions) {
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
+    // Player submitted the open form; returns false if there is none
+    submitEntry(values) {
+        const handler = this.entryHandler;
+        if (!handler) return false;
+        this.entryHandler = null;
+        this.present('entry', null);
+        handler(values);
+        return true;
+    },
 
-        for (const action of actions) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = action.text;
-            if (action.actionCost) {
-                btn.textContent += ` [${action.actionCost} action${action.actionCost > 1 ? 's' : ''}]`;
-                btn.disabled = this.state.actionsRemaining < action.actionCost;
-            }
-            btn.addEventListener('click', () => this.executeAction(action));
-            container.appendChild(btn);
-        }
+    // Player picked an option from the current list
+    // Returns false if there is no such option or it is disabled
+    selectOption(index) {
+        const item = this.view.options?.items[index];
+        if (!item || item.disabled || !this.optionHandler) return false;
+        this.optionHandler(index);
+        return true;
+    },
 
-        if (this.state.actionsRemaining === 0) {
-            const endBtn = document.createElement('button');
-            endBtn.className = 'choice-btn';
-            endBtn.textContent = `End ${Config.timeUnit}`;
-            endBtn.addEventListener('click', () => this.endWeek());
-            container.appendChild(endBtn);
-        }
+    showChoices(choices, storyId = null, target = null) {
+        this.currentChoices = choices;
+        this.choiceStory = storyId;
+        this.choiceTarget = target;
+        const items = choices.map(choice => this.optionItem(choice, choice.target || target));
+        const handlers = choices.map(choice => () => this.handleChoice(choice));
+        this.addEndWeekOption(items, handlers);
+        this.showOptions({ kind: 'choices', items }, index => handlers[index]());
     },
 
-    handleChoice(choice) {
-        if (choice.actionCost) this.useAction(choice.actionCost);
-        if (choice.effects) choice.effects(this);
+    // Actions, preceded by the choices current chapters offer (from collectStoryChoices)
+    showActions(actions, storyChoices = []) {
+        this.currentChoices = null;
+        this.choiceStory = null;
+        this.choiceTarget = null;
+        const items = [
+            ...storyChoices.map(({ choice }) => this.optionItem(choice)),
+            ...actions.map(action => this.optionItem(action))
+        ];
+        const handlers = [
+            ...storyChoices.map(({ storyId, index }) => () => this.chooseStoryChoice(storyId, index)),
+            ...actions.map(action => () => this.executeAction(action))
+        ];
+        this.addEndWeekOption(items, handlers);
+        this.showOptions({ kind: 'actions', items }, index => handlers[index]());
+    },
 
-        if (choice.action === 'startCreation') {
-            const choiceSet = CreationChoiceSets[choice.creationChoices] || [];
-            const nextChapter = choice.next;
-            CharacterCreation.start(this.state.playerId, choiceSet, {
-                onComplete: () => {
-                    if (nextChapter) {
-                        const storyId = Object.keys(this.state.storylines)[0];
-                        if (storyId) this.loadChapter(storyId, nextChapter);
-                    }
-                    this.updateUI();
-                }
-            });
-        } else if (choice.action === 'createNpcAcquaintance') {
-            // Create NPC and run creation flow
-            const npcId = this.createCharacter('human', 'Acquaintance');
-            const choiceSet = CreationChoiceSets[choice.creationChoices] || [];
-            const nextChapter = choice.next;
-            CharacterCreation.start(npcId, choiceSet, {
-                createAcquaintanceFor: this.state.playerId,
-                reverseAcquaintance: choice.reverseAcquaintance || false,
-                onComplete: () => {
-                    if (nextChapter) {
-                        const storyId = Object.keys(this.state.storylines)[0];
-                        if (storyId) this.loadChapter(storyId, nextChapter);
-                    }
-                    this.updateUI();
-                }
-            });
-        } else if (choice.action === 'dismiss') {
-            const storyId = Object.keys(this.state.storylines)[0];
-            if (storyId) {
-                this.loadChapter(storyId, this.state.storylines[storyId].currentChapter);
-            }
-        } else if (choice.next) {
-            const storyId = Object.keys(this.state.storylines)[0];
-            if (storyId) this.loadChapter(storyId, choice.next);
+    // Option for an action or choice; disabled if it costs more actions than remain
+    // target: character reference for [target:...] tokens in its text
+    optionItem(entry, target = entry.target || null) {
+        const item = { text: this.interpolateText(entry.text, target) };
+        if (entry.actionCost) {
+            item.cost = entry.actionCost;
+            item.disabled = this.state.actionsRemaining < entry.actionCost;
+        }
+        return item;
+    },
+
+    addEndWeekOption(items, handlers) {
+        if (this.state.actionsRemaining === 0 && !this.state.theEnd.arrived) {
+            items.push({ text: Localization.t('options.endPeriod', { unit: this.getTimeUnitName() }) });
+            handlers.push(() => this.endWeek());
         }
-        this.updateUI();
     },
 
-    updateUI() {
+    updateHud() {
         const pid = this.state.playerId;
-        document.getElementById('time-display').textContent =
-            `${this.capitalize(Config.timeUnit)} ${this.state.week}`;
-        document.getElementById('actions-display').textContent =
-            `Actions: ${this.state.actionsRemaining}/${Config.actionsPerPeriod}`;
-
-        const statsList = document.getElementById('stats-list');
-        statsList.innerHTML = DisplayedStats
-            .map(key => {
-                const def = StatDefinitions[key];
-                const val = this.getStat(pid, key);
-                return `<li><span>${def?.displayName || key}</span><span>${val}</span></li>`;
-            })
-            .join('');
+        this.present('hud', {
+            time: Localization.t('hud.time', { unit: this.capitalize(this.getTimeUnitName()), week: this.state.week }),
+            actions: { remaining: this.state.actionsRemaining, total: Config.actionsPerPeriod },
+            stats: DisplayedStats.map(key => ({
+                id: key,
+                label: this.getStatLabel(key),
+                value: this.getStat(pid, key),
+                text: Localization.formatValue(this.getStat(pid, key), StatDefinitions[key]?.format)
+            }))
+        });
+    },
+
+    // Config.timeUnit in the current language
+    getTimeUnitName() {
+        const id = `units.${Config.timeUnit}`;
+        return Localization.has(id) ? Localization.t(id) : Config.timeUnit;
+    },
+
+    // A count of time units, e.g. "3 weeks"
+    getTimeSpan(count) {
+        const id = `units.${Config.timeUnit}Count`;
+        return Localization.has(id) ? Localization.t(id, { count }) : `${count} ${Config.timeUnit}${count === 1 ? '' : 's'}`;
+    },
+
+    getSkillLabel(skill) {
+        return Localization.has(`skills.${skill}`)
+            ? Localization.t(`skills.${skill}`)
+            : SkillDefinitions[skill]?.title || skill;
+    },
+
+    getStatLabel(key) {
+        return Localization.has(`stats.${key}`)
+            ? Localization.t(`stats.${key}`)
+            : StatDefinitions[key]?.displayName || key;
     },
 
     capitalize(str) {
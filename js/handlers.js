@@ -72,18 +72,19 @@ const Handlers = {
             const rent = home.state.rent || 0;
             const money = game.getStat(pid, 'money');
 
+            const params = { rent: Localization.formatCurrency(rent), home: Localization.text(home.name) };
             if (money >= rent) {
                 game.modifyStat(pid, 'money', -rent);
-                results.push(`Paid $${rent} rent for ${home.name}.`);
+                results.push(Localization.t('rent.paid', params));
             } else {
                 game.removeObject(home.id, pid);
-                results.push(`Evicted from ${home.name}—couldn't afford $${rent} rent.`);
+                results.push(Localization.t('rent.evicted', params));
             }
         }
 
         return {
             text: results.join('\n\n'),
-            choices: [{ text: 'Continue', action: 'dismiss' }]
+            choices: [{ text: Localization.t('common.continue'), action: 'dismiss' }]
         };
     }
 
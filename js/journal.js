@@ -0,0 +1,148 @@
+/* The Last Jump - Journal - by FrigOfFury
+ *
+ * Records every player input into Game.state.journal so it is stored with
+ * the save. Combined with the seeded RNG (state.rng.seed), the journal is
+ * enough to rebuild the game exactly: start from Game.init(seed) and feed
+ * the same inputs back in.
+ *
+ * Entry types:
+ *   { type: 'action', id }                 - Game.executeAction (Actions[id])
+ *   { type: 'choice', index }              - Game.handleChoice (index into displayed event choices)
+ *   { type: 'choice', story, index }       - Game.chooseStoryChoice (index into the chapter's choices)
+ *   { type: 'deepMemory', use }            - Game.chooseDeepMemory (answer to the prompt before a check)
+ *   { type: 'creationOption', index }      - CharacterCreation option (index into choice.options)
+ *   { type: 'creationPronouns', pronouns } - pronoun table typed in after a customPronouns option
+ *   { type: 'jumperStep', step, value }    - JumperCreation step answer
+ *   { type: 'pursuits', config }           - pursuit panel confirmed with this config
+ *   { type: 'endWeek' }                    - Game.endWeek
+ *   { type: 'epilogue' }                   - Game.advanceEnding (next slide of the ending)
+ *   { type: 'resume' }                     - Game.resumeFromLoad
+ *
+ * Exported logs look like: { version: 1, seed, entries: [...] }
+ * Replay in Node with: node tools/replay.js <log-or-save.json>
+ */
+
+const Journal = {
+    version: 1,
+
+    // Append an input entry to the game's journal
+    record(game, entry) {
+        if (!game.state.journal) game.state.journal = [];
+        game.state.journal.push(entry);
+    },
+
+    // Build a standalone log for bug reports
+    export(game) {
+        return {
+            version: this.version,
+            seed: game.state.rng.seed,
+            entries: (game.state.journal || []).map(entry => ({ ...entry }))
+        };
+    },
+
+    // Accept either an exported log or a save file ({ state, nextId, meta })
+    fromSaveData(data) {
+        if (data.entries) return data;
+        const state = data.state || {};
+        return {
+            version: this.version,
+            seed: state.rng?.seed,
+            entries: state.journal || []
+        };
+    },
+
+    // Rebuild a game from scratch by re-applying every logged input
+    // Throws with the failing entry's index so broken weeks can be pinpointed
+    replay(log, game) {
+        game.init(log.seed);
+        // Re-applying entries records them again, so the rebuilt journal matches
+        const entries = log.entries.map(entry => ({ ...entry }));
+
+        entries.forEach((entry, index) => {
+            try {
+                this.apply(entry, game);
+            } catch (error) {
+                error.message = `Journal entry ${index} (${entry.type}): ${error.message}`;
+                error.journalIndex = index;
+                throw error;
+            }
+        });
+
+        return game.state;
+    },
+
+    // Apply a single entry through the same entry points the UI uses
+    apply(entry, game) {
+        switch (entry.type) {
+            case 'action': {
+                const action = Actions[entry.id];
+                if (!action) throw new Error(`Unknown action "${entry.id}"`);
+                game.executeAction(action);
+                break;
+            }
+
+            case 'choice': {
+                if (entry.story) {
+                    if (!game.chooseStoryChoice(entry.story, entry.index)) {
+                        throw new Error(`No choice ${entry.index} in story "${entry.story}"`);
+                    }
+                    break;
+                }
+                const choice = game.currentChoices?.[entry.index];
+                if (!choice) throw new Error(`No choice at index ${entry.index}`);
+                game.handleChoice(choice);
+                break;
+            }
+
+            case 'deepMemory':
+                if (!game.chooseDeepMemory(entry.use)) {
+                    throw new Error('No ability check waiting on deep memory');
+                }
+                break;
+
+            case 'creationOption':
+                if (!CharacterCreation.selectOptionIndex(entry.index)) {
+                    throw new Error(`No creation option at index ${entry.index}`);
+                }
+                break;
+
+            case 'creationPronouns':
+                if (!game.submitEntry(entry.pronouns)) {
+                    throw new Error('No pronoun form is open');
+                }
+                break;
+
+            case 'jumperStep': {
+                const step = JumperCreation.steps[JumperCreation.currentStep];
+                if (!JumperCreation.pendingIdentity || step?.id !== entry.step) {
+                    throw new Error(`Jumper creation is not at step "${entry.step}"`);
+                }
+                JumperCreation.submitStep(entry.value);
+                break;
+            }
+
+            case 'pursuits':
+                if (!PursuitManager.pendingConfirm) {
+                    throw new Error('Pursuit panel is not open');
+                }
+                PursuitManager.applyConfig(game, entry.config);
+                PursuitManager.confirm(game);
+                break;
+
+            case 'endWeek':
+                game.endWeek();
+                break;
+
+            case 'resume':
+                game.resumeFromLoad();
+                break;
+
+            case 'epilogue':
+                if (!game.advanceEnding()) throw new Error('No ending is showing');
+                break;
+
+            default:
+                throw new Error(`Unknown entry type "${entry.type}"`);
+        }
+    }
+};
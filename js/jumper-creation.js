@@ -6,17 +6,21 @@
  *
  * Flow:
  *   1. Core gender selection
- *   2. Attraction preferences (multi-select)
- *   3. Aspiration selection
- *   4. First strategy selection
- *   5. First strategy skills (pick 2)
- *   6. Second strategy selection (can repeat)
- *   7. Second strategy skills (pick 2)
- *   8. Personal interest skill (from remaining)
- *   9. Apply and finish
+ *   2. Pronoun selection
+ *   3. Attraction preferences (multi-select)
+ *   4. Aspiration selection
+ *   5. First strategy selection
+ *   6. First strategy skills (pick 2)
+ *   7. Second strategy selection (can repeat)
+ *   8. Second strategy skills (pick 2)
+ *   9. Personal interest skill (from remaining)
+ *  10. Apply and finish
  *
  * Unlike CharacterCreation which modifies a character, this
  * creates the game-scoped jumperIdentity in Game.state.
+ *
+ * Option titles and descriptions are interpolated like other game text,
+ * so they can use [jumper:...] tokens once the earlier steps are made.
  */
 
 const JumperCreation = {
@@ -39,15 +43,17 @@ const JumperCreation = {
     pointsSpent: 0,
 
     // Step definitions
+    // Titles are string references (see Localization.text)
     steps: [
-        { id: 'gender', type: 'single', title: 'Who Are You?' },
-        { id: 'attraction', type: 'multi', title: 'Who Do You Love?', min: 1, max: 3 },
-        { id: 'aspiration', type: 'single', title: 'What Do You Hope For?' },
-        { id: 'strategy1', type: 'single', title: 'Your First Well-Trod Path' },
-        { id: 'skills1', type: 'points', title: 'Skills From Your Path' },
-        { id: 'strategy2', type: 'single', title: 'Your Second Well-Trod Path' },
-        { id: 'skills2', type: 'points', title: 'More Skills From Your Path' },
-        { id: 'personal', type: 'points', title: 'A Personal Interest' }
+        { id: 'gender', type: 'single', title: '@jumper.gender.title' },
+        { id: 'pronouns', type: 'single', title: '@jumper.pronouns.title' },
+        { id: 'attraction', type: 'multi', title: '@jumper.attraction.title', min: 1, max: 3 },
+        { id: 'aspiration', type: 'single', title: '@jumper.aspiration.title' },
+        { id: 'strategy1', type: 'single', title: '@jumper.strategy1.title' },
+        { id: 'skills1', type: 'points', title: '@jumper.skills1.title' },
+        { id: 'strategy2', type: 'single', title: '@jumper.strategy2.title' },
+        { id: 'skills2', type: 'points', title: '@jumper.skills2.title' },
+        { id: 'personal', type: 'points', title: '@jumper.personal.title' }
     ],
 
     // Get the cost of a skill
@@ -66,6 +72,7 @@ const JumperCreation = {
         this.pointsSpent = 0;
         this.pendingIdentity = {
             coreGender: null,
+            pronouns: null,
             attractedTo: [],
             aspirations: [],
             strategies: [],
@@ -82,14 +89,22 @@ const JumperCreation = {
             return;
         }
 
-        const step = this.steps[this.currentStep];
         this.multiSelectState = [];
         this.pointsSpent = 0;
+        this.renderCurrentStep();
+    },
 
+    // Show the current step (again after each toggle, keeping selections)
+    renderCurrentStep() {
+        Game.redraw = () => this.renderCurrentStep();
+        const step = this.steps[this.currentStep];
         switch (step.id) {
             case 'gender':
                 this.renderGenderStep();
                 break;
+            case 'pronouns':
+                this.renderPronounStep();
+                break;
             case 'attraction':
                 this.renderAttractionStep();
                 break;
@@ -112,98 +127,89 @@ const JumperCreation = {
 
     // Render gender selection
     renderGenderStep() {
-        Game.renderStory('Across countless iterations, through every identity you\'ve worn, who are you at your core?');
+        Game.showNarrative(Localization.t('jumper.gender.prompt'));
 
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
-
-        for (const [id, option] of Object.entries(JumperGenderOptions)) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = option.title;
-            btn.addEventListener('click', () => this.selectGender(id));
-            container.appendChild(btn);
-        }
+        const ids = Object.keys(JumperGenderOptions);
+        Game.showOptions({
+            kind: 'jumperCreation',
+            items: ids.map(id => ({ text: Game.interpolateText(JumperGenderOptions[id].title) }))
+        }, index => this.selectGender(ids[index]));
     },
 
     selectGender(genderId) {
-        this.pendingIdentity.coreGender = genderId;
-        this.currentStep++;
-        this.presentStep();
+        this.submitStep(genderId);
+    },
+
+    // Render pronoun selection
+    renderPronounStep() {
+        Game.showNarrative(Localization.t('jumper.pronouns.prompt'));
+
+        const ids = Object.keys(JumperPronounOptions);
+        Game.showOptions({
+            kind: 'jumperCreation',
+            items: ids.map(id => ({ text: Game.interpolateText(JumperPronounOptions[id].title) }))
+        }, index => JumperPronounOptions[ids[index]].custom ? this.enterCustomPronouns() : this.submitStep(ids[index]));
+    },
+
+    // Ask for every form of a set of the player's own; the table is the step's answer
+    enterCustomPronouns() {
+        Game.redraw = () => this.enterCustomPronouns();
+        Game.showNarrative(Localization.t('jumper.pronouns.customPrompt'));
+        Game.showPronounEntry(table => this.submitStep(table));
     },
 
     // Render attraction multi-select
     renderAttractionStep() {
-        Game.renderStory('Who captures your heart? Select all that apply.');
-
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
-
-        for (const [id, option] of Object.entries(JumperAttractionOptions)) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = option.title;
-            btn.dataset.optionId = id;
-            btn.addEventListener('click', () => this.toggleMultiSelect(btn, id));
-            container.appendChild(btn);
-        }
+        const step = this.steps[this.currentStep];
+        Game.showNarrative(Localization.t('jumper.attraction.prompt'));
+
+        const options = Object.entries(JumperAttractionOptions)
+            .map(([id, option]) => ({ id, text: Game.interpolateText(option.title) }));
+        const count = this.multiSelectState.length;
 
-        // Add continue button
-        this.addContinueButton(container, 1, 3);
+        this.showMultiSelect(options, count >= step.min && count <= step.max, null,
+            option => this.toggleMultiSelect(option.id));
     },
 
     // Render aspiration selection
     renderAspirationStep() {
-        Game.renderStory('If you ever do avert The End for good... what do you hope for?');
-
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
-
-        for (const [id, aspiration] of Object.entries(JumperAspirations)) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.innerHTML = `<strong>${aspiration.title}</strong><br><small>${aspiration.description}</small>`;
-            btn.addEventListener('click', () => this.selectAspiration(id));
-            container.appendChild(btn);
-        }
+        Game.showNarrative(Localization.t('jumper.aspiration.prompt'));
+
+        const ids = Object.keys(JumperAspirations);
+        Game.showOptions({
+            kind: 'jumperCreation',
+            items: ids.map(id => ({
+                text: Game.interpolateText(JumperAspirations[id].title),
+                detail: Game.interpolateText(JumperAspirations[id].description)
+            }))
+        }, index => this.selectAspiration(ids[index]));
     },
 
     selectAspiration(aspirationId) {
-        this.pendingIdentity.aspirations = [aspirationId];
-        this.currentStep++;
-        this.presentStep();
+        this.submitStep(aspirationId);
     },
 
     // Render strategy selection
     renderStrategyStep() {
-        const isSecond = this.currentStep === 5; // strategy2 step
-        const text = isSecond
-            ? 'And what other approach have you refined over the iterations? You may double down on the same path.'
-            : 'Over countless iterations, you\'ve developed expertise. What approach have you focused on?';
-
-        Game.renderStory(text);
-
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
-
-        for (const [id, strategy] of Object.entries(JumperStrategies)) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.innerHTML = `<strong>${strategy.title}</strong><br><small>${strategy.description}</small>`;
-            btn.addEventListener('click', () => this.selectStrategy(id));
-            container.appendChild(btn);
-        }
+        Game.showNarrative(Localization.t(`jumper.${this.steps[this.currentStep].id}.prompt`));
+
+        const ids = Object.keys(JumperStrategies);
+        Game.showOptions({
+            kind: 'jumperCreation',
+            items: ids.map(id => ({
+                text: Game.interpolateText(JumperStrategies[id].title),
+                detail: Game.interpolateText(JumperStrategies[id].description)
+            }))
+        }, index => this.selectStrategy(ids[index]));
     },
 
     selectStrategy(strategyId) {
-        this.pendingIdentity.strategies.push(strategyId);
-        this.currentStep++;
-        this.presentStep();
+        this.submitStep(strategyId);
     },
 
     // Render skills selection for a strategy
     renderSkillsStep() {
-        const strategyIndex = this.currentStep === 4 ? 0 : 1; // skills1 = strategy[0], skills2 = strategy[1]
+        const strategyIndex = this.steps[this.currentStep].id === 'skills1' ? 0 : 1; // skills1 = strategy[0], skills2 = strategy[1]
         const strategyId = this.pendingIdentity.strategies[strategyIndex];
         const strategy = JumperStrategies[strategyId];
         const budget = JumperCreationConfig.pointsPerStrategy;
@@ -217,27 +223,8 @@ const JumperCreation = {
             return;
         }
 
-        Game.renderStory(`From your time as ${strategy.title}, which skills became second nature? You have ${budget} points to spend.`);
-
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
-
-        for (const skillId of availableSkills) {
-            const cost = this.getSkillCost(skillId);
-            const skillDef = typeof SkillDefinitions !== 'undefined' ? SkillDefinitions[skillId] : null;
-            const title = skillDef?.title || skillId;
-
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = `${title} (${cost} pt${cost > 1 ? 's' : ''})`;
-            btn.dataset.optionId = skillId;
-            btn.dataset.cost = cost;
-            btn.addEventListener('click', () => this.toggleSkillSelect(btn, skillId, cost, budget));
-            container.appendChild(btn);
-        }
-
-        // Add points display and continue button
-        this.addPointsContinueButton(container, budget);
+        Game.showNarrative(Localization.t('jumper.skills.prompt', { strategy: strategy.title, count: budget }));
+        this.showSkillSelect(availableSkills, budget);
     },
 
     // Render personal interest selection
@@ -258,27 +245,47 @@ const JumperCreation = {
             return;
         }
 
-        Game.renderStory(`Beyond your practiced approaches, what personal interest have you cultivated? You have ${budget} point${budget > 1 ? 's' : ''} to spend.`);
-
-        const container = document.getElementById('choices-container');
-        container.innerHTML = '';
+        Game.showNarrative(Localization.t('jumper.personal.prompt', { count: budget }));
+        this.showSkillSelect(affordableSkills, budget);
+    },
 
-        for (const skillId of affordableSkills) {
+    // Offer skills bought from a point budget; unaffordable ones are disabled
+    showSkillSelect(skillIds, budget) {
+        const remaining = budget - this.pointsSpent;
+        const options = skillIds.map(skillId => {
             const cost = this.getSkillCost(skillId);
-            const skillDef = typeof SkillDefinitions !== 'undefined' ? SkillDefinitions[skillId] : null;
-            const title = skillDef?.title || skillId;
-
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = `${title} (${cost} pt${cost > 1 ? 's' : ''})`;
-            btn.dataset.optionId = skillId;
-            btn.dataset.cost = cost;
-            btn.addEventListener('click', () => this.toggleSkillSelect(btn, skillId, cost, budget));
-            container.appendChild(btn);
-        }
+            const title = Game.getSkillLabel(skillId);
+            const selected = this.multiSelectState.includes(skillId);
+            return {
+                id: skillId,
+                cost,
+                text: Localization.t('jumper.skillCost', { title, count: cost }),
+                disabled: !selected && cost > remaining
+            };
+        });
+
+        // Continue once at least 1 skill is selected
+        this.showMultiSelect(options, this.multiSelectState.length > 0, Localization.t('jumper.pointsSpent', { spent: this.pointsSpent, budget }),
+            option => this.toggleSkillSelect(option.id, option.cost, budget));
+    },
 
-        // Add points display and continue button
-        this.addPointsContinueButton(container, budget);
+    // Offer toggleable options followed by a Continue button
+    // options: [{ id, text, disabled }]; onToggle is called with the picked option
+    showMultiSelect(options, canContinue, status, onToggle) {
+        const items = options.map(option => ({
+            text: option.text,
+            selected: this.multiSelectState.includes(option.id),
+            disabled: option.disabled || false
+        }));
+        items.push({ text: Localization.t('common.continue'), primary: true, disabled: !canContinue });
+
+        Game.showOptions({ kind: 'jumperCreation', items, status }, index => {
+            if (index === options.length) {
+                this.confirmMultiSelect();
+            } else {
+                onToggle(options[index]);
+            }
+        });
     },
 
     // Get all skill IDs from all strategies (union)
@@ -293,123 +300,72 @@ const JumperCreation = {
     },
 
     // Toggle a multi-select option (for non-skill selections like attractions)
-    toggleMultiSelect(btn, optionId) {
+    toggleMultiSelect(optionId) {
         const index = this.multiSelectState.indexOf(optionId);
         if (index >= 0) {
             this.multiSelectState.splice(index, 1);
-            btn.classList.remove('selected');
         } else {
             this.multiSelectState.push(optionId);
-            btn.classList.add('selected');
         }
 
-        // Update continue button state
-        this.updateContinueButton();
+        this.renderCurrentStep();
     },
 
     // Toggle a skill selection with point costs
-    toggleSkillSelect(btn, skillId, cost, budget) {
+    toggleSkillSelect(skillId, cost, budget) {
         const index = this.multiSelectState.indexOf(skillId);
         if (index >= 0) {
             // Deselect
             this.multiSelectState.splice(index, 1);
             this.pointsSpent -= cost;
-            btn.classList.remove('selected');
-        } else {
+        } else if (this.pointsSpent + cost <= budget) {
             // Only select if we can afford it
-            if (this.pointsSpent + cost <= budget) {
-                this.multiSelectState.push(skillId);
-                this.pointsSpent += cost;
-                btn.classList.add('selected');
-            }
+            this.multiSelectState.push(skillId);
+            this.pointsSpent += cost;
         }
 
-        // Update button states (disable unaffordable)
-        this.updateSkillButtons(budget);
-        this.updatePointsContinueButton(budget);
+        this.renderCurrentStep();
     },
 
-    // Update skill buttons to disable unaffordable ones
-    updateSkillButtons(budget) {
-        const buttons = document.querySelectorAll('.choice-btn[data-cost]');
-        const remaining = budget - this.pointsSpent;
-
-        for (const btn of buttons) {
-            const cost = parseInt(btn.dataset.cost);
-            const isSelected = btn.classList.contains('selected');
-            // Disable if can't afford and not already selected
-            btn.disabled = !isSelected && cost > remaining;
-        }
-    },
-
-    // Add continue button for multi-select steps
-    addContinueButton(container, min, max) {
-        const btn = document.createElement('button');
-        btn.className = 'choice-btn continue-btn';
-        btn.textContent = 'Continue';
-        btn.disabled = true;
-        btn.dataset.min = min;
-        btn.dataset.max = max;
-        btn.addEventListener('click', () => this.confirmMultiSelect());
-        container.appendChild(btn);
-    },
-
-    // Add continue button for points-based selection
-    addPointsContinueButton(container, budget) {
-        const display = document.createElement('div');
-        display.className = 'points-display';
-        display.style.cssText = 'color: #aaa; font-size: 0.9rem; margin: 0.5rem 0;';
-        display.textContent = `Points: 0/${budget} spent`;
-        container.appendChild(display);
-
-        const btn = document.createElement('button');
-        btn.className = 'choice-btn continue-btn';
-        btn.textContent = 'Continue';
-        btn.disabled = true;
-        btn.dataset.budget = budget;
-        btn.addEventListener('click', () => this.confirmMultiSelect());
-        container.appendChild(btn);
+    // Confirm multi-select and proceed
+    confirmMultiSelect() {
+        this.submitStep([...this.multiSelectState]);
     },
 
-    // Update continue button and display for points-based selection
-    updatePointsContinueButton(budget) {
-        const display = document.querySelector('.points-display');
-        const btn = document.querySelector('.continue-btn');
-        if (!btn) return;
+    // Apply the answer for the current step and proceed
+    // value is an option ID for single steps, an array of IDs for multi/points steps,
+    // or a full pronoun table for a custom pronouns answer
+    submitStep(value) {
+        const step = this.steps[this.currentStep];
 
-        if (display) {
-            display.textContent = `Points: ${this.pointsSpent}/${budget} spent`;
+        if (typeof Journal !== 'undefined') {
+            Journal.record(Game, { type: 'jumperStep', step: step.id, value });
         }
 
-        // Enable continue if at least 1 skill selected
-        btn.disabled = this.multiSelectState.length === 0;
-    },
-
-    // Update continue button enabled state
-    updateContinueButton() {
-        const btn = document.querySelector('.continue-btn');
-        if (!btn) return;
-
-        const min = parseInt(btn.dataset.min);
-        const max = parseInt(btn.dataset.max);
-        const count = this.multiSelectState.length;
-
-        btn.disabled = count < min || count > max;
-    },
-
-    // Confirm multi-select and proceed
-    confirmMultiSelect() {
-        const step = this.steps[this.currentStep];
-
         switch (step.id) {
+            case 'gender':
+                this.pendingIdentity.coreGender = value;
+                break;
+            case 'pronouns':
+                this.pendingIdentity.pronouns = typeof value === 'object'
+                    ? value
+                    : JumperPronounOptions[value]?.pronouns ?? null;
+                break;
             case 'attraction':
-                this.pendingIdentity.attractedTo = [...this.multiSelectState];
+                this.pendingIdentity.attractedTo = [...value];
+                break;
+            case 'aspiration':
+                this.pendingIdentity.aspirations = [value];
+                break;
+            case 'strategy1':
+            case 'strategy2':
+                this.pendingIdentity.strategies.push(value);
                 break;
             case 'skills1':
             case 'skills2':
             case 'personal':
                 // Add selected skills to tracking array
-                for (const skillId of this.multiSelectState) {
+                for (const skillId of value) {
                     this.selectedSkills.push(skillId);
                 }
                 break;
@@ -427,11 +383,12 @@ const JumperCreation = {
         // Store in game state
         Game.state.jumperIdentity = { ...this.pendingIdentity };
 
-        // Sync deep skills to player character
+        // Sync deep skills and body gender to player character
         if (Game.state.playerId) {
             for (const skill of this.pendingIdentity.deepSkills) {
                 Game.addDeepSkill(Game.state.playerId, skill);
             }
+            Game.assignBodyGender();
         }
 
         // Call completion callback
@@ -0,0 +1,123 @@
+/* The Last Jump - Localization - by FrigOfFury
+ *
+ * Looks up player-facing strings by ID in the string tables of
+ * data/locales.js, and formats numbers and plurals for the current locale.
+ *
+ * Lookup order: current locale, then Config.fallbackLocale. A string missing
+ * from both logs a warning and shows its ID.
+ *
+ * Usage:
+ *   Localization.t('menu.save')                       // "Save Game"
+ *   Localization.t('saves.week', { week: 3 })          // "Week 3"
+ *   Localization.t('time.minutesAgo', { count: 5 })    // plural form picked by count
+ *   Localization.formatNumber(1200)                    // "1,200" (en) or "1200" (es)
+ *   Localization.formatCurrency(50)                    // "$50" (en) or "50 US$" (es)
+ *   Localization.text('@menu.save')                    // content reference, "Save Game"
+ *
+ * {param} placeholders are filled from params (numbers are formatted); any
+ * other braces are left alone for TextInterpolation.
+ *
+ * The chosen locale is kept in localStorage (Config.localeKey), apart from saves.
+ */
+
+const Localization = {
+    // Current locale ID (read from storage on first use)
+    locale: null,
+
+    getLocale() {
+        if (!this.locale) {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(Config.localeKey) : null;
+            this.locale = Locales[stored] ? stored : Config.defaultLocale;
+        }
+        return this.locale;
+    },
+
+    // Switch language; returns false (and logs) for an unknown locale
+    setLocale(localeId) {
+        if (!Locales[localeId]) {
+            console.error(`Localization: Unknown locale "${localeId}"`);
+            return false;
+        }
+        this.locale = localeId;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(Config.localeKey, localeId);
+        }
+        return true;
+    },
+
+    // Locales for the language picker: [{ id, name }]
+    getAvailableLocales() {
+        return Object.entries(Locales).map(([id, locale]) => ({ id, name: locale.name }));
+    },
+
+    // Current locale's table, with the fallback locale's settings under it
+    getTable() {
+        return { ...Locales[Config.fallbackLocale], ...Locales[this.getLocale()] };
+    },
+
+    lookup(id) {
+        return Locales[this.getLocale()]?.strings[id] ?? Locales[Config.fallbackLocale]?.strings[id];
+    },
+
+    has(id) {
+        return this.lookup(id) !== undefined;
+    },
+
+    // String by ID with {param} placeholders filled; plural strings pick
+    // their form by params.count
+    t(id, params = {}) {
+        let value = this.lookup(id);
+        if (value === undefined) {
+            console.warn(`Localization: No string "${id}"`);
+            return id;
+        }
+        if (typeof value === 'object') {
+            value = value[this.pluralCategory(params.count ?? 0)] ?? value.other;
+        }
+        return value.replace(/\{(\w+)\}/g, (match, key) => {
+            if (!(key in params)) return match;
+            return typeof params[key] === 'number' ? this.formatNumber(params[key]) : String(params[key]);
+        });
+    },
+
+    // Resolve a content reference: '@stringId' is looked up, other text is returned as is
+    text(value) {
+        if (typeof value !== 'string' || !value.startsWith('@')) return value;
+        return this.t(value.slice(1));
+    },
+
+    // Intl.PluralRules category for a count ('one', 'other', ...)
+    pluralCategory(count) {
+        return new Intl.PluralRules(this.getTable().numberLocale).select(count);
+    },
+
+    isPlural(count) {
+        return this.pluralCategory(Math.abs(count)) !== 'one';
+    },
+
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.getTable().numberLocale).format(value);
+    },
+
+    formatCurrency(value) {
+        const { numberLocale, currency } = this.getTable();
+        return new Intl.NumberFormat(numberLocale, { style: 'currency', currency, minimumFractionDigits: 0 }).format(value);
+    },
+
+    // Format a value by a display format ('currency', or plain number)
+    formatValue(value, format) {
+        return format === 'currency' ? this.formatCurrency(value) : this.formatNumber(value);
+    },
+
+    // Pronoun tables this locale replaces (see TextInterpolation.getPronounTable)
+    getPronouns() {
+        return Locales[this.getLocale()]?.pronouns || {};
+    },
+
+    // This locale's [plural, singular] for a verb pair written in content
+    // (see TextInterpolation.resolveVerb); unlisted pairs come back as given
+    getVerb(plural, singular) {
+        const forms = Locales[this.getLocale()]?.verbs?.[`${plural}/${singular}`];
+        return forms ? forms.split('/') : [plural, singular];
+    }
+};
@@ -3,6 +3,9 @@
 // Data globals (Actions, Events, Stories, Pursuits) are loaded via script tags
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Draw the engine's view models into the page
+    Game.renderer = BrowserRenderer;
+
     // Initialize system menu button
     if (typeof SaveManager !== 'undefined') {
         SaveManager.init();
@@ -226,7 +226,8 @@ const PursuitManager = {
         }
 
         if (processedEffects.length > 0) {
-            EffectExecutor.execute(processedEffects, game);
+            // Text (e.g. skill-ups from practice) is shown when the week starts
+            game.queueText(EffectExecutor.execute(processedEffects, game));
         }
     },
 
@@ -304,150 +305,118 @@ const PursuitManager = {
             return;
         }
 
-        this.renderPursuitPanel(game);
         this.pendingConfirm = onConfirm;
+        this.presentPanel(game);
     },
 
-    // Render the pursuit management panel
-    renderPursuitPanel(game) {
-        const container = document.getElementById('pursuit-panel');
-        if (!container) return;
-
-        let html = '<div class="modal-content">';
-        html += '<h2>Weekly Pursuits</h2>';
-        html += '<div class="pursuit-list">';
+    // Hand the pursuit panel's view model to the renderer
+    // rebuild: the whole panel changed (e.g. its language), not just the settings
+    presentPanel(game, rebuild = false) {
+        game.present('pursuits', { ...this.buildPanelView(game), rebuild });
+    },
 
+    // View model for the pursuit management panel
+    buildPanelView(game) {
+        const pursuits = [];
         for (const [pursuitId, pursuit] of Object.entries(Pursuits)) {
             const state = game.state.pursuits[pursuitId];
 
             // Skip inactive action pursuits
             if (pursuit.configType === 'action' && (!state || !state.active)) continue;
 
-            html += this.renderPursuitItem(game, pursuitId, pursuit, state);
-        }
+            const item = {
+                id: pursuitId,
+                title: pursuit.title,
+                description: pursuit.description || null,
+                configType: pursuit.configType,
+                hoursCost: pursuit.hoursCost || 0
+            };
 
-        html += '</div>';
-        html += this.renderHoursSummary(game);
-        html += '<button id="confirm-pursuits" class="choice-btn">Start Week</button>';
-        html += '</div>';
+            switch (pursuit.configType) {
+                case 'toggle':
+                    item.enabled = !!state?.enabled;
+                    break;
 
-        container.innerHTML = html;
-        container.style.display = 'flex';
+                case 'select':
+                    item.option = state?.option;
+                    item.options = Object.entries(pursuit.options).map(([key, opt]) => ({
+                        key,
+                        title: opt.title,
+                        hoursCost: opt.hoursCost || 0,
+                        available: this.isOptionAvailable(game, pursuitId, key)
+                    }));
+                    break;
 
-        // Attach event listeners
-        this.attachPursuitListeners(game, container);
-    },
+                case 'number':
+                    item.value = state?.value || 0;
+                    item.min = pursuit.min || 0;
+                    item.max = pursuit.maxStat
+                        ? game.getStat(game.state.playerId, pursuit.maxStat)
+                        : pursuit.max ?? 9999;
+                    item.step = pursuit.step || 1;
+                    break;
+            }
 
-    // Render a single pursuit item based on its config type
-    renderPursuitItem(game, pursuitId, pursuit, state) {
-        let html = `<div class="pursuit-item" data-pursuit="${pursuitId}">`;
-        html += `<div class="pursuit-title">${pursuit.title}</div>`;
-        if (pursuit.description) {
-            html += `<div class="pursuit-desc">${pursuit.description}</div>`;
+            pursuits.push(item);
         }
 
-        switch (pursuit.configType) {
-            case 'action':
-                html += `<div class="pursuit-status">Active (${pursuit.hoursCost || 0}h/week)</div>`;
-                break;
-
-            case 'toggle':
-                const checked = state?.enabled ? 'checked' : '';
-                html += `<label class="pursuit-toggle"><input type="checkbox" ${checked} data-type="toggle"> `;
-                html += `Enable (${pursuit.hoursCost || 0}h/week)</label>`;
-                break;
-
-            case 'select':
-                html += '<select data-type="select" class="pursuit-select">';
-                for (const [key, opt] of Object.entries(pursuit.options)) {
-                    const available = this.isOptionAvailable(game, pursuitId, key);
-                    const selected = state?.option === key ? 'selected' : '';
-                    const disabled = available ? '' : 'disabled';
-                    html += `<option value="${key}" ${selected} ${disabled}>`;
-                    html += `${opt.title} (${opt.hoursCost || 0}h)</option>`;
-                }
-                html += '</select>';
-                break;
+        const hours = this.calculatePursuitHours(game);
+        const actions = this.calculateEffectiveActions(game);
 
-            case 'number':
-                const max = pursuit.maxStat
-                    ? game.getStat(game.state.playerId, pursuit.maxStat)
-                    : pursuit.max ?? 9999;
-                html += `<input type="number" data-type="number" class="pursuit-number" `;
-                html += `value="${state?.value || 0}" `;
-                html += `min="${pursuit.min || 0}" max="${max}" step="${pursuit.step || 1}">`;
-                html += ` (${pursuit.hoursCost || 0}h when active)`;
-                break;
-        }
+        return {
+            title: Localization.t('pursuits.title'),
+            pursuits,
+            summary: {
+                hours,
+                freeHours: this.FREE_HOURS,
+                overBudget: hours > this.FREE_HOURS,
+                guaranteedActions: actions.guaranteed,
+                bonusChance: actions.bonusChance
+            },
+            confirmText: Localization.t('pursuits.confirm')
+        };
+    },
 
-        html += '</div>';
-        return html;
+    // Player changed a pursuit's settings in the open panel
+    // settings: any of { enabled, option, value }
+    configure(game, pursuitId, settings) {
+        this.applyConfig(game, { [pursuitId]: settings });
+        this.presentPanel(game);
     },
 
-    // Render hours summary and action projection
-    renderHoursSummary(game) {
-        const hours = this.calculatePursuitHours(game);
-        const actions = this.calculateEffectiveActions(game);
-        const isOverBudget = hours > this.FREE_HOURS;
-
-        let html = '<div class="hours-summary">';
-        html += `<div class="${isOverBudget ? 'hours-warning' : ''}">`;
-        html += `Pursuit Hours: ${hours}/${this.FREE_HOURS} free</div>`;
-        html += `<div>Actions This Week: ${actions.guaranteed}`;
-        if (actions.bonusChance > 0) {
-            html += ` (+${Math.round(actions.bonusChance * 100)}% chance of extra)`;
+    // Snapshot the player-configurable settings of every active pursuit
+    getConfig(game) {
+        const config = {};
+        for (const [pursuitId, state] of Object.entries(game.state.pursuits)) {
+            if (!state.active) continue;
+            const { enabled, option, value } = state;
+            config[pursuitId] = { enabled, option, value };
         }
-        html += '</div></div>';
-        return html;
+        return config;
     },
 
-    // Attach change listeners to pursuit inputs
-    attachPursuitListeners(game, container) {
-        // Toggle listeners
-        container.querySelectorAll('input[data-type="toggle"]').forEach(input => {
-            input.addEventListener('change', (e) => {
-                const pursuitId = e.target.closest('.pursuit-item').dataset.pursuit;
-                game.state.pursuits[pursuitId].enabled = e.target.checked;
-                this.updateHoursSummary(game, container);
-            });
-        });
-
-        // Select listeners
-        container.querySelectorAll('select[data-type="select"]').forEach(select => {
-            select.addEventListener('change', (e) => {
-                const pursuitId = e.target.closest('.pursuit-item').dataset.pursuit;
-                game.state.pursuits[pursuitId].option = e.target.value;
-                this.updateHoursSummary(game, container);
-            });
-        });
-
-        // Number listeners
-        container.querySelectorAll('input[data-type="number"]').forEach(input => {
-            input.addEventListener('change', (e) => {
-                const pursuitId = e.target.closest('.pursuit-item').dataset.pursuit;
-                game.state.pursuits[pursuitId].value = parseFloat(e.target.value) || 0;
-                this.updateHoursSummary(game, container);
-            });
-        });
-
-        // Confirm button
-        const confirmBtn = container.querySelector('#confirm-pursuits');
-        if (confirmBtn) {
-            confirmBtn.addEventListener('click', () => {
-                container.style.display = 'none';
-                if (this.pendingConfirm) {
-                    this.pendingConfirm();
-                    this.pendingConfirm = null;
-                }
-            });
+    // Apply a settings snapshot from getConfig (used by replays)
+    applyConfig(game, config) {
+        for (const [pursuitId, settings] of Object.entries(config)) {
+            const state = game.state.pursuits[pursuitId];
+            if (!state) continue;
+            for (const [key, value] of Object.entries(settings)) {
+                if (value !== undefined) state[key] = value;
+            }
         }
     },
 
-    // Update just the hours summary (for live updates)
-    updateHoursSummary(game, container) {
-        const summary = container.querySelector('.hours-summary');
-        if (summary) {
-            summary.outerHTML = this.renderHoursSummary(game);
+    // Player confirmed the week's pursuit settings
+    confirm(game) {
+        if (!this.pendingConfirm) return;
+
+        if (typeof Journal !== 'undefined') {
+            Journal.record(game, { type: 'pursuits', config: this.getConfig(game) });
         }
+
+        const onConfirm = this.pendingConfirm;
+        this.pendingConfirm = null;
+        game.present('pursuits', null);
+        onConfirm();
     }
 };
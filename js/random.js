@@ -0,0 +1,35 @@
+/* The Last Jump - Seeded Random - by FrigOfFury
+ *
+ * Deterministic pseudo-random number generator (mulberry32).
+ * The generator's entire state is a plain object, so it lives in
+ * Game.state.rng and survives save/load: reloading a save replays
+ * exactly the same future rolls.
+ *
+ * Usage:
+ *   const rng = SeededRandom.create(12345);  // { seed: 12345, state: 12345 }
+ *   SeededRandom.next(rng);                   // float in [0, 1), advances rng.state
+ *
+ * seed is kept for reference (bug reports, replays); only state changes.
+ */
+
+const SeededRandom = {
+    // Create generator state from a seed (any number, coerced to uint32)
+    create(seed) {
+        const normalized = seed >>> 0;
+        return { seed: normalized, state: normalized };
+    },
+
+    // Pick a fresh seed for a new game
+    randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    // Advance the generator and return a float in [0, 1)
+    next(rng) {
+        rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+        let t = rng.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+};
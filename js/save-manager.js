@@ -6,25 +6,25 @@ const SaveManager = {
     // Format relative time (e.g., "2 hours ago")
     formatRelativeTime(timestamp) {
         const seconds = Math.floor((Date.now() - timestamp) / 1000);
-        if (seconds < 60) return 'just now';
+        if (seconds < 60) return Localization.t('time.justNow');
         const minutes = Math.floor(seconds / 60);
-        if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+        if (minutes < 60) return Localization.t('time.minutesAgo', { count: minutes });
         const hours = Math.floor(minutes / 60);
-        if (hours < 24) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+        if (hours < 24) return Localization.t('time.hoursAgo', { count: hours });
         const days = Math.floor(hours / 24);
-        return `${days} day${days !== 1 ? 's' : ''} ago`;
+        return Localization.t('time.daysAgo', { count: days });
     },
 
     // Format slot info for display
     formatSlotInfo(slotInfo) {
         if (!slotInfo.exists) {
-            return { label: 'Empty', detail: '' };
+            return { label: Localization.t('saves.empty'), detail: '' };
         }
         const meta = slotInfo.meta;
         const label = slotInfo.slot === 'autosave'
-            ? 'Autosave'
-            : `Slot ${slotInfo.slot + 1}`;
-        const weekText = `Week ${meta.week}`;
+            ? Localization.t('saves.autosave')
+            : Localization.t('saves.slot', { slot: slotInfo.slot + 1 });
+        const weekText = Localization.t('saves.week', { week: meta.week });
         const timeText = meta.savedAt ? this.formatRelativeTime(meta.savedAt) : '';
         const charText = meta.characterName && meta.characterName !== 'Unknown'
             ? meta.characterName
@@ -48,7 +48,7 @@ const SaveManager = {
                 data-slot="${slot.slot}"
                 ${isDisabled ? 'disabled' : ''}>
                 <span class="save-slot-label">${info.label}</span>
-                <span class="save-slot-meta">${isEmpty ? 'Empty' : info.detail}</span>
+                <span class="save-slot-meta">${isEmpty ? Localization.t('saves.empty') : info.detail}</span>
             </button>`;
         }
         html += '</div>';
@@ -71,8 +71,8 @@ const SaveManager = {
         let html = '<div class="modal-content startup-content">';
         html += '<h1>The Last Jump</h1>';
         html += '<div class="startup-buttons">';
-        html += '<button class="choice-btn" id="startup-new-game">New Game</button>';
-        html += '<button class="choice-btn" id="startup-load-game">Continue</button>';
+        html += `<button class="choice-btn" id="startup-new-game">${Localization.t('startup.newGame')}</button>`;
+        html += `<button class="choice-btn" id="startup-load-game">${Localization.t('startup.continue')}</button>`;
         html += '</div>';
         html += '</div>';
 
@@ -105,10 +105,10 @@ const SaveManager = {
         const slots = allSlots.filter(s => s.slot !== 'autosave');
 
         let html = '<div class="modal-content">';
-        html += '<h2>Save Game</h2>';
+        html += `<h2>${Localization.t('saves.saveTitle')}</h2>`;
         html += this.renderSlotList(slots, 'save');
         html += '<div class="modal-actions">';
-        html += '<button class="choice-btn secondary" id="save-cancel">Cancel</button>';
+        html += `<button class="choice-btn secondary" id="save-cancel">${Localization.t('common.cancel')}</button>`;
         html += '</div>';
         html += '</div>';
 
@@ -139,10 +139,10 @@ const SaveManager = {
         const slots = Game.getAllSaveSlots();
 
         let html = '<div class="modal-content">';
-        html += '<h2>Load Game</h2>';
+        html += `<h2>${Localization.t('saves.loadTitle')}</h2>`;
         html += this.renderSlotList(slots, 'load');
         html += '<div class="modal-actions">';
-        html += '<button class="choice-btn secondary" id="load-cancel">Cancel</button>';
+        html += `<button class="choice-btn secondary" id="load-cancel">${Localization.t('common.cancel')}</button>`;
         html += '</div>';
         html += '</div>';
 
@@ -170,11 +170,14 @@ const SaveManager = {
         if (!container) return;
 
         let html = '<div class="modal-content">';
-        html += '<h2>Menu</h2>';
+        html += `<h2>${Localization.t('menu.title')}</h2>`;
         html += '<div class="system-menu-buttons">';
-        html += '<button class="choice-btn" id="system-save">Save Game</button>';
-        html += '<button class="choice-btn" id="system-load">Load Game</button>';
-        html += '<button class="choice-btn secondary" id="system-resume">Resume</button>';
+        html += `<button class="choice-btn" id="system-save">${Localization.t('menu.save')}</button>`;
+        html += `<button class="choice-btn" id="system-load">${Localization.t('menu.load')}</button>`;
+        html += `<button class="choice-btn" id="system-past-lives">${Localization.t('menu.pastLives')}</button>`;
+        html += `<button class="choice-btn" id="system-language">${Localization.t('menu.language')}</button>`;
+        html += `<button class="choice-btn" id="system-export-journal">${Localization.t('menu.exportJournal')}</button>`;
+        html += `<button class="choice-btn secondary" id="system-resume">${Localization.t('menu.resume')}</button>`;
         html += '</div>';
         html += '</div>';
 
@@ -197,22 +200,111 @@ const SaveManager = {
             });
         });
 
+        document.getElementById('system-past-lives').addEventListener('click', () => {
+            container.style.display = 'none';
+            this.showPastLives(game, () => this.showSystemMenu(game));
+        });
+
+        document.getElementById('system-language').addEventListener('click', () => {
+            this.showLanguagePicker(game);
+        });
+
+        document.getElementById('system-export-journal').addEventListener('click', () => {
+            this.exportJournal(game);
+        });
+
         document.getElementById('system-resume').addEventListener('click', () => {
             container.style.display = 'none';
         });
     },
 
+    // Browse the ledger's archived lives, most recent first
+    showPastLives(game, onClose) {
+        const container = document.getElementById('past-lives-modal');
+        if (!container) return onClose();
+
+        const lives = [...(game.state.ledger?.pastLives || [])].reverse();
+
+        let html = '<div class="modal-content">';
+        html += `<h2>${Localization.t('pastLives.title')}</h2>`;
+        if (lives.length === 0) {
+            html += `<p>${Localization.t('pastLives.none')}</p>`;
+        } else {
+            html += '<div class="life-card-list">';
+            html += lives.map(life => BrowserRenderer.renderLifeCard(game.describeLife(life))).join('');
+            html += '</div>';
+        }
+        html += '<div class="modal-actions">';
+        html += `<button class="choice-btn secondary" id="past-lives-back">${Localization.t('common.back')}</button>`;
+        html += '</div>';
+        html += '</div>';
+
+        container.innerHTML = html;
+        container.style.display = 'flex';
+
+        document.getElementById('past-lives-back').addEventListener('click', () => {
+            container.style.display = 'none';
+            onClose();
+        });
+    },
+
+    // Pick the interface language; the screen behind the menu is shown again,
+    // and the menu reopens, in the new language
+    showLanguagePicker(game) {
+        const container = document.getElementById('system-modal');
+        if (!container) return;
+
+        const current = Localization.getLocale();
+        let html = '<div class="modal-content">';
+        html += `<h2>${Localization.t('menu.language')}</h2>`;
+        html += '<div class="system-menu-buttons">';
+        for (const locale of Localization.getAvailableLocales()) {
+            const classes = locale.id === current ? 'choice-btn selected' : 'choice-btn';
+            html += `<button class="${classes}" data-locale="${locale.id}">${locale.name}</button>`;
+        }
+        html += `<button class="choice-btn secondary" id="language-back">${Localization.t('common.back')}</button>`;
+        html += '</div>';
+        html += '</div>';
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('[data-locale]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Localization.setLocale(btn.dataset.locale);
+                game.relocalize();
+                this.showSystemMenu(game);
+            });
+        });
+
+        document.getElementById('language-back').addEventListener('click', () => {
+            this.showSystemMenu(game);
+        });
+    },
+
+    // Download the input journal for bug reports (replay with tools/replay.js)
+    exportJournal(game) {
+        const log = Journal.export(game);
+        const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `thelastjump-journal-week${game.state.week}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
     // Show week-end save prompt (simpler than full save modal)
     showWeekEndSavePrompt(game, onContinue) {
         const container = document.getElementById('weekend-save-modal');
         if (!container) return onContinue();
 
         let html = '<div class="modal-content">';
-        html += `<h2>Week ${game.state.week}</h2>`;
-        html += '<p>Your progress has been autosaved.</p>';
+        html += `<h2>${Localization.t('weekEnd.title', { week: game.state.week })}</h2>`;
+        html += `<p>${Localization.t('weekEnd.autosaved')}</p>`;
         html += '<div class="modal-actions">';
-        html += '<button class="choice-btn" id="weekendsave-save">Save to Slot</button>';
-        html += '<button class="choice-btn" id="weekendsave-continue">Continue</button>';
+        html += `<button class="choice-btn" id="weekendsave-save">${Localization.t('weekEnd.saveToSlot')}</button>`;
+        html += `<button class="choice-btn" id="weekendsave-continue">${Localization.t('common.continue')}</button>`;
         html += '</div>';
         html += '</div>';
 
@@ -4,10 +4,20 @@
  * Handles pronouns, verb conjugation, and property access.
  *
  * Syntax:
- *   [entity:pronoun]       - Pronoun lookup (subject, object, possessive, reflexive)
+ *   [entity:pronoun]       - Pronoun lookup (subject, object, possessive,
+ *                            possessivePronoun, reflexive)
  *   [entity.prop.path]     - Property access via dot notation
  *   [entity.prop|fallback] - Property with fallback if null/undefined
  *   {entity:plural/singular} - Verb form based on grammatical number
+ *   {?condition|then|else} - Text by a ConditionChecker condition (else optional)
+ *   {~one|two|three}       - One variant, drawn from the game's RNG
+ *   {s}, {es} or {singular|plural} - Plural by the last number before it
+ *
+ * Conditions are written type:value, with the value parsed as JSON when it can be:
+ *   {?hasFlag:hasJob|You head to work.|You have nowhere to be.}
+ *   {?stat:["money",">=",100]|You can afford it.}
+ *   {?!hasFlag:hasJob|...} negates; {?endAverted|...} passes true
+ * Blocks nest, and only the chosen branch is expanded further.
  *
  * Capitalization:
  *   [entity:subject] → "she"
@@ -20,16 +30,34 @@
  *
  * Context object maps entity names to characters/objects:
  *   { player: Game.getPlayer(), target: someNPC }
+ *
+ * The Jumper and their current body can differ in gender. gameContext(game)
+ * provides both, along with the player's acquaintances by relationship:
+ *   [player:subject]   - the body the Jumper is wearing in this universe
+ *   [jumper:subject]   - the Jumper's core identity (jumperIdentity.coreGender)
+ *   [loved_one.name]   - an acquaintance, keyed by relationshipType
+ *
+ * Tokens naming a missing entity or property log a warning and fall back
+ * (they/them, plural verbs, empty text) rather than showing up in the story.
+ *
+ * Pronoun sets:
+ *   An entity's pronouns come from entity.pronouns when set, otherwise from its
+ *   gender. entity.pronouns is either the name of a table below ('xe', 'female')
+ *   or a full table of its own:
+ *     { subject: 'xe', object: 'xem', possessive: 'xyr',
+ *       possessivePronoun: 'xyrs', reflexive: 'xemself', number: 'singular' }
  */
 
 const TextInterpolation = {
-    // Pronoun tables by gender
+    // Pronoun tables by gender, followed by named sets characters can choose
     // number: 'singular' (he/she) or 'plural' (they) for verb conjugation
+    // These are English; a locale can replace any of them (data/locales.js)
     pronouns: {
         male: {
             subject: 'he',
             object: 'him',
             possessive: 'his',
+            possessivePronoun: 'his',
             reflexive: 'himself',
             number: 'singular'
         },
@@ -37,6 +65,7 @@ const TextInterpolation = {
             subject: 'she',
             object: 'her',
             possessive: 'her',
+            possessivePronoun: 'hers',
             reflexive: 'herself',
             number: 'singular'
         },
@@ -44,8 +73,59 @@ const TextInterpolation = {
             subject: 'they',
             object: 'them',
             possessive: 'their',
+            possessivePronoun: 'theirs',
             reflexive: 'themself',
             number: 'plural'
+        },
+        fluid: {
+            subject: 'they',
+            object: 'them',
+            possessive: 'their',
+            possessivePronoun: 'theirs',
+            reflexive: 'themself',
+            number: 'plural'
+        },
+
+        // Neopronouns and other sets with no matching gender
+        xe: {
+            subject: 'xe',
+            object: 'xem',
+            possessive: 'xyr',
+            possessivePronoun: 'xyrs',
+            reflexive: 'xemself',
+            number: 'singular'
+        },
+        ze: {
+            subject: 'ze',
+            object: 'hir',
+            possessive: 'hir',
+            possessivePronoun: 'hirs',
+            reflexive: 'hirself',
+            number: 'singular'
+        },
+        fae: {
+            subject: 'fae',
+            object: 'faer',
+            possessive: 'faer',
+            possessivePronoun: 'faers',
+            reflexive: 'faerself',
+            number: 'singular'
+        },
+        ey: {
+            subject: 'ey',
+            object: 'em',
+            possessive: 'eir',
+            possessivePronoun: 'eirs',
+            reflexive: 'emself',
+            number: 'singular'
+        },
+        it: {
+            subject: 'it',
+            object: 'it',
+            possessive: 'its',
+            possessivePronoun: 'its',
+            reflexive: 'itself',
+            number: 'singular'
         }
     },
 
@@ -53,8 +133,12 @@ const TextInterpolation = {
     defaultGender: 'nonbinary',
 
     // Main interpolation function
-    interpolate(template, context) {
-        let result = template;
+    // game evaluates conditions and draws variants (defaults to the global Game)
+    // rolls: the variant rolls this text was shown with, in the order drawn; new
+    //   rolls are appended, so passing the same array again shows the same variants
+    interpolate(template, context, game = typeof Game !== 'undefined' ? Game : null, rolls = []) {
+        // Handle {?condition|then|else} and {~variant|variant} blocks
+        let result = this.expandBlocks(template, game, { rolls, next: 0 });
 
         // Handle [entity:pronoun] and [entity.property|fallback]
         result = result.replace(/\[([^\]]+)\]/g, (match, inner) => {
@@ -62,13 +146,126 @@ const TextInterpolation = {
         });
 
         // Handle {entity:plural/singular} verb forms
-        result = result.replace(/\{([^:]+):([^/]+)\/([^}]+)\}/g, (match, entity, plural, singular) => {
+        result = result.replace(/\{([^{}:]+):([^{}/]+)\/([^{}]+)\}/g, (match, entity, plural, singular) => {
             return this.resolveVerb(entity, plural, singular, context);
         });
 
+        // Handle {s}, {es} and {singular|plural} by the last number before them;
+        // other {word} braces are left alone
+        result = result.replace(/\{(s|es)\}|\{(\w*)\|(\w*)\}/g, (match, suffix, singular, plural, offset) => {
+            const isPlural = this.isPlural(result.slice(0, offset));
+            if (suffix) return isPlural ? suffix : '';
+            return isPlural ? plural : singular;
+        });
+
         return result;
     },
 
+    // Expand conditional and variant blocks, outermost first
+    // picks: { rolls, next } - the rolls to reuse and the next one to take
+    expandBlocks(template, game, picks) {
+        let result = '';
+        let index = 0;
+        while (index < template.length) {
+            const start = template.indexOf('{', index);
+            if (start === -1) break;
+
+            const marker = template[start + 1];
+            const end = marker === '?' || marker === '~' ? this.findClosingBrace(template, start) : -1;
+            if (end === -1) {
+                result += template.slice(index, start + 1);
+                index = start + 1;
+                continue;
+            }
+
+            const parts = this.splitBranches(template.slice(start + 2, end));
+            const chosen = marker === '?'
+                ? this.chooseBranch(parts, game)
+                : parts[Math.floor(this.variantRoll(picks, game) * parts.length)];
+            result += template.slice(index, start) + this.expandBlocks(chosen, game, picks);
+            index = end + 1;
+        }
+        return result + template.slice(index);
+    },
+
+    // Roll for the next variant block, in [0, 1): reused from picks.rolls when
+    // the text was shown before, otherwise drawn from the game's RNG
+    variantRoll(picks, game) {
+        if (picks.next === picks.rolls.length) {
+            picks.rolls.push(game ? game.random() : 0);
+        }
+        return picks.rolls[picks.next++];
+    },
+
+    // Index of the brace closing the block opened at start, or -1
+    findClosingBrace(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            if (text[i] === '}' && --depth === 0) return i;
+        }
+        return -1;
+    },
+
+    // Split on | outside nested {} and [] tokens
+    splitBranches(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if (char === '{' || char === '[') depth++;
+            if (char === '}' || char === ']') depth--;
+            if (char === '|' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts;
+    },
+
+    // Pick then (parts[1]) or else (parts[2]) by the condition in parts[0]
+    chooseBranch(parts, game) {
+        if (!game) {
+            console.error(`TextInterpolation: No game to check "${parts[0]}" against`);
+            return parts[2] ?? '';
+        }
+        const passed = ConditionChecker.check(this.parseCondition(parts[0]), game);
+        return (passed ? parts[1] : parts[2]) ?? '';
+    },
+
+    // 'hasFlag:hasJob' -> { hasFlag: 'hasJob' }; '!type:value' wraps it in not
+    parseCondition(text) {
+        const negate = text.startsWith('!');
+        const body = (negate ? text.slice(1) : text).trim();
+        const colonIndex = body.indexOf(':');
+        const type = colonIndex === -1 ? body : body.slice(0, colonIndex);
+
+        let value = true;
+        if (colonIndex !== -1) {
+            const raw = body.slice(colonIndex + 1);
+            try {
+                value = JSON.parse(raw);
+            } catch {
+                value = raw;
+            }
+        }
+
+        const condition = { [type]: value };
+        return negate ? { not: condition } : condition;
+    },
+
+    // Whether the last number in the text calls for a plural (by the current
+    // language's plural rules; in English anything but 1)
+    isPlural(text) {
+        const numbers = text.match(/-?\d[\d,]*(?:\.\d+)?/g);
+        if (!numbers) return true;
+        const count = Math.abs(parseFloat(numbers[numbers.length - 1].replace(/,/g, '')));
+        return typeof Localization !== 'undefined' ? Localization.isPlural(count) : count !== 1;
+    },
+
     // Resolve [entity:pronoun] or [entity.property|fallback]
     resolveBracket(inner, context) {
         // Check for fallback
@@ -95,16 +292,19 @@ const TextInterpolation = {
     // Resolve pronoun with capitalization preservation
     resolvePronoun(entityName, pronounType, context) {
         const entity = context[entityName];
-        if (!entity) return `[${entityName}:${pronounType}]`;
+        if (!entity) this.warn(`No "${entityName}" for [${entityName}:${pronounType}]`);
 
-        const gender = entity.gender || this.defaultGender;
-        const pronounTable = this.pronouns[gender] || this.pronouns[this.defaultGender];
+        const pronounTable = entity ? this.getPronounTable(entity) : this.pronouns[this.defaultGender];
 
-        // Determine capitalization from pronounType
+        // Forms are matched ignoring case; capitalization comes from pronounType
         const lowerType = pronounType.toLowerCase();
-        let pronoun = pronounTable[lowerType];
+        const form = Object.keys(pronounTable).find(key => key !== 'number' && key.toLowerCase() === lowerType);
+        let pronoun = form ? pronounTable[form] : null;
 
-        if (!pronoun) return `[${entityName}:${pronounType}]`;
+        if (!pronoun) {
+            this.warn(`Unknown pronoun [${entityName}:${pronounType}]`);
+            return '';
+        }
 
         // Apply capitalization
         if (pronounType === pronounType.toUpperCase()) {
@@ -127,26 +327,81 @@ const TextInterpolation = {
         }
 
         if (value == null || value === '') {
-            return fallback ?? `[${path}]`;
+            if (fallback != null) return fallback;
+            this.warn(`Nothing at [${path}]`);
+            return '';
         }
 
         return String(value);
     },
 
-    // Resolve verb form based on grammatical number
+    // Resolve verb form based on grammatical number, using the current
+    // language's forms for the pair when it has them (Localization.getVerb)
     resolveVerb(entityName, pluralForm, singularForm, context) {
         const entity = context[entityName];
-        if (!entity) return pluralForm; // Default to plural if entity not found
+        if (!entity) {
+            this.warn(`No "${entityName}" for {${entityName}:${pluralForm}/${singularForm}}`);
+            return pluralForm;
+        }
+
+        const [plural, singular] = typeof Localization !== 'undefined'
+            ? Localization.getVerb(pluralForm, singularForm)
+            : [pluralForm, singularForm];
+        return this.getPronounTable(entity).number === 'plural' ? plural : singular;
+    },
+
+    // Forms every pronoun table has, besides number
+    pronounForms: ['subject', 'object', 'possessive', 'possessivePronoun', 'reflexive'],
+
+    // What is wrong with a custom pronoun table, or null if it is complete
+    // (number may be left out, which reads as singular)
+    validatePronounTable(table) {
+        const missing = this.pronounForms.filter(form => typeof table?.[form] !== 'string' || !table[form].trim());
+        if (missing.length > 0) return `Missing pronoun forms: ${missing.join(', ')}`;
+        if (table.number !== undefined && !['singular', 'plural'].includes(table.number)) {
+            return `Pronoun number must be "singular" or "plural", got ${JSON.stringify(table.number)}`;
+        }
+        return null;
+    },
+
+    // The entity's own pronoun set (a table name or a full table), else its gender's
+    getPronounTable(entity) {
+        const own = entity.pronouns;
+        if (own && typeof own === 'object') return own;
+        const tables = this.getPronounTables();
+        return tables[own] || tables[entity.gender] || tables[this.defaultGender];
+    },
 
-        const gender = entity.gender || this.defaultGender;
-        const pronounTable = this.pronouns[gender] || this.pronouns[this.defaultGender];
+    // Pronoun tables for the current language: the locale's own, over the English ones
+    getPronounTables() {
+        if (typeof Localization === 'undefined') return this.pronouns;
+        return { ...this.pronouns, ...Localization.getPronouns() };
+    },
+
+    // Authoring problems in templates
+    warn(message) {
+        console.warn(`TextInterpolation: ${message}`);
+    },
 
-        return pronounTable.number === 'plural' ? pluralForm : singularForm;
+    // Standard entities for game text: the player's body, the Jumper's core
+    // identity and the player's acquaintances by relationship type (the first of each)
+    gameContext(game) {
+        const identity = game.state.jumperIdentity;
+        const context = {
+            player: game.getPlayer(),
+            jumper: identity ? { ...identity, gender: identity.coreGender } : null
+        };
+        for (const obj of game.getCharacterObjectsOfType(game.state.playerId, 'acquaintance')) {
+            const type = obj.state.relationshipType;
+            const char = game.getCharacter(obj.state.targetCharId);
+            if (type && char && !(type in context)) context[type] = char;
+        }
+        return context;
     },
 
-    // Convenience method that uses Game's characters
-    format(template, entityMap) {
-        const context = {};
+    // Convenience method that uses Game's characters (player and jumper are always available)
+    format(template, entityMap = {}) {
+        const context = this.gameContext(Game);
         for (const [name, charId] of Object.entries(entityMap)) {
             if (typeof charId === 'string') {
                 context[name] = Game.getCharacter(charId);
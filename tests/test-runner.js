@@ -1,7 +1,8 @@
 /* The Last Jump - Test Runner - by FrigOfFury
  *
- * Node.js-based integration test runner with DOM mocks.
- * Simulates button clicks and verifies game state changes.
+ * Node.js-based integration test runner. The engine runs headless; tests
+ * read its view models (Game.view) and pick options the way a frontend
+ * would, then verify game state changes.
  *
  * Usage: node tests/test-runner.js
  */
@@ -10,62 +11,7 @@ const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
 
-// === DOM Mocks ===
-
-class MockElement {
-    constructor(tagName) {
-        this.tagName = tagName;
-        this.className = '';
-        this.textContent = '';
-        this._innerHTML = '';
-        this.disabled = false;
-        this.children = [];
-        this.eventListeners = {};
-    }
-
-    get innerHTML() {
-        return this._innerHTML;
-    }
-
-    set innerHTML(value) {
-        this._innerHTML = value;
-        this.children = [];
-    }
-
-    addEventListener(event, handler) {
-        if (!this.eventListeners[event]) {
-            this.eventListeners[event] = [];
-        }
-        this.eventListeners[event].push(handler);
-    }
-
-    click() {
-        if (this.disabled) return;
-        const handlers = this.eventListeners['click'] || [];
-        for (const handler of handlers) {
-            handler();
-        }
-    }
-
-    appendChild(child) {
-        this.children.push(child);
-    }
-}
-
-const mockElements = {};
-
-const mockDocument = {
-    getElementById(id) {
-        if (!mockElements[id]) {
-            mockElements[id] = new MockElement('div');
-        }
-        return mockElements[id];
-    },
-
-    createElement(tagName) {
-        return new MockElement(tagName);
-    }
-};
+// === Mocks ===
 
 const mockLocalStorage = {
     data: {},
@@ -86,7 +32,8 @@ const mockLocalStorage = {
 // === Test Harness ===
 
 class TestHarness {
-    constructor() {
+    constructor(game) {
+        this.game = game;
         this.randomValues = [];
         this.randomIndex = 0;
         this.testsPassed = 0;
@@ -107,41 +54,38 @@ class TestHarness {
     }
 
     reset() {
-        Object.keys(mockElements).forEach(key => delete mockElements[key]);
         mockLocalStorage.clear();
         this.randomIndex = 0;
     }
 
+    // Options currently on offer (Game.view.options items)
+    getOptions() {
+        return this.game.view.options?.items || [];
+    }
+
     findButton(text) {
-        const container = mockDocument.getElementById('choices-container');
-        for (const child of container.children) {
-            if (child.textContent.includes(text)) {
-                return child;
-            }
-        }
-        return null;
+        return this.getOptions().find(item => item.text.includes(text)) || null;
     }
 
     clickButton(text) {
-        const btn = this.findButton(text);
-        if (!btn) {
+        const index = this.getOptions().findIndex(item => item.text.includes(text));
+        if (index < 0) {
             throw new Error(`Button not found: "${text}"`);
         }
-        if (btn.disabled) {
+        if (this.getOptions()[index].disabled) {
             throw new Error(`Button is disabled: "${text}"`);
         }
-        btn.click();
+        this.game.selectOption(index);
     }
 
     getNarrativeText() {
-        return mockDocument.getElementById('story-text').innerHTML;
+        return (this.game.view.narrative?.paragraphs || []).join('\n\n');
     }
 
     getAvailableButtons() {
-        const container = mockDocument.getElementById('choices-container');
-        return container.children
-            .filter(child => !child.disabled)
-            .map(child => child.textContent);
+        return this.getOptions()
+            .filter(item => !item.disabled)
+            .map(item => item.text);
     }
 
     assert(condition, message) {
@@ -188,7 +132,6 @@ class TestHarness {
 
 function loadGameFiles() {
     const context = vm.createContext({
-        document: mockDocument,
         localStorage: mockLocalStorage,
         console: console,
         Math: Math,
@@ -210,8 +153,12 @@ function loadGameFiles() {
         Events: null,
         Stories: null,
         Pursuits: null,
+        SeededRandom: null,
+        Journal: null,
         Game: null,
         CharacterCreation: null,
+        Locales: null,
+        Localization: null,
         TextInterpolation: null,
         ConditionChecker: null,
         EffectExecutor: null,
@@ -219,6 +166,7 @@ function loadGameFiles() {
         PursuitManager: null,
         AbilityChecker: null,
         JumperGenderOptions: null,
+        CoreGenders: null,
         JumperAttractionOptions: null,
         JumperAspirations: null,
         JumperStrategies: null,
@@ -233,6 +181,7 @@ function loadGameFiles() {
         'data/stats.js',
         'data/skills.js',
         'data/ability-checks.js',
+        'data/timecops.js',
         'data/jumper-identity.js',
         'data/templates/characters.js',
         'data/templates/objects.js',
@@ -240,9 +189,15 @@ function loadGameFiles() {
         'data/actions.js',
         'data/events/events.js',
         'data/stories/stories.js',
+        'data/endings.js',
         'data/pursuits.js',
+        'data/locales.js',
+        'js/random.js',
+        'js/journal.js',
+        'js/localization.js',
         'js/text-interpolation.js',
         'js/condition-checker.js',
+        'js/dice.js',
         'js/ability-checker.js',
         'js/effect-executor.js',
         'js/handlers.js',
@@ -274,7 +229,8 @@ function runTests() {
         process.exit(1);
     }
 
-    const harness = new TestHarness();
+    const harness = new TestHarness(Game);
+    const engineRandom = Game.random;
     Game.random = () => harness.nextRandom();
 
     console.log('');
@@ -432,6 +388,29 @@ function runTests() {
         t.assertEqual(Game.getStat(Game.state.playerId, 'health'), 50, 'Bonus should not apply when random fails');
     });
 
+    harness.runTest('Core: creation choices set strength and a rented home', (t) => {
+        Game.init();
+        completeJumperIdentity(Game);
+        t.clickButton('Begin');
+        t.clickButton('High');   // combat
+        t.clickButton('Medium'); // affluence
+        const pid = Game.state.playerId;
+        t.assertEqual(Game.getStat(pid, 'strength'), 25, 'Combat capability sets strength');
+        const homes = Game.getCharacterObjectsOfType(pid, 'home');
+        t.assertEqual(homes.length, 1, 'Affluence gives a home');
+        t.assertEqual(homes[0].state.rent, 80, 'With its rent');
+
+        // athletic_leap adds 0.3 per point of strength
+        const { appliedBonuses } = context.AbilityChecker.computeSkillValue(pid, 'parkour', context.AbilityChecks.athletic_leap.bonuses, Game);
+        t.assertEqual(appliedBonuses[0].value, 7, 'Strength is a check bonus');
+
+        Game.state.week = 4;
+        t.setRandomSequence([0, 0]); // rentDue is certain; trigger at once
+        Game.evaluateEvents();
+        t.assertContains(t.getNarrativeText(), 'Paid $80 rent for your flat.', 'Rent charged');
+        t.assertEqual(Game.getStat(pid, 'money'), 70, '150 - 80');
+    });
+
     // ============================================================
     // CONSOLIDATED: Text Interpolation
     // ============================================================
@@ -1050,17 +1029,15 @@ function runTests() {
 
         // Dice parsing
         let parsed = AbilityChecker.parseDice('2d6');
-        t.assertEqual(parsed.count, 2, '2d6 count');
-        t.assertEqual(parsed.sides, 6, '2d6 sides');
+        t.assertEqual(parsed.terms[0].count, 2, '2d6 count');
+        t.assertEqual(parsed.terms[0].sides, 6, '2d6 sides');
 
         parsed = AbilityChecker.parseDice('3d10');
-        t.assertEqual(parsed.count, 3, '3d10 count');
-        t.assertEqual(parsed.sides, 10, '3d10 sides');
+        t.assertEqual(parsed.terms[0].count, 3, '3d10 count');
+        t.assertEqual(parsed.terms[0].sides, 10, '3d10 sides');
 
-        // Invalid defaults to 1d20
-        parsed = AbilityChecker.parseDice('invalid');
-        t.assertEqual(parsed.count, 1, 'Invalid defaults to 1');
-        t.assertEqual(parsed.sides, 20, 'Invalid defaults to 20');
+        // Invalid notation is rejected, not replaced
+        t.assertEqual(AbilityChecker.parseDice('invalid'), null, 'Invalid notation = null');
 
         // Dice rolling with controlled random
         t.setRandomSequence([0.5, 0.5]); // Each die: floor(0.5 * 6) + 1 = 4
@@ -1210,36 +1187,64 @@ function runTests() {
     harness.runTest('AbilityChecker: estimateOdds', (t) => {
         Game.init();
         const pid = Game.state.playerId;
+        const check = { skill: 'stealth', dice: '2d6', difficulty: 40 };
 
-        // Very likely: margin >= 15
+        // Very likely: certain success
         Game.setSkill(pid, 'stealth', 50);
-        let odds = AbilityChecker.estimateOdds({ skill: 'stealth', dice: '2d6', difficulty: 40 }, Game);
-        // Skill 50 + avg 7 = 57, margin = 17
-        t.assertEqual(odds, 'very likely', 'High skill = very likely');
+        t.assertEqual(AbilityChecker.estimateOdds(check, Game), 'very likely', 'High skill = very likely');
 
-        // Likely: margin 5-15
-        Game.setSkill(pid, 'stealth', 40);
-        odds = AbilityChecker.estimateOdds({ skill: 'stealth', dice: '2d6', difficulty: 40 }, Game);
-        // 40 + 7 = 47, margin = 7
-        t.assertEqual(odds, 'likely', 'Moderate advantage = likely');
+        // Likely: needs 5+ on 2d6 (30/36)
+        Game.setSkill(pid, 'stealth', 35);
+        t.assertEqual(AbilityChecker.estimateOdds(check, Game), 'likely', 'Moderate advantage = likely');
 
-        // Possible: margin -5 to 5
+        // Possible: needs 7+ on 2d6 (21/36)
         Game.setSkill(pid, 'stealth', 33);
-        odds = AbilityChecker.estimateOdds({ skill: 'stealth', dice: '2d6', difficulty: 40 }, Game);
-        // 33 + 7 = 40, margin = 0
-        t.assertEqual(odds, 'possible', 'Even = possible');
+        t.assertEqual(AbilityChecker.estimateOdds(check, Game), 'possible', 'Even = possible');
 
-        // Unlikely: margin -15 to -5
-        Game.setSkill(pid, 'stealth', 25);
-        odds = AbilityChecker.estimateOdds({ skill: 'stealth', dice: '2d6', difficulty: 40 }, Game);
-        // 25 + 7 = 32, margin = -8
-        t.assertEqual(odds, 'unlikely', 'Disadvantage = unlikely');
+        // Unlikely: needs 10+ on 2d6 (6/36)
+        Game.setSkill(pid, 'stealth', 30);
+        t.assertEqual(AbilityChecker.estimateOdds(check, Game), 'unlikely', 'Disadvantage = unlikely');
 
-        // Very unlikely: margin < -15
+        // Very unlikely: out of reach
         Game.setSkill(pid, 'stealth', 10);
-        odds = AbilityChecker.estimateOdds({ skill: 'stealth', dice: '2d6', difficulty: 40 }, Game);
-        // 10 + 7 = 17, margin = -23
-        t.assertEqual(odds, 'very unlikely', 'Large disadvantage = very unlikely');
+        t.assertEqual(AbilityChecker.estimateOdds(check, Game), 'very unlikely', 'Large disadvantage = very unlikely');
+
+        t.assertEqual(AbilityChecker.estimateOdds({ skill: 'stealth' }, Game), 'unknown', 'Invalid check = unknown');
+    });
+
+    harness.runTest('AbilityChecker: exact odds per tier', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        Game.setSkill(pid, 'stealth', 30);
+
+        // Same average (10.5 vs 7 + 3.5 offset) but very different spreads
+        let odds = AbilityChecker.calculateOdds({ skill: 'stealth', dice: '1d20', difficulty: 40 }, Game);
+        t.assertEqual(odds.percent, 55, '1d20 needs 10+: 11/20');
+        odds = AbilityChecker.calculateOdds({ skill: 'stealth', dice: '2d6', difficulty: 37 }, Game);
+        t.assertEqual(odds.percent, 58, '2d6 needs 7+: 21/36');
+
+        // Crush margin splits each side; tiers add up to 1
+        odds = AbilityChecker.calculateOdds({ skill: 'stealth', dice: '1d20', difficulty: 40, crushMargin: 5 }, Game);
+        t.assert(Math.abs(odds.tiers.crushingSuccess - 6 / 20) < 1e-9, 'Crushing success: 15+');
+        t.assert(Math.abs(odds.tiers.success - 5 / 20) < 1e-9, 'Success: 10-14');
+        t.assert(Math.abs(odds.tiers.failure - 5 / 20) < 1e-9, 'Failure: 5-9');
+        t.assert(Math.abs(odds.tiers.crushingFailure - 4 / 20) < 1e-9, 'Crushing failure: 1-4');
+
+        // Bonuses, modifiers and deep memory shift the odds like the real roll
+        Game.setStat(pid, 'health', 50);
+        odds = AbilityChecker.calculateOdds({
+            skill: 'stealth', dice: '1d20', difficulty: 40,
+            bonuses: [{ stat: 'health', scale: 0.1 }],
+            modifiers: [{ condition: { stat: ['health', '>=', 50] }, add: 3 }]
+        }, Game);
+        t.assertEqual(odds.percent, 65, '+5 bonus, +3 difficulty: needs 8+ (13/20)');
+        t.assertEqual(AbilityChecker.describeOdds({ skill: 'stealth', dice: '1d20', difficulty: 40 }, Game), '55% (possible)', 'Display text');
+        t.assertEqual(AbilityChecker.describeOdds({ skill: 'stealth', dice: '1d20', difficulty: 40 }, Game, true), '100% (very likely)', 'Deep memory odds');
+
+        // Near-certain results are not rounded to certainty
+        Game.setSkill(pid, 'stealth', 0);
+        odds = AbilityChecker.calculateOdds({ skill: 'stealth', dice: '3d20', difficulty: 60 }, Game);
+        t.assertEqual(odds.percent, 1, 'Only triple 20 succeeds: shown as 1%');
     });
 
     // ============================================================
@@ -1318,17 +1323,18 @@ function runTests() {
         // Verify JumperCreation module exists and has correct steps
         t.assert(JumperCreation, 'JumperCreation module should exist');
         t.assert(JumperCreation.steps, 'JumperCreation should have steps');
-        t.assertEqual(JumperCreation.steps.length, 8, 'Should have 8 steps');
+        t.assertEqual(JumperCreation.steps.length, 9, 'Should have 9 steps');
 
         // Verify step order
         t.assertEqual(JumperCreation.steps[0].id, 'gender', 'First step is gender');
-        t.assertEqual(JumperCreation.steps[1].id, 'attraction', 'Second step is attraction');
-        t.assertEqual(JumperCreation.steps[2].id, 'aspiration', 'Third step is aspiration');
-        t.assertEqual(JumperCreation.steps[3].id, 'strategy1', 'Fourth step is strategy1');
-        t.assertEqual(JumperCreation.steps[4].id, 'skills1', 'Fifth step is skills1');
-        t.assertEqual(JumperCreation.steps[5].id, 'strategy2', 'Sixth step is strategy2');
-        t.assertEqual(JumperCreation.steps[6].id, 'skills2', 'Seventh step is skills2');
-        t.assertEqual(JumperCreation.steps[7].id, 'personal', 'Eighth step is personal');
+        t.assertEqual(JumperCreation.steps[1].id, 'pronouns', 'Second step is pronouns');
+        t.assertEqual(JumperCreation.steps[2].id, 'attraction', 'Third step is attraction');
+        t.assertEqual(JumperCreation.steps[3].id, 'aspiration', 'Fourth step is aspiration');
+        t.assertEqual(JumperCreation.steps[4].id, 'strategy1', 'Fifth step is strategy1');
+        t.assertEqual(JumperCreation.steps[5].id, 'skills1', 'Sixth step is skills1');
+        t.assertEqual(JumperCreation.steps[6].id, 'strategy2', 'Seventh step is strategy2');
+        t.assertEqual(JumperCreation.steps[7].id, 'skills2', 'Eighth step is skills2');
+        t.assertEqual(JumperCreation.steps[8].id, 'personal', 'Ninth step is personal');
     });
 
     harness.runTest('JumperIdentity: getAllSkillIds returns union of all strategy skills', (t) => {
@@ -1481,6 +1487,1755 @@ function runTests() {
         );
     });
 
+    // ============================================================
+    // CONSOLIDATED: Jumps
+    // ============================================================
+
+    harness.runTest('Jumps: triggerJump wipes the universe and keeps identity', (t) => {
+        Game.init();
+        completeJumperIdentity(Game);
+        t.clickButton('Begin');
+        t.clickButton('High');
+        t.clickButton('Medium');
+
+        const oldPlayerId = Game.state.playerId;
+        Game.addDeepSkill(oldPlayerId, 'melee'); // Gained mid-life, not in identity
+        Game.createCharacter('human', 'Doomed NPC');
+        Game.state.pursuits['frugal_living'].enabled = true;
+        Game.state.week = 9;
+
+        EffectExecutor.execute([
+            { setFlag: 'before_jump' },
+            { triggerJump: true },
+            { setFlag: 'after_jump' }
+        ], Game);
+
+        t.assertEqual(Game.state.jumpCount, 1, 'jumpCount incremented');
+        t.assertEqual(Game.state.week, 1, 'Week reset');
+        t.assert(Game.state.playerId !== oldPlayerId, 'New player character');
+        t.assertEqual(Object.keys(Game.state.characters).length, 1, 'Old characters wiped');
+        t.assertEqual(Game.getStat(Game.state.playerId, 'health'), 50, 'Stats back to defaults');
+        t.assert(!Game.hasFlag('before_jump'), 'Old flags wiped');
+        t.assert(!Game.hasFlag('after_jump'), 'Effects after the jump are skipped');
+        t.assert(!Game.hasFlag('character_created'), 'Character creation needed again');
+        t.assertEqual(Game.state.pursuits['frugal_living'].enabled, false, 'Pursuits reset to defaults');
+
+        t.assertEqual(Game.state.jumperIdentity.coreGender, 'female', 'Identity preserved');
+        t.assert(Game.hasDeepSkill(Game.state.playerId, 'lockpicking'), 'Identity deep skills restored');
+        t.assert(Game.hasDeepSkill(Game.state.playerId, 'melee'), 'Acquired deep skills carried over');
+
+        t.assertEqual(Game.state.storylines['intro'].currentChapter, 'start', 'Jump story skips identity chapter');
+        t.assert(ConditionChecker.check({ minWeek: 1 }, Game), 'Conditions work in the new universe');
+    });
+
+    harness.runTest('Jumps: action triggering a jump refreshes into the jump story', (t) => {
+        Game.init();
+        completeJumperIdentity(Game);
+
+        context.Actions['test_die'] = {
+            id: 'test_die',
+            text: 'Step off the ledge',
+            actionCost: 1,
+            conditions: { inChapter: { intro: 'start' } },
+            effects: [{ triggerJump: true }],
+            abilityCheck: { skill: 'athletics', dice: '2d6', difficulty: 0 },
+            deepMemory: false,
+            onSuccess: { effects: [{ setFlag: 'landed' }] },
+            onFailure: { effects: [{ setFlag: 'landed' }] }
+        };
+        Game.refreshDisplay();
+
+        t.clickButton('Step off');
+        t.assertEqual(Game.state.jumpCount, 1, 'Jumped');
+        t.assert(!Game.hasFlag('landed'), 'Check skipped after the jump');
+        t.assert(!Game.getPlayer().skillXp?.athletics, 'No practice XP for the new body');
+        t.assertEqual(Game.state.actionsRemaining, context.Config.actionsPerPeriod, 'Cost stayed with the old universe');
+        t.assertContains(t.getNarrativeText(), 'A new universe awaits', 'Jump story text shown');
+        t.assertEqual(
+            context.CreationChoiceSets.firstJump.filter(id => context.CreationChoices[id].condition(Game)).length,
+            0,
+            'First-universe creation choices no longer apply'
+        );
+
+        delete context.Actions['test_die'];
+    });
+
+    harness.runTest('Jumps: event triggering a jump skips its check, next and choices', (t) => {
+        Game.init();
+        completeJumperIdentity(Game);
+
+        context.Events['test_collapse'] = {
+            id: 'test_collapse',
+            probability: 1,
+            conditions: { inChapter: { intro: 'start' } },
+            story: 'intro',
+            text: 'The floor gives way.',
+            effects: [{ triggerJump: true }],
+            abilityCheck: { skill: 'athletics', dice: '2d6', difficulty: 0 },
+            onSuccess: { effects: [{ setFlag: 'landed' }], next: 'awakening' },
+            onFailure: { effects: [{ setFlag: 'landed' }], next: 'awakening' },
+            choices: [{ text: 'Grab the ledge', effects: [{ setFlag: 'grabbed' }] }]
+        };
+
+        t.setRandomSequence([0, 0]); // Pass the roll, trigger at once
+        Game.evaluateEvents();
+        t.assertEqual(Game.state.jumpCount, 1, 'Jumped');
+        t.assert(!Game.hasFlag('landed'), 'Check skipped after the jump');
+        t.assert(!Game.getPlayer().skillXp?.athletics, 'No practice XP for the new body');
+        t.assertEqual(Game.state.storylines['intro'].currentChapter, 'start', 'Next not followed in the new universe');
+        t.assert(!t.findButton('Grab the ledge'), 'Choices stayed with the old universe');
+        t.assert(t.findButton('Continue'), 'Only Continue offered');
+
+        delete context.Events['test_collapse'];
+    });
+
+    harness.runTest('The End: schedule, conditions and adjustment effects', (t) => {
+        Game.init();
+        const endConfig = context.Config.theEnd;
+        t.assertEqual(Game.state.theEnd.week, endConfig.baseWeek, 'Fixed End week without variance');
+
+        Game.state.week = 48;
+        t.assert(ConditionChecker.check({ weeksUntilEnd: ['<=', 4] }, Game), '4 weeks left');
+        t.assert(!ConditionChecker.check({ weeksUntilEnd: ['<', 4] }, Game), 'Not fewer than 4');
+
+        EffectExecutor.execute([{ delayEnd: 6 }], Game);
+        t.assertEqual(Game.getWeeksUntilEnd(), 10, 'delayEnd pushes The End back');
+        EffectExecutor.execute([{ accelerateEnd: 8 }], Game);
+        t.assertEqual(Game.getWeeksUntilEnd(), 2, 'accelerateEnd brings it forward');
+        EffectExecutor.execute([{ setEndWeek: 60 }], Game);
+        t.assertEqual(Game.state.theEnd.week, 60, 'setEndWeek sets it directly');
+
+        t.assert(ConditionChecker.check({ endAverted: false }, Game), 'Not averted yet');
+        EffectExecutor.execute([{ avertEnd: true }], Game);
+        t.assert(ConditionChecker.check({ endAverted: true }, Game), 'Averted');
+
+        // Randomized schedule uses the game's random source
+        endConfig.variance = 4;
+        t.setRandomSequence([0]);
+        Game.scheduleEnd();
+        t.assertEqual(Game.state.theEnd.week, endConfig.baseWeek - 4, 'Lowest roll = base - variance');
+        t.setRandomSequence([0.99]);
+        Game.scheduleEnd();
+        t.assertEqual(Game.state.theEnd.week, endConfig.baseWeek + 4, 'Highest roll = base + variance');
+        endConfig.variance = 0;
+    });
+
+    harness.runTest('The End: deadline forces the End story and a jump', (t) => {
+        Game.init();
+        completeJumperIdentity(Game);
+        Game.state.theEnd.week = 3;
+        Game.state.week = 2;
+        Game.state.actionsRemaining = 0;
+
+        Game.endWeek();
+        t.assertEqual(Game.state.week, 3, 'Week advanced');
+        t.assert(Game.state.theEnd.arrived, 'The End arrived');
+        t.assertEqual(Game.state.storylines['theEnd'].currentChapter, 'arrival', 'End story entered');
+        t.assertContains(t.getNarrativeText(), 'The End has come', 'End text shown');
+        t.assert(!t.findButton('End week'), 'Cannot simply end the week');
+
+        t.clickButton('Let go');
+        t.assertEqual(Game.state.jumpCount, 1, 'Forced jump');
+        t.assert(!Game.state.theEnd.arrived, 'New universe has its own End');
+        t.assertEqual(Game.state.theEnd.week, context.Config.theEnd.baseWeek, 'End rescheduled');
+
+        // Averted End never arrives
+        t.reset();
+        Game.init();
+        Game.state.theEnd.week = 2;
+        Game.state.theEnd.averted = true;
+        Game.state.actionsRemaining = 0;
+        Game.endWeek();
+        t.assert(!Game.state.theEnd.arrived, 'Averted End does not arrive');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Seeded Random
+    // ============================================================
+
+    const SeededRandom = context.SeededRandom;
+
+    harness.runTest('SeededRandom: same seed gives same sequence', (t) => {
+        const a = SeededRandom.create(1234);
+        const b = SeededRandom.create(1234);
+        const c = SeededRandom.create(4321);
+        const seqA = [1, 2, 3, 4, 5].map(() => SeededRandom.next(a));
+        const seqB = [1, 2, 3, 4, 5].map(() => SeededRandom.next(b));
+        const seqC = [1, 2, 3, 4, 5].map(() => SeededRandom.next(c));
+
+        t.assertEqual(JSON.stringify(seqA), JSON.stringify(seqB), 'Same seed, same rolls');
+        t.assert(JSON.stringify(seqA) !== JSON.stringify(seqC), 'Different seed, different rolls');
+        t.assert(seqA.every(v => v >= 0 && v < 1), 'Values in [0, 1)');
+        t.assertEqual(a.seed, 1234, 'Seed kept for reference');
+    });
+
+    harness.runTest('SeededRandom: saves reload with identical future rolls', (t) => {
+        Game.random = engineRandom;
+        try {
+            Game.init(99);
+            t.assertEqual(Game.state.rng.seed, 99, 'Seed stored in state');
+            Game.random();
+            Game.save(0);
+
+            const afterSave = [Game.random(), AbilityChecker.rollDice('2d6', Game)];
+            Game.load(0);
+            const afterLoad = [Game.random(), AbilityChecker.rollDice('2d6', Game)];
+            t.assertEqual(JSON.stringify(afterLoad), JSON.stringify(afterSave), 'Same rolls after reload');
+
+            // Same seed drives the same creation probabilities
+            Game.init(7);
+            const firstRun = Game.random();
+            Game.init(7);
+            t.assertEqual(Game.random(), firstRun, 'New game with same seed repeats');
+
+            // Rng survives a jump
+            const stateBefore = Game.state.rng.state;
+            Game.jump();
+            t.assertEqual(Game.state.rng.state, stateBefore, 'Jump keeps generator state');
+        } finally {
+            Game.random = () => harness.nextRandom();
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Journal & Replay
+    // ============================================================
+
+    const Journal = context.Journal;
+
+    harness.runTest('Journal: records inputs and replays to identical state', (t) => {
+        Game.random = engineRandom;
+        try {
+            Game.init(2024);
+            t.clickButton('Remember');
+            JumperCreation.submitStep('male');
+            JumperCreation.submitStep('gender');
+            JumperCreation.submitStep(['women', 'nonbinary']);
+            JumperCreation.submitStep('understand_end');
+            JumperCreation.submitStep('face');
+            JumperCreation.submitStep(['persuasion']);
+            JumperCreation.submitStep('mind');
+            JumperCreation.submitStep(['forensics', 'deep_integration', 'controlled_recall']);
+            JumperCreation.submitStep(['cooking', 'drawing']);
+            t.clickButton('Begin');
+            t.clickButton('Low');
+            t.clickButton('Low'); // 50% health bonus rolled from the seeded RNG
+            t.clickButton('Look for work');
+            t.clickButton('Try to remember');
+            t.clickButton('Female');
+            t.clickButton('Something else');
+            Game.submitEntry({ subject: 'Ve', object: 'ver', possessive: 'vis', possessivePronoun: 'vis', reflexive: 'verself', number: 'singular' });
+            t.clickButton('A loved one');
+
+            const types = Game.state.journal.map(e => e.type);
+            t.assertEqual(types[0], 'action', 'Action recorded');
+            t.assert(types.includes('jumperStep'), 'Jumper creation steps recorded');
+            t.assertEqual(types.filter(ty => ty === 'creationOption').length, 5, 'Creation options recorded');
+            t.assert(types.includes('creationPronouns'), 'Typed-in pronouns recorded');
+
+            const log = Journal.export(Game);
+            t.assertEqual(log.seed, 2024, 'Log carries the seed');
+            const original = JSON.stringify(Game.state);
+            const originalNextId = Game.nextId;
+
+            Journal.replay(JSON.parse(JSON.stringify(log)), Game);
+            t.assertEqual(JSON.stringify(Game.state), original, 'Replay rebuilds identical state');
+            t.assertEqual(Game.nextId, originalNextId, 'Replay rebuilds identical IDs');
+
+            // Save files can be replayed directly
+            Game.save(0);
+            const fromSave = Journal.fromSaveData(JSON.parse(mockLocalStorage.getItem(context.Config.saveKeyPrefix + '0')));
+            t.assertEqual(fromSave.entries.length, log.entries.length, 'Save contains the journal');
+        } finally {
+            Game.random = () => harness.nextRandom();
+        }
+    });
+
+    harness.runTest('Journal: pursuit configuration and week end', (t) => {
+        Game.init(5);
+        Game.state.actionsRemaining = 0;
+        Game.endWeek();
+        t.assert(PursuitManager.pendingConfirm, 'Pursuit panel waiting');
+        Game.state.pursuits['frugal_living'].enabled = true;
+        PursuitManager.confirm(Game);
+
+        const entries = Game.state.journal;
+        t.assertEqual(entries[0].type, 'endWeek', 'Week end recorded');
+        t.assertEqual(entries[1].type, 'pursuits', 'Pursuit confirmation recorded');
+        t.assertEqual(entries[1].config['frugal_living'].enabled, true, 'Pursuit settings captured');
+
+        // Replay applies the recorded configuration
+        Journal.replay({ seed: 5, entries: JSON.parse(JSON.stringify(entries)) }, Game);
+        t.assertEqual(Game.state.week, 2, 'Week advanced on replay');
+        t.assert(Game.state.pursuits['frugal_living'].enabled, 'Pursuit config replayed');
+
+        // Bad entries report their index
+        let message = '';
+        try {
+            Journal.replay({ seed: 5, entries: [{ type: 'endWeek' }, { type: 'action', id: 'noSuchAction' }] }, Game);
+        } catch (error) {
+            message = error.message;
+        }
+        t.assertContains(message, 'Journal entry 1 (action)', 'Failing entry index reported');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Presentation
+    // ============================================================
+
+    harness.runTest('Presentation: view models reach the renderer', (t) => {
+        const rendered = [];
+        Game.renderer = { render: (slot, view) => rendered.push({ slot, view }) };
+        try {
+            Game.init(1);
+            const slots = rendered.map(r => r.slot);
+            t.assert(slots.includes('narrative'), 'Narrative presented');
+            t.assert(slots.includes('options'), 'Options presented');
+            t.assert(slots.includes('hud'), 'HUD presented');
+
+            const hud = Game.view.hud;
+            t.assertEqual(hud.time, 'Week 1', 'HUD time');
+            t.assertEqual(hud.actions.remaining, context.Config.actionsPerPeriod, 'HUD actions');
+            t.assert(hud.stats.every(s => s.label && s.value !== undefined), 'HUD stats labelled');
+
+            // Costs are data; the renderer decides how to show them
+            context.Actions.testCostly = { id: 'testCostly', text: 'Costly', actionCost: 2, effects: [] };
+            Game.state.actionsRemaining = 0;
+            Game.refreshDisplay();
+            const options = Game.view.options;
+            t.assertEqual(options.kind, 'actions', 'Action list');
+            const costly = options.items.findIndex(item => item.text === 'Costly');
+            t.assertEqual(options.items[costly].cost, 2, 'Cost carried on item');
+            t.assert(options.items[costly].disabled, 'Unaffordable action disabled');
+            t.assert(!Game.selectOption(costly), 'Disabled option cannot be picked');
+            t.assertEqual(options.items[options.items.length - 1].text, 'End week', 'End week offered last');
+            t.assertEqual(rendered[rendered.length - 1].view, Game.view.hud, 'Renderer gets the same view models');
+        } finally {
+            delete context.Actions.testCostly;
+            Game.renderer = null;
+        }
+    });
+
+    harness.runTest('Presentation: multi-select steps and pursuit panel', (t) => {
+        Game.init(3);
+        JumperCreation.start();
+        t.assertEqual(Game.view.options.kind, 'jumperCreation', 'Jumper creation options');
+        t.clickButton('Male');
+        t.clickButton('Whatever fits my gender');
+
+        // Toggles re-present the step with selection state
+        t.assert(t.findButton('Continue').disabled, 'Continue needs a selection');
+        t.clickButton('Women');
+        t.assert(t.findButton('Women').selected, 'Toggled option selected');
+        t.assert(t.findButton('Continue').primary, 'Continue is the primary option');
+        t.clickButton('Continue');
+        t.assertEqual(JumperCreation.pendingIdentity.attractedTo[0], 'women', 'Selection submitted');
+        JumperCreation.reset();
+
+        // Pursuit panel opens as a view model and closes on confirm
+        Game.state.actionsRemaining = 0;
+        Game.endWeek();
+        const panel = Game.view.pursuits;
+        const frugal = panel.pursuits.find(p => p.id === 'frugal_living');
+        t.assertEqual(frugal.enabled, false, 'Toggle state in view');
+        PursuitManager.configure(Game, 'frugal_living', { enabled: true });
+        t.assertEqual(Game.view.pursuits.summary.hours, panel.summary.hours + 5, 'Summary updated');
+        PursuitManager.confirm(Game);
+        t.assertEqual(Game.view.pursuits, null, 'Panel closed');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Terminal Frontend
+    // ============================================================
+
+    harness.runTest('Terminal: view models format as numbered text', (t) => {
+        const Terminal = require('../tools/terminal-renderer');
+        const renderer = Terminal.createTerminalRenderer();
+        Terminal.useLocalization(context.Localization);
+        Game.renderer = renderer;
+        try {
+            Game.init(11);
+            t.assert(renderer.takeChanged().has('options'), 'Changed slots tracked');
+            t.assertEqual(renderer.takeChanged().size, 0, 'Changes cleared once taken');
+
+            t.assertContains(Terminal.formatOptions(Game.view.options), '  1) Remember who you are', 'Numbered options');
+            t.assertContains(Terminal.formatHud(Game.view.hud), 'Week 1 | Actions: 3/3', 'HUD line');
+            t.assertEqual(Terminal.wrap('one two three', 8), 'one two\nthree', 'Narrative wraps');
+
+            const toggles = Terminal.formatOptions({
+                kind: 'jumperCreation',
+                status: 'Points: 1/3 spent',
+                items: [
+                    { text: 'Stealth', cost: 2, selected: true },
+                    { text: 'Continue', primary: true, disabled: true }
+                ]
+            });
+            t.assertContains(toggles, 'Points: 1/3 spent', 'Status shown');
+            t.assertContains(toggles, '1) [x] Stealth [2 actions]', 'Selection and cost shown');
+            t.assertContains(toggles, '2) Continue (unavailable)', 'Disabled option marked');
+            context.Localization.setLocale('es');
+            t.assertContains(Terminal.formatOptions({ items: [{ text: 'Continuar', disabled: true }] }), '1) Continuar (no disponible)', 'Labels follow the language');
+            context.Localization.setLocale('en');
+
+            Game.state.actionsRemaining = 0;
+            Game.endWeek();
+            t.assertContains(Terminal.formatPursuitPanel(Game.view.pursuits), 'Frugal Living: off (5h/week)', 'Pursuit panel as text');
+            PursuitManager.confirm(Game);
+        } finally {
+            Game.renderer = null;
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Choices
+    // ============================================================
+
+    harness.runTest('Choices: chapter choices advance their own storyline', (t) => {
+        context.Stories['testHeist'] = {
+            chapters: {
+                plan: {
+                    text: 'The vault waits.',
+                    showText: 'onEnter',
+                    choices: [
+                        {
+                            text: 'Case the bank',
+                            effects: [{ setFlag: 'cased' }, { showText: 'You note the guard rotations.' }],
+                            next: 'ready'
+                        },
+                        { text: 'Bribe a guard', conditions: { stat: ['money', '>=', 1000] }, next: 'ready' }
+                    ]
+                },
+                ready: { text: 'Time to move.', showText: 'onEnter' }
+            }
+        };
+        context.Stories['testRomance'] = {
+            chapters: {
+                meet: { choices: [{ text: 'Say hello', next: 'talking' }] },
+                talking: { text: 'You talk for hours.', showText: 'onEnter' }
+            }
+        };
+
+        try {
+            Game.init(1);
+            Game.enterStory('testHeist');
+            Game.enterStory('testRomance');
+            Game.refreshDisplay();
+
+            t.assert(t.findButton('Remember'), 'Actions still offered alongside choices');
+            t.assert(!t.findButton('Bribe'), 'Choice conditions respected');
+
+            t.clickButton('Say hello');
+            t.assertEqual(Game.state.storylines['testRomance'].currentChapter, 'talking', 'Romance advanced');
+            t.assertEqual(Game.state.storylines['testHeist'].currentChapter, 'plan', 'Heist untouched');
+            t.assertEqual(Game.state.storylines['intro'].currentChapter, 'jumper_identity', 'First storyline untouched');
+
+            t.clickButton('Case the bank');
+            t.assertEqual(Game.state.storylines['testHeist'].currentChapter, 'ready', 'Heist advanced');
+            t.assert(Game.hasFlag('cased'), 'Choice effects applied');
+            t.assertContains(t.getNarrativeText(), 'guard rotations', 'Effect text shown');
+            t.assertContains(t.getNarrativeText(), 'Time to move.', 'Next chapter text shown');
+
+            const entry = Game.state.journal[Game.state.journal.length - 1];
+            t.assertEqual(JSON.stringify(entry), JSON.stringify({ type: 'choice', story: 'testHeist', index: 0 }), 'Choice journaled by story');
+        } finally {
+            delete context.Stories['testHeist'];
+            delete context.Stories['testRomance'];
+        }
+    });
+
+    harness.runTest('Choices: event choices with ability checks', (t) => {
+        context.Stories['testAlley'] = {
+            chapters: {
+                street: {},
+                rooftops: { text: 'The city spreads below you.', showText: 'onEnter' },
+                caught: { text: 'Hands grab your collar.', showText: 'onEnter' }
+            }
+        };
+        context.Events['testChase'] = {
+            id: 'testChase',
+            story: 'testAlley',
+            conditions: { inChapter: { testAlley: 'street' } },
+            text: 'Footsteps behind you.',
+            choices: [{
+                text: 'Leap the fence',
+                abilityCheck: { skill: 'parkour', dice: '1d20', difficulty: 10 },
+                onSuccess: { text: 'You clear it easily.', next: 'rooftops' },
+                onFailure: { text: 'You slip.', next: 'caught' }
+            }]
+        };
+
+        try {
+            Game.init(1);
+            Game.enterStory('testAlley');
+            Game.runGameLoop();
+            t.assertContains(t.getNarrativeText(), 'Footsteps behind you.', 'Event stays on screen');
+            t.assertEqual(Game.view.options.kind, 'choices', 'Event choices replace actions');
+
+            t.setRandomSequence([0.99]); // d20 rolls 20
+            t.clickButton('Leap the fence');
+            t.clickButton('Rely on this life');
+            t.assertEqual(Game.state.storylines['testAlley'].currentChapter, 'rooftops', 'Success branch followed');
+            t.assertContains(t.getNarrativeText(), 'You clear it easily.', 'Outcome text shown');
+            t.assertContains(t.getNarrativeText(), 'The city spreads below you.', 'Chapter text shown');
+
+            Game.init(1);
+            Game.enterStory('testAlley');
+            Game.runGameLoop();
+            t.setRandomSequence([0]); // d20 rolls 1
+            t.clickButton('Leap the fence');
+            t.clickButton('Rely on this life');
+            t.assertEqual(Game.state.storylines['testAlley'].currentChapter, 'caught', 'Failure branch followed');
+        } finally {
+            delete context.Stories['testAlley'];
+            delete context.Events['testChase'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Ability Check Outcomes
+    // ============================================================
+
+    harness.runTest('CheckOutcomes: tiers fall back to the nearest defined block', (t) => {
+        const onSuccess = { text: 'win' };
+        const onCrushingFailure = { text: 'disaster' };
+        const entity = { onSuccess, onCrushingFailure };
+
+        t.assertEqual(AbilityChecker.selectOutcome(entity, 'crushingSuccess'), onSuccess, 'Crushing success uses success');
+        t.assertEqual(AbilityChecker.selectOutcome(entity, 'success'), onSuccess, 'Success uses its own block');
+        t.assertEqual(AbilityChecker.selectOutcome(entity, 'failure'), onCrushingFailure, 'Failure uses crushing failure');
+        t.assertEqual(AbilityChecker.selectOutcome({ onSuccess }, 'failure'), null, 'Never crosses to the other side');
+    });
+
+    harness.runTest('CheckOutcomes: actions and events apply their outcome', (t) => {
+        context.Actions['testPickLock'] = {
+            id: 'testPickLock',
+            text: 'Pick the lock',
+            actionCost: 1,
+            abilityCheck: { ref: 'pick_lock', dice: '1d20', difficulty: 10, crushMargin: 5 },
+            effects: [{ setFlag: 'tried_lock' }],
+            onSuccess: { text: 'The lock clicks.', effects: [{ setFlag: 'door_open' }] },
+            onCrushingFailure: { text: 'The pick snaps.', effects: [{ setFlag: 'pick_broken' }] }
+        };
+
+        try {
+            Game.init(1);
+            t.setRandomSequence([0.99]); // d20 rolls 20: crushing success, falls back to onSuccess
+            t.clickButton('Pick the lock');
+            t.clickButton('Rely on this life');
+            t.assert(Game.hasFlag('tried_lock'), 'Action effects run before the check');
+            t.assert(Game.hasFlag('door_open'), 'Success effects applied');
+            t.assertContains(t.getNarrativeText(), 'The lock clicks.', 'Outcome text shown');
+
+            t.setRandomSequence([0]); // d20 rolls 1: crushing failure
+            t.clickButton('Pick the lock');
+            t.clickButton('Rely on this life');
+            t.assert(Game.hasFlag('pick_broken'), 'Crushing failure effects applied');
+            t.assertEqual(AbilityChecker.lastResult.outcome, 'crushingFailure', 'Outcome tier');
+
+            // Story-bound events can move their storyline on the result
+            context.Stories['testVault'] = { chapters: { door: {}, inside: {} } };
+            context.Events['testAlarm'] = {
+                id: 'testAlarm',
+                story: 'testVault',
+                conditions: { inChapter: { testVault: 'door' } },
+                text: 'An alarm panel blinks.',
+                abilityCheck: { skill: 'hacking', dice: '1d20', difficulty: 5 },
+                onSuccess: { text: 'The panel goes dark.', next: 'inside' }
+            };
+            Game.enterStory('testVault');
+            t.setRandomSequence([0.99]);
+            Game.runGameLoop();
+            t.assertContains(t.getNarrativeText(), 'An alarm panel blinks.\n\nThe panel goes dark.', 'Event and outcome text');
+            t.assertEqual(Game.state.storylines['testVault'].currentChapter, 'inside', 'Event outcome advanced story');
+        } finally {
+            delete context.Actions['testPickLock'];
+            delete context.Stories['testVault'];
+            delete context.Events['testAlarm'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Deep Memory
+    // ============================================================
+
+    harness.runTest('DeepMemory: prompt before a check shows both odds and traces', (t) => {
+        context.Actions['testClimb'] = {
+            id: 'testClimb',
+            text: 'Climb the wall',
+            actionCost: 1,
+            abilityCheck: { skill: 'parkour', dice: '1d20', difficulty: 40 },
+            deepMemoryTraces: { timecop_suspicion: 10, deepskill_use: 5 },
+            onSuccess: { text: 'You haul yourself over.' }
+        };
+        context.Actions['testSprint'] = {
+            id: 'testSprint',
+            text: 'Sprint',
+            abilityCheck: { skill: 'athletics', dice: '1d20', difficulty: 5 },
+            deepMemory: false
+        };
+
+        try {
+            Game.init(1);
+            const actionsBefore = Game.state.actionsRemaining;
+            t.clickButton('Climb the wall');
+            t.assertEqual(Game.view.options.kind, 'deepMemory', 'Prompt replaces the options');
+            t.assertEqual(Game.state.actionsRemaining, actionsBefore, 'Nothing is spent before answering');
+
+            const [rely, deep] = Game.view.options.items;
+            t.assertEqual(rely.detail, `Odds: ${AbilityChecker.describeOdds(context.Actions['testClimb'].abilityCheck, Game)}`, 'Current odds');
+            t.assertContains(deep.detail, `Odds: ${AbilityChecker.describeOdds(context.Actions['testClimb'].abilityCheck, Game, true)}`, 'Deep memory odds');
+            t.assertContains(deep.detail, 'Timecop Suspicion +10', 'Declared traces listed');
+
+            // Unprompted checks go straight to the roll
+            t.clickButton('Rely on this life');
+            t.assertEqual(Game.state.actionsRemaining, actionsBefore - 1, 'Action resolved after answering');
+            Game.executeAction(context.Actions['testSprint']);
+            t.assert(Game.view.options.kind !== 'deepMemory', 'deepMemory: false skips the prompt');
+            t.assert(!Game.chooseDeepMemory(true), 'Nothing waiting on the prompt');
+        } finally {
+            delete context.Actions['testClimb'];
+            delete context.Actions['testSprint'];
+        }
+    });
+
+    harness.runTest('DeepMemory: drawing on deep memory applies traces and replays', (t) => {
+        context.Actions['testClimb'] = {
+            id: 'testClimb',
+            text: 'Climb the wall',
+            actionCost: 1,
+            abilityCheck: { skill: 'parkour', dice: '1d20', difficulty: 40 },
+            deepMemoryTraces: { timecop_suspicion: 10, deepskill_use: 5 },
+            onSuccess: { text: 'You haul yourself over.' },
+            onFailure: { text: 'You fall.' }
+        };
+
+        try {
+            Game.init(7);
+            const pid = Game.state.playerId;
+            t.clickButton('Climb the wall');
+            t.clickButton('Draw on deep memory');
+
+            const result = AbilityChecker.lastResult;
+            t.assert(result.useDeepMemory, 'Chosen path recorded on the result');
+            t.assertEqual(result.deepMemoryBonus, 30, 'General past-life bonus');
+            t.assertEqual(result.traces.timecop_suspicion, 10, 'Traces recorded on the result');
+            t.assertEqual(Game.getStat(pid, 'timecop_suspicion'), 10, 'Suspicion trace applied');
+            t.assertEqual(Game.getStat(pid, 'deepskill_use'), 5, 'Deep skill trace applied');
+
+            const log = Journal.export(Game);
+            t.assertEqual(log.entries.at(-1).type, 'deepMemory', 'Answer recorded in the journal');
+            Journal.replay(JSON.parse(JSON.stringify(log)), Game);
+            t.assertEqual(Game.getStat(Game.state.playerId, 'timecop_suspicion'), 10, 'Replay reapplies traces');
+        } finally {
+            delete context.Actions['testClimb'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Dice Expressions
+    // ============================================================
+
+    harness.runTest('Dice: parsing expressions and surfacing errors', (t) => {
+        const Dice = context.Dice;
+
+        const sum = Dice.parse('1d8 + 1d4 - 2');
+        t.assertEqual(sum.terms.length, 3, 'Three terms');
+        t.assertEqual(sum.terms[1].sides, 4, 'Second die');
+        t.assertEqual(sum.terms[2].sign * sum.terms[2].value, -2, 'Negative constant');
+
+        const keep = Dice.parse('4d6kh3').terms[0];
+        t.assertEqual(keep.keep.count, 3, 'Keep count');
+        t.assert(keep.keep.highest, 'Keep highest');
+        t.assert(!Dice.parse('2d20kl1').terms[0].keep.highest, 'Keep lowest');
+        t.assert(Dice.parse('d6!').terms[0].explode, 'Exploding die');
+        t.assertEqual(Dice.parse('d6!').terms[0].count, 1, 'd6 means 1d6');
+
+        t.assertContains(Dice.validate('2d6+'), '"+"', 'Trailing operator');
+        t.assertContains(Dice.validate('2x6'), '"2x6"', 'Unreadable term');
+        t.assertContains(Dice.validate('2d6kh3'), 'keeps 3 of 2', 'Keeping more dice than rolled');
+        t.assertEqual(Dice.validate('2d20kl1'), null, 'Valid notation');
+
+        const result = AbilityChecker.check({ skill: 'stealth', dice: '2d6++1', difficulty: 10 }, Game);
+        t.assertContains(result.error, '"++1"', 'Checks report bad dice instead of rolling 1d20');
+        t.assertEqual(AbilityChecker.calculateOdds({ skill: 'stealth', dice: '2d6++1', difficulty: 10 }, Game), null, 'No odds for bad dice');
+    });
+
+    harness.runTest('Dice: rolls, averages and odds share one representation', (t) => {
+        const Dice = context.Dice;
+        Game.init();
+
+        // Keep highest 3 of 4d6: 0.0 -> 1, 0.99 -> 6
+        t.setRandomSequence([0, 0.99, 0.5, 0.99]);
+        t.assertEqual(AbilityChecker.rollDice('4d6kh3', Game), 16, '6 + 6 + 4, dropping the 1');
+
+        // Exploding: a 6 rolls again
+        t.setRandomSequence([0.99, 0.99, 0.2]);
+        t.assertEqual(AbilityChecker.rollDice('d6!+1', Game), 15, '6 + 6 + 2 + 1');
+
+        t.setRandomSequence([0.99, 0]);
+        t.assertEqual(AbilityChecker.rollDice('2d20kl1', Game), 1, 'Disadvantage keeps the lowest');
+
+        t.assertEqual(AbilityChecker.averageRoll('2d6+3'), 10, '2d6+3 average');
+        t.assert(Math.abs(AbilityChecker.averageRoll('2d20kh1') - 13.825) < 1e-9, 'Advantage average');
+        t.assert(Math.abs(AbilityChecker.averageRoll('4d6kh3') - 15869 / 1296) < 1e-9, '4d6kh3 average');
+
+        const distribution = Dice.distribution(Dice.parse('1d8+1d4'));
+        t.assertEqual(Math.min(...distribution.keys()), 2, 'Lowest total');
+        t.assertEqual(Math.max(...distribution.keys()), 12, 'Highest total');
+        t.assert(Math.abs(distribution.get(5) - 4 / 32) < 1e-9, 'Four ways to make 5');
+
+        // Exploding d6 under the cap: 6 or more needs a 6 on the first die
+        const exploding = Dice.distribution(Dice.parse('d6!'));
+        t.assertEqual(exploding.get(6), undefined, 'A 6 never stands alone');
+        let total = 0;
+        for (const p of exploding.values()) total += p;
+        t.assert(Math.abs(total - 1) < 1e-9, 'Probabilities sum to 1');
+
+        // Big keep pools stay cheap to compute
+        const pool = Dice.distribution(Dice.parse('10d100kh5'));
+        t.assertEqual(Math.max(...pool.keys()), 500, 'Best five hundreds');
+        t.assertEqual(Math.min(...pool.keys()), 5, 'Worst case keeps five 1s');
+        total = 0;
+        for (const p of pool.values()) total += p;
+        t.assert(Math.abs(total - 1) < 1e-9, 'Keep pool probabilities sum to 1');
+
+        // Advantage on a d20: needs 11+ on either die = 1 - (10/20)^2
+        const pid = Game.state.playerId;
+        Game.setSkill(pid, 'stealth', 0);
+        const odds = AbilityChecker.calculateOdds({ skill: 'stealth', dice: '2d20kh1', difficulty: 11 }, Game);
+        t.assertEqual(odds.percent, 75, 'Advantage odds');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Opposed Checks
+    // ============================================================
+
+    harness.runTest('OpposedChecks: both sides roll and the margin decides', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        const guardId = Game.createCharacter('human', 'Guard');
+        Game.setSkill(pid, 'stealth', 30);
+        Game.setSkill(guardId, 'analysis', 20);
+        Game.setStat(guardId, 'health', 40);
+
+        const check = {
+            skill: 'stealth',
+            dice: '1d20',
+            crushMargin: 10,
+            opposed: { character: guardId, skill: 'analysis', bonuses: [{ stat: 'health', scale: 0.25 }] }
+        };
+
+        // Player 30 + 10 = 40 vs guard 20 + 10 (health) + 10 = 40: ties go to the player
+        t.setRandomSequence([0.45, 0.45]);
+        let result = AbilityChecker.check(check, Game);
+        t.assertEqual(result.opponent.total, 40, 'Opponent rolls skill, bonuses and dice');
+        t.assertEqual(result.outcome, 'success', 'Tie goes to the player');
+
+        // Player 30 + 1 vs guard 30 + 20: lost by 19
+        t.setRandomSequence([0, 0.99]);
+        result = AbilityChecker.check(check, Game);
+        t.assertEqual(result.margin, -19, 'Margin between the two rolls');
+        t.assertEqual(result.outcome, 'crushingFailure', 'Crushed by the margin');
+
+        // Role reference: the player's enemy, who kept a deep skill from a past life
+        const acqId = Game.createObject('acquaintance', 'Guard', { targetCharId: guardId, relationshipType: 'enemy' });
+        Game.giveObject(acqId, pid);
+        Game.addDeepSkill(guardId, 'analysis');
+        t.setRandomSequence([0.99, 0]);
+        result = AbilityChecker.check({ ...check, opposed: { character: 'enemy', skill: 'analysis' } }, Game);
+        t.assertEqual(result.opponent.charId, guardId, 'Role resolves to the acquaintance');
+        t.assertEqual(result.opponent.deepSkillBonus, 100, 'Opponent draws on their deep skill');
+        t.assertEqual(result.outcome, 'crushingFailure', '50 vs 121');
+
+        result = AbilityChecker.check({ ...check, opposed: { character: 'rival', skill: 'analysis' } }, Game);
+        t.assertEqual(result.error, 'Unknown opponent', 'Missing opponent is an error');
+        t.assertContains(AbilityChecker.validateCheck({ skill: 'stealth', dice: '1d20', opposed: {} }).join(), 'opposed.character', 'Opponent required');
+    });
+
+    harness.runTest('OpposedChecks: odds account for both dice', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        const rivalId = Game.createCharacter('human', 'Rival');
+        Game.setSkill(pid, 'persuasion', 10);
+        Game.setSkill(rivalId, 'persuasion', 10);
+
+        // Equal skill, d6 each: win on a tie or better = 21/36
+        const check = { skill: 'persuasion', dice: '1d6', opposed: { character: rivalId, skill: 'persuasion' } };
+        let odds = AbilityChecker.calculateOdds(check, Game);
+        t.assert(Math.abs(odds.successChance - 21 / 36) < 1e-9, 'Opposed d6 odds');
+
+        // The opponent can roll different dice; modifiers still shift the line
+        odds = AbilityChecker.calculateOdds({
+            ...check,
+            opposed: { character: rivalId, skill: 'persuasion', dice: '1d2' },
+            modifiers: [{ condition: { stat: ['health', '>=', 0] }, add: 1 }]
+        }, Game);
+        t.assert(Math.abs(odds.successChance - 9 / 12) < 1e-9, 'Needs d6 >= d2 + 1');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Group Checks
+    // ============================================================
+
+    // Player with a loved one and an enemy, as CharacterCreation links them
+    function setupCrew(Game) {
+        Game.init();
+        const pid = Game.state.playerId;
+        const crew = {};
+        for (const [role, name] of [['loved_one', 'Sam'], ['enemy', 'Vic']]) {
+            crew[role] = Game.createCharacter('human', name);
+            const acqId = Game.createObject('acquaintance', name, { targetCharId: crew[role], relationshipType: role });
+            Game.giveObject(acqId, pid);
+        }
+        return { pid, ...crew };
+    }
+
+    harness.runTest('GroupChecks: helpers add a share of their skill', (t) => {
+        const { pid, loved_one } = setupCrew(Game);
+        Game.setSkill(pid, 'athletics', 20);
+        Game.setSkill(loved_one, 'athletics', 30);
+        Game.setSkill(loved_one, 'treatment', 41);
+
+        const check = {
+            skill: 'athletics',
+            dice: '1d20',
+            difficulty: 50,
+            helpers: [
+                { character: 'loved_one', share: 0.5 },
+                { character: 'loved_one', skill: 'treatment', share: 0.25 },
+                { character: 'stranger', share: 1 }
+            ]
+        };
+
+        // 20 + 15 (athletics) + 10 (treatment) + 5 roll = 50
+        t.setRandomSequence([0.2]);
+        const result = AbilityChecker.check(check, Game);
+        t.assertEqual(result.helpers.length, 2, 'Missing helpers do not take part');
+        t.assertEqual(result.helpers[1].contribution, 10, 'Helper can use a different skill');
+        t.assertEqual(result.playerRoll, 50, 'Contributions added to the roll');
+        t.assertEqual(result.outcome, 'success', 'Help makes the difference');
+
+        // Needs 5+ on a d20
+        t.assertEqual(AbilityChecker.calculateOdds(check, Game).percent, 80, 'Odds include helpers');
+        t.assertContains(AbilityChecker.validateCheck({ ...check, helpers: [{ character: 'loved_one' }] }).join(), 'share', 'Share required');
+    });
+
+    harness.runTest('GroupChecks: team checks count the worst or best roll', (t) => {
+        const { pid, loved_one, enemy } = setupCrew(Game);
+        Game.setSkill(pid, 'stealth', 30);
+        Game.setSkill(loved_one, 'stealth', 10);
+        Game.addDeepSkill(enemy, 'stealth');
+
+        const check = { skill: 'stealth', dice: '1d6', difficulty: 20, team: { members: ['loved_one', 'enemy'], counts: 'worst' } };
+
+        // Player 30+6, Sam 10+1, Vic 100+6: the weakest link counts
+        t.setRandomSequence([0.99, 0, 0.99]);
+        let result = AbilityChecker.check(check, Game);
+        t.assertEqual(result.team.rolls.length, 3, 'Everyone rolls');
+        t.assertEqual(result.team.counted, loved_one, 'Worst roll counts');
+        t.assertEqual(result.playerRoll, 11, 'Team total is the worst');
+        t.assertEqual(result.outcome, 'failure', 'Sam gets spotted');
+
+        // Sam needs 10 on a d6: impossible. With the best roll, the player alone is enough
+        t.assertEqual(AbilityChecker.calculateOdds(check, Game).percent, 0, 'Worst-roll odds');
+        t.assertEqual(AbilityChecker.calculateOdds({ ...check, team: { members: ['loved_one'], counts: 'best' } }, Game).percent, 100, 'Best-roll odds');
+
+        // Best of Sam and the player: 1 - P(both fail)
+        Game.setSkill(pid, 'stealth', 16);
+        Game.setSkill(loved_one, 'stealth', 17);
+        const odds = AbilityChecker.calculateOdds({ ...check, team: { members: ['loved_one'], counts: 'best' } }, Game);
+        t.assert(Math.abs(odds.successChance - (1 - (3 / 6) * (2 / 6))) < 1e-9, 'Either can carry the team');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Skill Progress
+    // ============================================================
+
+    harness.runTest('SkillProgress: XP has diminishing returns and feeds parents', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        const { xpPerPoint, costGrowth, parentShare } = context.SkillProgression;
+
+        // General skills: first point costs the base rate, later points cost more
+        t.assertEqual(Game.skillPointCost(pid, 'athletics'), xpPerPoint.general, 'Base cost');
+        Game.setSkill(pid, 'athletics', 20);
+        t.assertEqual(Game.skillPointCost(pid, 'athletics'), xpPerPoint.general * (1 + 20 * costGrowth), 'Cost grows with the skill');
+
+        let skillUps = Game.gainSkillXp(pid, 'athletics', Game.skillPointCost(pid, 'athletics') - 1);
+        t.assertEqual(skillUps.length, 0, 'Not enough for a point');
+        skillUps = Game.gainSkillXp(pid, 'athletics', 1);
+        t.assertEqual(Game.getSkill(pid, 'athletics'), 21, 'Leftover XP carries over');
+        t.assertEqual(Game.getPlayer().skillXp.athletics, 0, 'XP spent on the point');
+
+        // Specific skills level on their own rate and pass a share up to the parent
+        Game.setSkill(pid, 'athletics', 0);
+        Game.getPlayer().skillXp = {};
+        skillUps = Game.gainSkillXp(pid, 'parkour', xpPerPoint.specific * 4);
+        t.assertEqual(Game.getPlayer().skills.specific.parkour, 3, 'Specific points (10 + 10.5 + 11 of 40 XP)');
+        t.assertEqual(xpPerPoint.specific * 4 * parentShare, xpPerPoint.general, 'Parent share is one general point');
+        t.assertEqual(Game.getPlayer().skills.general.athletics, 1, 'Parent trained by the share');
+        t.assertEqual(Game.describeSkillUps(skillUps),
+            'Your Parkour skill improved to 4. Your Athletics skill improved to 1.', 'Skill-up text (effective values)');
+        t.assertEqual(Game.gainSkillXp(pid, 'no_such_skill', 50).length, 0, 'Unknown skills ignored');
+    });
+
+    harness.runTest('SkillProgress: checks and pursuits grant practice', (t) => {
+        context.Actions['testPractice'] = {
+            id: 'testPractice',
+            text: 'Practice climbing',
+            abilityCheck: { skill: 'climbing_wall', dice: '1d20', difficulty: 10 },
+            deepMemory: false
+        };
+        context.Pursuits['testTraining'] = {
+            title: 'Training',
+            configType: 'action',
+            hoursCost: 5,
+            weeklyEffects: [{ gainSkillXp: 'parkour' }, { gainSkillXp: ['melee', 1] }]
+        };
+        context.SkillDefinitions['climbing_wall'] = { type: 'specific', parent: 'athletics', title: 'Wall Climbing' };
+
+        try {
+            Game.init(1);
+            const pid = Game.state.playerId;
+            const { checkXp, weeklyPracticeXp } = context.SkillProgression;
+
+            t.setRandomSequence([0]); // failure
+            t.clickButton('Practice climbing');
+            t.assertEqual(Game.getPlayer().skillXp.climbing_wall, checkXp.failure, 'Failed checks still teach');
+
+            Game.getPlayer().skillXp.climbing_wall = Game.skillPointCost(pid, 'climbing_wall') - 1;
+            t.setRandomSequence([0.99]);
+            t.clickButton('Practice climbing');
+            t.assertEqual(Game.getSkill(pid, 'climbing_wall'), 1, 'Check XP raises the skill');
+            t.assertContains(t.getNarrativeText(), 'Your Wall Climbing skill improved to 1.', 'Skill-up shown after the check');
+
+            PursuitManager.activatePursuit(Game, 'testTraining');
+            Game.getPlayer().skillXp.parkour = Game.skillPointCost(pid, 'parkour') - weeklyPracticeXp;
+            PursuitManager.processWeeklyEffects(Game);
+            t.assertEqual(Game.getSkill(pid, 'parkour'), 1, 'A week of practice');
+            t.assertEqual(Game.getPlayer().skillXp.melee, 1, 'Explicit XP amount');
+            t.assertContains(Game.queuedParagraphs(Game.takeQueuedText()).join(), 'Your Parkour skill improved to 1.', 'Skill-up shown when the week starts');
+        } finally {
+            delete context.Actions['testPractice'];
+            delete context.Pursuits['testTraining'];
+            delete context.SkillDefinitions['climbing_wall'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Traces
+    // ============================================================
+
+    harness.runTest('Traces: weekly decay and threshold levels', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        Game.setStat(pid, 'timecop_suspicion', 50);
+        Game.setStat(pid, 'deepskill_use', 20);
+
+        t.assertEqual(Game.getTraceLevel('timecop_suspicion'), 'watched', 'Highest level reached');
+        t.assert(ConditionChecker.check({ traceLevel: { timecop_suspicion: 'watched' } }, Game), 'Level condition passes');
+        t.assert(ConditionChecker.check({ traceLevel: { deepskill_use: 20 } }, Game), 'Numeric threshold');
+
+        Game.decayTraces();
+        t.assertEqual(Game.getStat(pid, 'timecop_suspicion'), 49, 'Linear decay');
+        t.assertEqual(Game.getStat(pid, 'deepskill_use'), 18, 'Exponential decay');
+        t.assertEqual(Game.getTraceLevel('timecop_suspicion'), 'noticed', 'Decayed below a level');
+        t.assert(!ConditionChecker.check({ traceLevel: { timecop_suspicion: 'watched' } }, Game), 'Level condition fails below');
+        t.assert(!ConditionChecker.check({ traceLevel: { timecop_suspicion: 'nonsense' } }, Game), 'Unknown level fails');
+
+        Game.setStat(pid, 'deepskill_use', 1);
+        Game.decayTraces();
+        t.assertEqual(Game.getStat(pid, 'deepskill_use'), 0, 'Exponential decay reaches zero');
+        Game.decayTraces();
+        t.assertEqual(Game.getStat(pid, 'timecop_suspicion'), 47, 'Decays every week');
+    });
+
+    harness.runTest('Traces: mitigation and scope across jumps', (t) => {
+        context.Pursuits['testMeditation'] = {
+            title: 'Meditation',
+            configType: 'toggle',
+            default: false,
+            hoursCost: 3,
+            traceMitigation: { deepskill_use: 0.5 }
+        };
+
+        try {
+            Game.init();
+            const pid = Game.state.playerId;
+
+            EffectExecutor.execute([{ addTrace: ['deepskill_use', 20] }], Game);
+            t.assertEqual(Game.getStat(pid, 'deepskill_use'), 20, 'No mitigation');
+
+            // Inactive pursuits don't help
+            PursuitManager.initDefaults(Game);
+            t.assertEqual(Game.getTraceMitigation('deepskill_use'), 0, 'Disabled toggle');
+            Game.state.pursuits['testMeditation'].enabled = true;
+            t.assertEqual(Game.getTraceMitigation('deepskill_use'), 0.5, 'Pursuit mitigation');
+
+            // An item stacks multiplicatively with the pursuit
+            const itemId = Game.createObject('item', 'Copper Circlet', { traceMitigation: { deepskill_use: 0.5 } });
+            Game.giveObject(itemId, pid);
+            t.assertEqual(Game.addTrace('deepskill_use', 20), 5, 'Half of half gets through');
+            t.assertEqual(Game.addTrace('timecop_suspicion', 10), 10, 'Only the named trace is mitigated');
+            t.assertEqual(Game.addTrace('deepskill_use', -10), -10, 'Reductions are not mitigated');
+
+            Game.jump();
+            const newPid = Game.state.playerId;
+            t.assertEqual(Game.getStat(newPid, 'timecop_suspicion'), 10, 'Persistent trace follows the Jumper');
+            t.assertEqual(Game.getStat(newPid, 'deepskill_use'), 0, 'Universe trace wiped');
+        } finally {
+            delete context.Pursuits['testMeditation'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Timecops
+    // ============================================================
+
+    harness.runTest('Timecops: traces draw attention through the stages', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        t.assertEqual(Game.getTimecopStage(), null, 'Nobody is looking in a new universe');
+        t.assert(!Game.collectAvailableActions().some(a => a.id === 'lieLow'), 'Nothing to lie low from');
+
+        // 50 * 0.2 + 20 * 0.1 = 12 a week, less 2 cooling
+        Game.setStat(pid, 'timecop_suspicion', 50);
+        Game.setStat(pid, 'deepskill_use', 20);
+        Game.advanceTimecops();
+        t.assertEqual(Game.state.timecops.attention, 10, 'Attention from traces');
+        t.assertEqual(Game.getTimecopStage(), 'rumors', 'First stage reached');
+        t.assert(ConditionChecker.check({ timecopStage: 'rumors' }, Game), 'Stage condition passes');
+        t.assert(!ConditionChecker.check({ timecopStage: 'surveillance' }, Game), 'Later stage not reached');
+        t.assert(!ConditionChecker.check({ timecopStage: 'nonsense' }, Game), 'Unknown stage fails');
+
+        // Lying low throws them off
+        Game.executeAction(context.Actions['lieLow']);
+        t.assertEqual(Game.state.timecops.attention, 2, 'Lying low removes attention');
+        t.assertEqual(Game.getTimecopStage(), null, 'Back below the first stage');
+
+        // Without traces the trail goes cold, but never below zero
+        Game.setStat(pid, 'timecop_suspicion', 0);
+        Game.setStat(pid, 'deepskill_use', 0);
+        Game.endWeek();
+        t.assertEqual(Game.state.timecops.attention, 0, 'Cooled off at week end');
+
+        Game.setTimecopAttention(500);
+        t.assertEqual(Game.state.timecops.attention, 100, 'Capped at maxAttention');
+        t.assertEqual(Game.getTimecopStage(), 'confrontation', 'Final stage');
+
+        Game.jump();
+        t.assertEqual(Game.state.timecops.attention, 0, 'Each universe has its own investigation');
+    });
+
+    harness.runTest('Timecops: confrontation event and talking your way out', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        Game.setSkill(pid, 'deception', 100);
+        Game.setTimecopAttention(80);
+
+        t.setRandomSequence([0.1, 0, 0.99, 0.99]); // Event passes, triggers at once, 6 + 6
+        Game.runGameLoop();
+        t.assertContains(t.getNarrativeText(), 'grey coat', 'Confrontation fires');
+        t.assert(!Game.view.options.items.some(item => item.text === 'Lose the tail'), 'Surveillance outranked');
+
+        t.clickButton('Talk your way out');
+        t.clickButton('Rely on this life');
+        t.assert(Game.state.timecops.attention <= 40, 'Fast talk throws them off');
+        t.assertEqual(Game.getTimecopStage(), 'surveillance', 'Investigation falls back a stage');
+        t.assertEqual(Game.view.options.kind, 'actions', 'Back to the week');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Ledger
+    // ============================================================
+
+    harness.runTest('Ledger: meta flags and past lives survive jumps', (t) => {
+        Game.init();
+        EffectExecutor.execute([{ setMetaFlag: 'saw_the_sky_forget' }, { setFlag: 'local_knowledge' }], Game);
+        t.assert(ConditionChecker.check({ metaFlag: 'saw_the_sky_forget' }, Game), 'Meta flag set');
+        t.assert(ConditionChecker.check({ pastLives: ['==', 0] }, Game), 'No past lives yet');
+
+        Game.state.week = 12;
+        Game.jump();
+        Game.jump();
+        Game.jump();
+        t.assert(ConditionChecker.check({ metaFlag: 'saw_the_sky_forget' }, Game), 'Meta flag survives jumps');
+        t.assert(!Game.hasFlag('local_knowledge'), 'Universe flags do not');
+        t.assert(ConditionChecker.check({ pastLives: ['>=', 3] }, Game), 'Three lives archived');
+
+        const [first, second] = Game.state.ledger.pastLives;
+        t.assertEqual(first.universe, 1, 'Universe number');
+        t.assertEqual(first.weeks, 12, 'Weeks lived');
+        t.assertEqual(second.weeks, 1, 'Next life starts at week one');
+
+        EffectExecutor.execute([{ clearMetaFlag: 'saw_the_sky_forget' }], Game);
+        t.assert(!ConditionChecker.check({ metaFlag: 'saw_the_sky_forget' }, Game), 'Meta flag cleared');
+    });
+
+    harness.runTest('Ledger: mastered skills become deep skills', (t) => {
+        Game.init();
+        const pid = Game.state.playerId;
+        const { masteryThreshold } = context.SkillProgression;
+        Game.setSkill(pid, 'deception', masteryThreshold);
+        Game.setSkill(pid, 'stealth', masteryThreshold - 1);
+        Game.addDeepSkill(pid, 'hacking');
+
+        Game.jump();
+        const newPid = Game.state.playerId;
+        t.assert(Game.hasDeepSkill(newPid, 'deception'), 'Mastered skill promoted');
+        t.assert(!Game.hasDeepSkill(newPid, 'stealth'), 'Unmastered skill forgotten');
+        t.assert(Game.hasDeepSkill(newPid, 'hacking'), 'Deep skill gained in life kept');
+        t.assertEqual(Game.getSkill(newPid, 'deception'), 0, 'Current-identity skill reset');
+        t.assertEqual(Game.state.ledger.pastLives[0].promotedSkills.join(','), 'hacking,deception', 'Promotion recorded');
+
+        Game.jump();
+        t.assert(Game.hasDeepSkill(Game.state.playerId, 'deception'), 'Still known two lives later');
+        t.assertEqual(Game.state.ledger.pastLives[1].promotedSkills.length, 0, 'Nothing promoted twice');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Past Lives
+    // ============================================================
+
+    harness.runTest('PastLives: archived lives record how they went', (t) => {
+        context.Stories['testHeist'] = {
+            title: 'The Heist',
+            initialChapter: 'done',
+            chapters: { done: { objectiveResult: 'success' } }
+        };
+        context.Stories['testRescue'] = {
+            title: 'The Rescue',
+            initialChapter: 'lost',
+            chapters: { lost: { objectiveResult: 'failure' } }
+        };
+
+        try {
+            Game.init();
+            const pid = Game.state.playerId;
+            Game.setStat(pid, 'money', 120);
+            Game.enterStory('testHeist');
+            Game.enterStory('testRescue');
+            Game.evaluateStorylines();
+
+            const friendId = Game.createCharacter('human', 'Sam');
+            const acqId = Game.createObject('acquaintance', 'Sam', { targetCharId: friendId, relationshipType: 'loved_one' });
+            Game.giveObject(acqId, pid);
+
+            EffectExecutor.execute([{ delayEnd: 3 }], Game);
+            Game.state.week = 10;
+            Game.jump();
+
+            const life = Game.state.ledger.pastLives[0];
+            t.assertEqual(life.stats.money, 120, 'Final stats');
+            t.assertEqual(life.objectives.map(o => `${o.id}:${o.result}`).join(','), 'testHeist:success,testRescue:failure', 'Objective results');
+            t.assertEqual(life.relationships[0].name, 'Sam', 'Relationships formed');
+            t.assertEqual(life.end.week - life.end.scheduledWeek, 3, 'End delay recorded');
+
+            const card = Game.describeLife(life);
+            t.assertEqual(card.title, 'Universe 1: You', 'Card title');
+            const text = card.lines.join(' ');
+            t.assertContains(text, 'Lived to week 10.', 'Weeks lived');
+            t.assertContains(text, 'Money 120', 'Displayed stats');
+            t.assertContains(text, 'Completed: The Heist.', 'Completed objectives');
+            t.assertContains(text, 'Failed: The Rescue.', 'Failed objectives');
+            t.assertContains(text, 'Sam (loved one)', 'Relationship type');
+            t.assertContains(text, `Left with ${life.end.week - 10} weeks until The End, 3 weeks later than scheduled.`, 'End closeness');
+
+            t.assertEqual(Game.describeLifeEnd({ weeks: 52, end: { week: 52, scheduledWeek: 53, arrived: true } }),
+                'The End arrived in week 52, 1 week early.', 'End arrived early');
+            t.assertEqual(Game.describeLifeEnd({ weeks: 60, end: { averted: true } }), 'The End was averted.', 'Averted');
+        } finally {
+            delete context.Stories['testHeist'];
+            delete context.Stories['testRescue'];
+        }
+    });
+
+    harness.runTest('PastLives: a jump presents the summary card', (t) => {
+        const Terminal = require('../tools/terminal-renderer');
+        const renderer = Terminal.createTerminalRenderer();
+        Game.renderer = renderer;
+        try {
+            Game.init(3);
+            renderer.takeChanged();
+            Game.jump();
+            t.assert(renderer.takeChanged().has('lifeSummary'), 'Card presented');
+            t.assertEqual(Game.view.lifeSummary.title, 'Universe 1: You', 'Card for the life that ended');
+
+            const card = Terminal.formatLifeCard({ title: 'Universe 2: Mara', lines: ['Lived to week 4.'] });
+            t.assertEqual(card, '== Universe 2: Mara ==\n  Lived to week 4.', 'Terminal card');
+        } finally {
+            Game.renderer = null;
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Endings
+    // ============================================================
+
+    harness.runTest('Endings: an averted End resolves into an aspiration ending', (t) => {
+        Game.init();
+        Game.state.jumperIdentity = { aspirations: ['save_everyone'], strategies: ['shadow', 'mind'], deepSkills: [] };
+        t.assert(ConditionChecker.check({ hasAspiration: 'save_everyone' }, Game), 'Aspiration held');
+        t.assert(!ConditionChecker.check({ hasAspiration: 'find_peace' }, Game), 'Aspiration not held');
+        t.assert(ConditionChecker.check({ hasStrategy: ['shadow', 'mind'] }, Game), 'Strategies picked');
+        t.assert(!ConditionChecker.check({ hasStrategy: 'blade' }, Game), 'Strategy not picked');
+
+        t.assertEqual(Game.selectEnding(), null, 'No ending before The End is averted');
+        EffectExecutor.execute([{ avertEnd: true }, { setEndWeek: Game.state.week + 1 }], Game);
+        t.assertEqual(Game.selectEnding(), 'saveEveryone', 'Aspiration ending outranks the fallback');
+
+        Game.endWeek();
+        t.assertEqual(Game.state.ending.id, 'saveEveryone', 'Ending reached at the End week');
+        t.assertEqual(Game.view.options.kind, 'ending', 'Ending replaces the week');
+        t.assertContains(t.getNarrativeText(), 'Everyone', 'Ending title shown');
+
+        const slides = context.Endings['saveEveryone'].epilogue;
+        t.clickButton('Continue');
+        t.assertContains(t.getNarrativeText(), slides[0].slice(0, 30), 'First epilogue slide');
+        t.clickButton('Continue');
+        t.assertContains(t.getNarrativeText(), slides[1].slice(0, 30), 'Last epilogue slide');
+        t.assert(!Game.advanceEnding(), 'Nothing after the last slide');
+        t.assertEqual(Game.state.journal.at(-1).type, 'epilogue', 'Slides recorded in the journal');
+        t.assert(!Game.evaluateEvents(), 'No events after the ending');
+
+        t.clickButton('Begin a new game');
+        t.assertEqual(Game.state.ending, null, 'New game starts without an ending');
+    });
+
+    harness.runTest('Endings: triggerEnding and unaverted Ends', (t) => {
+        Game.init();
+        EffectExecutor.execute([{ triggerEnding: 'nonexistent' }], Game);
+        t.assertEqual(Game.state.ending, null, 'Unknown ending is not started');
+        t.assert(!Game.triggerEnding(true), 'Nothing eligible before The End is averted');
+
+        // An unaverted End with no eligible ending arrives as usual
+        Game.state.theEnd.week = Game.state.week + 1;
+        Game.endWeek();
+        t.assert(Game.state.theEnd.arrived, 'The End arrives');
+        t.assertEqual(Game.state.ending, null, 'No ending');
+
+        Game.init();
+        Game.state.actionsRemaining = 3;
+        context.Actions['testFinale'] = {
+            id: 'testFinale',
+            text: 'Finish it',
+            actionCost: 1,
+            effects: [{ showText: 'You pull the last thread.' }, { triggerEnding: 'understandEnd' }]
+        };
+        try {
+            Game.refreshDisplay();
+            t.clickButton('Finish it');
+            t.assertEqual(Game.state.ending.id, 'understandEnd', 'Effect starts the named ending');
+            t.assertContains(t.getNarrativeText(), 'You pull the last thread.', 'Effect text leads into the ending');
+            t.assertEqual(Game.state.actionsRemaining, 0, 'No actions left');
+
+            const life = Game.state.ledger.pastLives.at(-1);
+            t.assertEqual(life.ending, 'understandEnd', 'Life archived with its ending');
+            t.assertContains(Game.describeLife(life).lines.join(' '), 'Ending: The Truth.', 'Ending on the card');
+
+            const lives = Game.state.ledger.pastLives.length;
+            EffectExecutor.execute([{ triggerJump: true }], Game);
+            t.assertEqual(Game.state.ledger.pastLives.length, lives, 'A jump after the ending does not archive the life again');
+            t.assertEqual(Game.view.lifeSummary.title, Game.describeLife(life).title, 'Jump card shows the archived life');
+        } finally {
+            delete context.Actions['testFinale'];
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Gender
+    // ============================================================
+
+    harness.runTest('Gender: bodies follow the core gender, fluid Jumpers roll', (t) => {
+        const originalRoll = context.Config.fluidGenderRoll;
+        try {
+            Game.init();
+            Game.state.jumperIdentity = { coreGender: 'female', aspirations: [], strategies: [], deepSkills: [] };
+            Game.jump();
+            t.assertEqual(Game.getPlayer().gender, 'female', 'Body takes the core gender');
+
+            // bodyGenders is male, female, nonbinary
+            Game.state.jumperIdentity.coreGender = 'fluid';
+            t.setRandomSequence([0.9]);
+            Game.jump();
+            t.assertEqual(Game.getPlayer().gender, 'nonbinary', 'Fluid Jumper rolls a body on each jump');
+
+            t.setRandomSequence([0.1]);
+            Game.endWeek();
+            t.assertEqual(Game.getPlayer().gender, 'nonbinary', 'Kept all life with per-jump rolls');
+
+            context.Config.fluidGenderRoll = 'week';
+            t.setRandomSequence([0.1]);
+            Game.endWeek();
+            t.assertEqual(Game.getPlayer().gender, 'male', 'Rolled again each week');
+
+            t.assert(!Game.setCharacterGender(Game.state.playerId, 'fluid'), 'Fluid is not a body gender');
+            t.assertEqual(Game.getPlayer().gender, 'male', 'Body gender unchanged');
+            t.assert(context.CoreGenders.includes('fluid'), 'Fluid is a core gender');
+        } finally {
+            context.Config.fluidGenderRoll = originalRoll;
+        }
+    });
+
+    harness.runTest('Gender: player and jumper tokens address body and core', (t) => {
+        Game.init();
+        Game.state.jumperIdentity = { coreGender: 'fluid', aspirations: [], strategies: [], deepSkills: [] };
+        Game.setCharacterGender(Game.state.playerId, 'male');
+
+        const text = TextInterpolation.format('[player:Subject] {player:look/looks} in the mirror; [jumper:subject] {jumper:look/looks} back.');
+        t.assertEqual(text, 'He looks in the mirror; they look back.', 'Body and core pronouns');
+
+        const npcId = Game.createCharacter('human', 'Robin');
+        Game.setCharacterGender(npcId, 'female');
+        t.assertEqual(TextInterpolation.format('[npc:Subject] {npc:greet/greets} [player:object].', { npc: npcId }),
+            'She greets him.', 'Other entities alongside the player');
+
+        Game.state.jumperIdentity = null;
+        t.assertEqual(TextInterpolation.format('[jumper:subject]'), 'they', 'No identity yet');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Pronouns
+    // ============================================================
+
+    harness.runTest('Pronouns: named and custom sets override gender', (t) => {
+        const xe = { gender: 'female', pronouns: 'xe' };
+        t.assertEqual(TextInterpolation.interpolate('[a:Subject] {a:bring/brings} [a:possessive] own; it is [a:possessivePronoun].', { a: xe }),
+            'Xe brings xyr own; it is xyrs.', 'Named set wins over gender');
+        t.assertEqual(TextInterpolation.interpolate('[a:possessivepronoun] and [a:possessivePronoun]', { a: { gender: 'female' } }),
+            'hers and hers', 'Independent possessive from the gender table');
+
+        const custom = {
+            pronouns: { subject: 'vey', object: 'vem', possessive: 'vis', possessivePronoun: 'vis', reflexive: 'verself', number: 'plural' }
+        };
+        t.assertEqual(TextInterpolation.interpolate('[a:Subject] {a:wash/washes} [a:reflexive].', { a: custom }),
+            'Vey wash verself.', 'Custom table and its number');
+
+        Game.init();
+        t.assert(!Game.setCharacterPronouns(Game.state.playerId, 'nonsense'), 'Unknown set rejected');
+        t.assert(Game.setCharacterPronouns(Game.state.playerId, 'fae'), 'Named set applied');
+        t.assertEqual(TextInterpolation.format('[player:Object]'), 'Faer', 'Player uses the set');
+    });
+
+    harness.runTest('Pronouns: chosen during jumper and character creation', (t) => {
+        Game.init();
+        JumperCreation.start();
+        t.clickButton('Female');
+        t.clickButton('Ze/hir');
+        t.assertEqual(JumperCreation.pendingIdentity.pronouns, 'ze', 'Jumper set stored');
+        Game.state.jumperIdentity = { ...JumperCreation.pendingIdentity };
+        JumperCreation.reset();
+        t.assertEqual(TextInterpolation.format('[jumper:Subject] {jumper:keep/keeps} [jumper:possessive] name.'),
+            'Ze keeps hir name.', 'Jumper tokens use the chosen set');
+
+        const charId = Game.createCharacter('human', 'Ash');
+        context.CreationChoices.testPronouns = {
+            id: 'testPronouns',
+            text: 'Who?',
+            options: [{ text: 'Ey/em', impacts: [{ pronouns: 'ey' }] }]
+        };
+        try {
+            context.CharacterCreation.start(charId, ['testPronouns']);
+            t.clickButton('Ey/em');
+            t.assertEqual(Game.getCharacter(charId).pronouns, 'ey', 'Impact applied to the character');
+        } finally {
+            delete context.CreationChoices.testPronouns;
+        }
+    });
+
+    harness.runTest('Pronouns: players can type in a set of their own', (t) => {
+        const ve = { subject: ' Ve ', object: 'ver', possessive: 'vis', possessivePronoun: 'vis', reflexive: 'verself', number: 'singular' };
+
+        Game.init();
+        JumperCreation.start();
+        t.clickButton('Non-binary');
+        t.clickButton('Something else');
+        const entry = Game.view.entry;
+        t.assertEqual(entry.fields.map(field => field.id).join(','), 'subject,object,possessive,possessivePronoun,reflexive,number', 'Every form asked for');
+        t.assertEqual(entry.fields.at(-1).choices.length, 2, 'Number is a choice');
+
+        Game.submitEntry({ ...ve, reflexive: '' });
+        t.assertEqual(Game.view.entry.error, 'Fill in every form.', 'Incomplete set sent back');
+        t.assertEqual(Game.view.entry.fields[1].value, 'ver', 'Entered forms kept');
+        t.assertEqual(JumperCreation.steps[JumperCreation.currentStep].id, 'pronouns', 'Still on the step');
+
+        Game.submitEntry(ve);
+        t.assertEqual(Game.view.entry, null, 'Form closed');
+        t.assertEqual(JumperCreation.pendingIdentity.pronouns.subject, 've', 'Table stored on the identity');
+        t.assertEqual(Game.state.journal.at(-1).value.object, 'ver', 'Table recorded for replay');
+        Game.state.jumperIdentity = { ...JumperCreation.pendingIdentity };
+        JumperCreation.reset();
+        t.assertEqual(TextInterpolation.format('[jumper:Subject] {jumper:find/finds} [jumper:reflexive].'), 'Ve finds verself.', 'Jumper tokens use it');
+
+        // Acquaintances can be given one during character creation
+        const charId = Game.createCharacter('human', 'Sol');
+        context.CharacterCreation.start(charId, ['acquaintancePronouns']);
+        t.clickButton('Something else');
+        Game.submitEntry({ ...ve, subject: 'Per', object: 'per', number: 'plural' });
+        t.assertEqual(Game.getCharacter(charId).pronouns.subject, 'per', 'Table applied to the character');
+        t.assertEqual(TextInterpolation.format('[sol:Subject] {sol:wave/waves}.', { sol: charId }), 'Per wave.', 'Its number drives verbs');
+
+        t.assert(!Game.setCharacterPronouns(charId, { subject: 'xe' }), 'Incomplete table rejected');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Text Blocks
+    // ============================================================
+
+    harness.runTest('Text Blocks: conditionals follow game state', (t) => {
+        Game.init();
+        const template = '{?hasFlag:hasJob|You head to work.|You have nowhere to be.}';
+        t.assertEqual(TextInterpolation.format(template), 'You have nowhere to be.', 'Else branch');
+        Game.setFlag('hasJob');
+        t.assertEqual(TextInterpolation.format(template), 'You head to work.', 'Then branch');
+        t.assertEqual(TextInterpolation.format('{?!hasFlag:hasJob|Idle.}Done.'), 'Done.', 'Negated, no else');
+
+        Game.getPlayer().stats.money = 150;
+        t.assertEqual(TextInterpolation.format('{?stat:["money",">=",100]|[player:Subject] {player:pay/pays} [player.wallet.name|in cash].|Broke.}'),
+            'They pay in cash.', 'JSON values and nested tokens in branches');
+    });
+
+    harness.runTest('Text Blocks: variants drawn from the game RNG and plurals', (t) => {
+        Game.init(7);
+        const text = '{~Rain|Fog|Sunlight} greets you. {~{~a|b}|c}';
+        t.setRandomSequence([0.5, 0.2, 0.9]);
+        t.assertEqual(Game.interpolateText(text), 'Fog greets you. b', 'Variants drawn from the game RNG, nested ones too');
+
+        const random = Game.random;
+        let draws = 0;
+        Game.random = () => { draws++; return random(); };
+        t.assertEqual(Game.interpolateText(text), 'Fog greets you. b', 'Showing the text again shows the same variants');
+        t.assertEqual(draws, 0, 'Without drawing again');
+
+        context.Locales.en.strings['test.weather'] = '{~Rain|Fog|Sunlight}.';
+        context.Locales.es.strings['test.weather'] = '{~Lluvia|Niebla|Sol}.';
+        t.setRandomSequence([0.9]);
+        t.assertEqual(Game.interpolateText('@test.weather'), 'Sunlight.', 'Localized text draws once');
+        context.Localization.setLocale('es');
+        t.assertEqual(Game.interpolateText('@test.weather'), 'Sol.', 'The same pick in another language');
+        t.assertEqual(draws, 1, 'Switching language draws nothing');
+        context.Localization.setLocale('en');
+        delete context.Locales.en.strings['test.weather'];
+        delete context.Locales.es.strings['test.weather'];
+        Game.random = random;
+
+        Game.state.actionsRemaining = 0;
+        Game.startWeek();
+        t.assertEqual(Object.keys(Game.state.variants).length, 0, 'A new week draws afresh');
+        t.setRandomSequence([0.9]);
+        t.assertEqual(TextInterpolation.format('{~Rain|Fog|Sunlight}'), 'Sunlight', 'format draws too');
+
+        Game.getPlayer().stats.money = 1;
+        t.assertEqual(TextInterpolation.format('[player.stats.money] dollar{s}'), '1 dollar', 'Singular');
+        Game.getPlayer().stats.money = 1200;
+        t.assertEqual(TextInterpolation.format('[player.stats.money] dollar{s}, 2 part{y|ies}, 1 {person|people}'),
+            '1200 dollars, 2 parties, 1 person', 'Suffix and irregular forms');
+        t.assertEqual(TextInterpolation.format('1 box{es}, 2 match{es}'), '1 box, 2 matches', 'es suffix');
+        t.assertEqual(TextInterpolation.format('2 days with {name}'), '2 days with {name}', 'Other braced words left alone');
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Narrative Text
+    // ============================================================
+
+    harness.runTest('Narrative Text: actions and events interpolate with their targets', (t) => {
+        Game.init();
+        const samId = Game.createCharacter('human', 'Sam');
+        Game.setCharacterGender(samId, 'female');
+        Game.giveObject(Game.createObject('acquaintance', 'Sam', { targetCharId: samId, relationshipType: 'loved_one' }), Game.state.playerId);
+
+        context.Actions.testCall = {
+            id: 'testCall',
+            text: 'Call',
+            target: 'loved_one',
+            effects: [{ showText: 'You call [target.name]. [target:Subject] {target:pick/picks} up.' }]
+        };
+        context.Events.testVisit = {
+            id: 'testVisit',
+            probability: 1,
+            conditions: { hasFlag: 'testVisit' },
+            target: 'loved_one',
+            text: '[loved_one.name] knocks. {?hasFlag:testVisit|[target:Subject] {target:bring/brings} soup.}'
+        };
+        try {
+            Game.refreshDisplay();
+            t.clickButton('Call');
+            t.assertContains(t.getNarrativeText(), 'You call Sam. She picks up.', 'Action effect text');
+
+            Game.setFlag('testVisit');
+            Game.evaluateEvents();
+            t.assertContains(t.getNarrativeText(), 'Sam knocks. She brings soup.', 'Event text with acquaintance and target');
+        } finally {
+            delete context.Actions.testCall;
+            delete context.Events.testVisit;
+        }
+    });
+
+    harness.runTest('Narrative Text: option labels interpolate with their targets', (t) => {
+        Game.init();
+        const samId = Game.createCharacter('human', 'Sam');
+        Game.setCharacterGender(samId, 'male');
+        Game.giveObject(Game.createObject('acquaintance', 'Sam', { targetCharId: samId, relationshipType: 'loved_one' }), Game.state.playerId);
+
+        context.Actions.testVisit = { id: 'testVisit', text: 'Visit [target.name] at [target:possessive] place', target: 'loved_one', effects: [] };
+        context.CreationChoices.testLabel = {
+            id: 'testLabel',
+            text: 'How did it go?',
+            options: [{ text: '[target:Subject] {target:were/was} kind', impacts: [] }]
+        };
+        try {
+            Game.refreshDisplay();
+            t.assert(t.findButton('Visit Sam at his place'), 'Action label uses its target');
+
+            context.CharacterCreation.start(samId, ['testLabel']);
+            t.assert(t.findButton('He was kind'), 'Creation option uses the character being created');
+        } finally {
+            delete context.Actions.testVisit;
+            delete context.CreationChoices.testLabel;
+        }
+    });
+
+    harness.runTest('Narrative Text: missing entities warn instead of leaking', (t) => {
+        Game.init();
+        const warnings = [];
+        const originalWarn = console.warn;
+        console.warn = message => warnings.push(message);
+        try {
+            const text = Game.interpolateText('[enemy:Subject] {enemy:glare/glares} at [enemy.name]. [player:subjct]', 'rival');
+            t.assertEqual(text, 'They glare at . ', 'Neutral fallbacks');
+            t.assert(!text.includes('['), 'No tokens leak');
+            t.assertEqual(warnings.length, 5, 'One warning per problem');
+            t.assertContains(warnings[0], 'No character "rival"', 'Unresolved target reported');
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Localization
+    // ============================================================
+
+    const Localization = context.Localization;
+
+    harness.runTest('Localization: strings, plurals, fallback and number formats', (t) => {
+        try {
+            t.assertEqual(Localization.t('menu.save'), 'Save Game', 'English string');
+            t.assertEqual(Localization.t('time.minutesAgo', { count: 1 }), '1 minute ago', 'Singular form');
+            t.assertEqual(Localization.t('time.minutesAgo', { count: 5 }), '5 minutes ago', 'Plural form');
+            t.assertEqual(Localization.formatNumber(1200), '1,200', 'English grouping');
+            t.assertEqual(Localization.formatCurrency(50), '$50', 'English currency');
+
+            t.assert(!Localization.setLocale('xx'), 'Unknown locale rejected');
+            t.assert(Localization.setLocale('es'), 'Spanish selected');
+            t.assertEqual(mockLocalStorage.getItem(context.Config.localeKey), 'es', 'Choice remembered');
+            t.assertEqual(Localization.t('saves.slot', { slot: 3 }), 'Ranura 3', 'Spanish string with a parameter');
+            t.assertEqual(Localization.t('jumper.gender.title'), 'Who Are You?', 'Falls back to English');
+            t.assertEqual(Localization.formatNumber(12000), '12.000', 'Spanish grouping');
+            t.assertContains(Localization.formatCurrency(50), 'US$', 'Currency in Spanish format');
+            t.assertEqual(Localization.t('no.such.string'), 'no.such.string', 'Missing string shows its ID');
+        } finally {
+            Localization.setLocale('en');
+        }
+    });
+
+    harness.runTest('Localization: switching language reaches game text', (t) => {
+        try {
+            Game.init();
+            Localization.setLocale('es');
+            Game.state.actionsRemaining = 0;
+            Game.refreshDisplay();
+            t.assert(t.findButton('Terminar semana'), 'End week option translated');
+            t.assertEqual(Game.view.hud.time, 'Semana 1', 'HUD time translated');
+            t.assertEqual(Game.view.hud.stats.find(stat => stat.id === 'health').label, 'Salud', 'Stat label translated');
+
+            // Spanish elle takes singular verbs
+            const elle = { gender: 'nonbinary' };
+            t.assertEqual(TextInterpolation.interpolate('[c:Subject] {c:corren/corre}.', { c: elle }), 'Elle corre.', 'Locale pronoun table and number');
+            t.assertEqual(TextInterpolation.interpolate('[c:Subject] {c:corren/corre}.', { c: { pronouns: 'xe' } }), 'Xe corre.', 'Sets the locale lacks fall back');
+            t.assertEqual(Game.interpolateText('@common.continue'), 'Continuar', 'Content string reference');
+        } finally {
+            Localization.setLocale('en');
+        }
+    });
+
+    harness.runTest('Localization: a language change redraws the screen in the new language', (t) => {
+        try {
+            Game.init(5);
+            JumperCreation.start();
+            Localization.setLocale('es');
+            Game.relocalize();
+            t.assertContains(t.getNarrativeText(), '¿quién eres en el fondo?', 'Creation step shown again');
+            JumperCreation.reset();
+            Localization.setLocale('en');
+
+            Game.queueText('@common.back');
+            Game.state.actionsRemaining = 0;
+            Game.refreshDisplay();
+            const rng = Game.state.rng.state;
+            Localization.setLocale('es');
+            Game.relocalize();
+            t.assertContains(t.getNarrativeText(), 'Volver', 'Queued text interpolated again');
+            t.assert(t.findButton('Terminar semana'), 'Options shown again');
+            t.assertEqual(Game.state.rng.state, rng, 'Redrawing rolls nothing');
+
+            Game.endWeek();
+            Localization.setLocale('en');
+            Game.relocalize();
+            t.assertEqual(Game.view.pursuits.title, 'Weekly Pursuits', 'Open pursuit panel rebuilt');
+            PursuitManager.confirm(Game);
+        } finally {
+            Localization.setLocale('en');
+        }
+    });
+
+    harness.runTest('Localization: an open pursuit panel is redrawn in full', (t) => {
+        // Just enough page for BrowserRenderer.renderPursuits
+        const panel = { innerHTML: '', style: {}, querySelector: () => null, querySelectorAll: () => [] };
+        context.document = { getElementById: id => id === 'pursuit-panel' ? panel : null };
+        const code = fs.readFileSync(path.join(__dirname, '..', 'js/browser-renderer.js'), 'utf8');
+        vm.runInContext(code.replace(/^const (\w+) =/gm, '$1 ='), context);
+        Game.renderer = { render: (slot, view, game) => slot === 'pursuits' && context.BrowserRenderer.render(slot, view, game) };
+        try {
+            Game.init(5);
+            Game.state.actionsRemaining = 0;
+            Game.endWeek();
+            t.assertContains(panel.innerHTML, 'Weekly Pursuits', 'Panel drawn');
+
+            Localization.setLocale('es');
+            Game.relocalize();
+            t.assertContains(panel.innerHTML, 'Ocupaciones semanales', 'Title in the new language');
+            t.assertContains(panel.innerHTML, 'Empezar la semana', 'Button in the new language');
+            PursuitManager.confirm(Game);
+        } finally {
+            Localization.setLocale('en');
+            Game.renderer = null;
+            delete context.document;
+            delete context.BrowserRenderer;
+        }
+    });
+
+    harness.runTest('Localization: odds and the deep memory prompt follow the language', (t) => {
+        context.Actions.testClimb = {
+            id: 'testClimb',
+            text: 'Climb the wall',
+            abilityCheck: { skill: 'parkour', dice: '1d20', difficulty: 40 },
+            deepMemoryTraces: { timecop_suspicion: 10 }
+        };
+        try {
+            Game.init(1);
+            Localization.setLocale('es');
+            t.assertEqual(AbilityChecker.describeOdds({ skill: 'stealth', dice: '1d20', difficulty: 10 }, Game), '55 % (posible)', 'Odds label translated');
+            t.assertEqual(AbilityChecker.estimateOdds({ skill: 'stealth' }, Game), 'desconocida', 'Unknown odds translated');
+
+            Game.executeAction(context.Actions.testClimb);
+            const deep = Game.view.options.items[1].detail;
+            t.assertContains(deep, 'Sospecha de la policía temporal +10', 'Trace label translated');
+            t.assert(!/likely|possible|unknown/.test(deep), 'No English odds left');
+        } finally {
+            Localization.setLocale('en');
+            delete context.Actions.testClimb;
+        }
+    });
+
+    harness.runTest('Localization: verb tables, life cards and skill-ups follow the language', (t) => {
+        try {
+            Game.init(5);
+            Localization.setLocale('es');
+            const elle = { gender: 'nonbinary' };
+            t.assertEqual(TextInterpolation.interpolate('[c:Subject] {c:are/is} {c:corren/corre}.', { c: elle }),
+                'Elle es corre.', 'Listed pairs use the locale forms, others as written');
+
+            const card = Game.describeLife(Game.archiveLife());
+            t.assertContains(card.title, 'Universo 1', 'Card title translated');
+            t.assertContains(card.lines[0], 'Vivió hasta la semana', 'Card lines translated');
+            t.assertContains(Game.describeLifeEnd({ weeks: 10, end: { week: 12, scheduledWeek: 11 } }),
+                'Quedaban 2 semanas para el Fin, 1 semana más tarde de lo previsto.', 'Counted time units');
+            t.assertEqual(Game.describeSkillUps([{ skill: 'lockpicking', value: 4 }]),
+                'Tu habilidad de Forzar cerraduras subió a 4.', 'Skill-ups and skill names translated');
+
+            Localization.setLocale('en');
+            t.assertEqual(TextInterpolation.interpolate('{c:are/is}', { c: elle }), 'are', 'English pair unchanged');
+        } finally {
+            Localization.setLocale('en');
+        }
+    });
+
+    // ============================================================
+    // CONSOLIDATED: Validator
+    // ============================================================
+
+    const Validator = require('../tools/validate');
+    const problemsAt = (prefix) => Validator.validate(context)
+        .filter(problem => problem.where.startsWith(prefix))
+        .map(problem => `${problem.where}: ${problem.message}`);
+
+    harness.runTest('Validator: the shipped data has no problems', (t) => {
+        const problems = Validator.validate(context).map(problem => `${problem.where}: ${problem.message}`);
+        t.assertEqual(problems.join('\n'), '', 'No problems in data files');
+    });
+
+    harness.runTest('Validator: reports unknown keys and broken references', (t) => {
+        context.Stories.test_validate = {
+            initialChapter: 'start',
+            chapters: {
+                start: { advanceWhen: { hasFlg: 'x' }, advanceTo: 'middle', failWhen: { minWeek: 3 }, failTo: 'nowhere', successHandler: 'noSuchHandler' }
+            }
+        };
+        context.Actions.test_validate = {
+            conditions: { any: [{ stat: ['charisma', '>', 1] }, { skill: ['juggling', '>', 0] }] },
+            effects: [{ modifyStat: ['health', 1], grantWish: true }, { giveObject: { template: 'spaceship' } }],
+            abilityCheck: 'no_such_check',
+            onSuccess: { next: 'start' }
+        };
+        try {
+            const story = problemsAt('Stories.test_validate').join('\n');
+            t.assertContains(story, 'advanceWhen: Unknown condition "hasFlg"', 'Unknown condition key');
+            t.assertContains(story, 'advanceTo: Story "test_validate" has no chapter "middle"', 'Missing advanceTo chapter');
+            t.assertContains(story, 'failTo: Story "test_validate" has no chapter "nowhere"', 'Missing failTo chapter');
+            t.assertContains(story, 'Unknown handler "noSuchHandler"', 'Missing handler');
+
+            const action = problemsAt('Actions.test_validate').join('\n');
+            t.assertContains(action, 'conditions.any[0]: Unknown stat "charisma"', 'Stat in a nested condition');
+            t.assertContains(action, 'conditions.any[1]: Unknown skill "juggling"', 'Skill in a condition');
+            t.assertContains(action, 'effects[0]: Unknown effect "grantWish"', 'Unknown effect key');
+            t.assertContains(action, 'effects[1]: Unknown object type "spaceship"', 'Object type without a template');
+            t.assertContains(action, 'Unknown ability check "no_such_check"', 'Missing check reference');
+            t.assertContains(action, 'onSuccess: "next" is "start" but nothing binds it to a story', 'Unbound next');
+            t.assertEqual(problemsAt('Actions.test_validate').length, 6, 'Valid parts not reported');
+        } finally {
+            delete context.Stories.test_validate;
+            delete context.Actions.test_validate;
+        }
+    });
+
+    harness.runTest('Validator: known keys come from the engine and data files are all loaded', (t) => {
+        context.Events.test_validate = {
+            story: 'intro',
+            conditions: { all: [{ endAverted: false }, { not: { traceLevel: { timecop_suspicion: 'noticed' } } }], inChapter: { intro: 'start' } },
+            choices: [{ text: 'Go', effects: [{ addTrace: ['deepskill_use', 1] }, { triggerJump: true }], next: 'awakening' }]
+        };
+        context.Pursuits.test_validate = { weeklyEffects: [{ modifyStat: ['health', 1], max: 100 }] };
+        try {
+            t.assertEqual(problemsAt('Events.test_validate').length, 0, 'Documented conditions and effects accepted');
+            t.assertEqual(problemsAt('Pursuits.test_validate').length, 0, 'Pursuit max accepted');
+
+            context.Events.test_validate.conditions.moonPhase = 'full';
+            t.assertContains(problemsAt('Events.test_validate').join('\n'), 'Unknown condition "moonPhase"', 'Undeclared condition type');
+            context.ConditionChecker.types.push('moonPhase');
+            t.assertEqual(problemsAt('Events.test_validate').length, 0, 'Declared condition types accepted');
+            context.ConditionChecker.types.pop();
+            delete context.Events.test_validate.conditions.moonPhase;
+
+            context.Events.test_validate.choices[0].next = 'epilogue';
+            t.assertContains(problemsAt('Events.test_validate').join('\n'), 'Story "intro" has no chapter "epilogue"', 'Event next checked against its story');
+
+            t.assertEqual(Validator.findUnloadedDataFiles().length, 0, 'index.html loads every data file');
+        } finally {
+            delete context.Events.test_validate;
+            delete context.Pursuits.test_validate;
+        }
+    });
+
     // Print summary
     const success = harness.printSummary();
     process.exit(success ? 0 : 1);
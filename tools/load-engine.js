@@ -0,0 +1,79 @@
+/* The Last Jump - Engine Loader - by FrigOfFury
+ *
+ * Loads the game's data and engine scripts into a Node vm context so
+ * command-line tools can run the real engine against the current data files.
+ *
+ * Scripts are read from index.html's <script> tags, in page order, so new
+ * files only need to be added in one place. Browser-only scripts are skipped.
+ *
+ * The engine runs headless (no renderer, no document): tools read
+ * Game.view for what a player would see and drive input through
+ * Game.selectOption. Pass { renderer } to plug in a frontend.
+ *
+ * Usage:
+ *   const { loadEngine } = require('./load-engine');
+ *   const context = loadEngine();
+ *   context.Game.init(42);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Scripts that only make sense in a browser page
+const BROWSER_ONLY = ['js/main.js', 'js/browser-renderer.js', 'js/debug-panel.js', 'js/save-manager.js'];
+
+function createMemoryStorage() {
+    const data = {};
+    return {
+        getItem(key) {
+            return key in data ? data[key] : null;
+        },
+        setItem(key, value) {
+            data[key] = String(value);
+        },
+        removeItem(key) {
+            delete data[key];
+        }
+    };
+}
+
+// Script paths from index.html, in load order
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const paths = [];
+    const pattern = /<script\s+src="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (!BROWSER_ONLY.includes(match[1])) {
+            paths.push(match[1]);
+        }
+    }
+    return paths;
+}
+
+// Load every game script into a fresh context and return it
+// globals: extra globals to expose
+// options.renderer: presentation layer to register on Game
+function loadEngine(globals = {}, options = {}) {
+    const context = vm.createContext({
+        localStorage: createMemoryStorage(),
+        console,
+        ...globals
+    });
+
+    for (const file of getScriptPaths()) {
+        let code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        // Top-level consts become context properties so tools can reach them
+        code = code.replace(/^const (\w+) =/gm, '$1 =');
+        vm.runInContext(code, context, { filename: file });
+    }
+
+    if (options.renderer) context.Game.renderer = options.renderer;
+
+    return context;
+}
+
+module.exports = { loadEngine, getScriptPaths, ROOT };
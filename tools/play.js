@@ -0,0 +1,329 @@
+/* The Last Jump - Terminal Play - by FrigOfFury
+ *
+ * Plays the game in a terminal using the same engine and data files as
+ * the browser. Options are numbered; type a number to pick one.
+ *
+ * Usage:
+ *   node tools/play.js                  - new game
+ *   node tools/play.js --seed 42        - new game with a fixed seed
+ *   node tools/play.js --load 3         - continue from save slot 3 (or "autosave")
+ *   node tools/play.js --saves <dir>    - where save files live (default ./saves)
+ *
+ * Commands at the prompt:
+ *   <number>        pick an option (or a pursuit to change in the pursuit panel)
+ *   save <slot>     save to a slot
+ *   load <slot>     load a slot ("autosave" for the autosave)
+ *   saves           list save slots
+ *   lives           list past lives
+ *   journal [file]  export the input journal (replay with tools/replay.js)
+ *   language [id]   list languages, or switch to one
+ *   help, quit
+ *
+ * Input can be piped in for smoke tests; lines are echoed and the exit
+ * code is 1 if the engine threw along the way.
+ *
+ * Messages come from the engine's string tables (terminal.*), in the
+ * language picked with the language command (kept with the saves).
+ * Command names stay as listed above.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { loadEngine } = require('./load-engine');
+const {
+    createTerminalRenderer,
+    useLocalization,
+    formatNarrative,
+    formatHud,
+    formatOptions,
+    formatLifeCard,
+    formatPursuitPanel,
+    formatPursuitSetting,
+    formatEntry,
+    formatFieldChoices
+} = require('./terminal-renderer');
+
+function parseArgs(argv) {
+    const args = { seed: undefined, load: null, saves: 'saves' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--seed') {
+            args.seed = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--load') {
+            args.load = argv[++i];
+        } else if (argv[i] === '--saves') {
+            args.saves = argv[++i];
+        }
+    }
+    return args;
+}
+
+// localStorage stand-in that keeps each key in its own file
+function createFileStorage(dir) {
+    const fileFor = (key) => path.join(dir, `${key}.json`);
+    return {
+        getItem(key) {
+            return fs.existsSync(fileFor(key)) ? fs.readFileSync(fileFor(key), 'utf8') : null;
+        },
+        setItem(key, value) {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(fileFor(key), String(value));
+        },
+        removeItem(key) {
+            fs.rmSync(fileFor(key), { force: true });
+        }
+    };
+}
+
+// "autosave" or a numbered slot; null if invalid
+function parseSlot(text, Config) {
+    if (text === 'autosave') return 'autosave';
+    const slot = parseInt(text, 10);
+    return slot >= 0 && slot < Config.saveSlotCount ? slot : null;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const renderer = createTerminalRenderer();
+    const context = loadEngine({ localStorage: createFileStorage(args.saves) }, { renderer });
+    const { Game, PursuitManager, Journal, Config } = context;
+    useLocalization(context.Localization);
+    const t = (id, params) => context.Localization.t(id, params);
+
+    const width = Math.min(process.stdout.columns || 80, 100);
+    const echo = !process.stdin.isTTY;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    let pendingPrompt = null;  // Handler for a follow-up question (pursuit option, value)
+    let failed = false;
+
+    // Print whatever changed since the last input
+    function show() {
+        const changed = renderer.takeChanged();
+        if (changed.has('lifeSummary')) {
+            console.log('');
+            console.log(formatLifeCard(Game.view.lifeSummary, width));
+        }
+
+        const narrative = Game.view.narrative;
+        if (changed.has('narrative') && narrative?.paragraphs.length) {
+            console.log('');
+            console.log(formatNarrative(narrative, width));
+        }
+
+        console.log('');
+        if (Game.view.entry) {
+            console.log(formatEntry(Game.view.entry));
+            askEntry(Game.view.entry);
+        } else if (Game.view.pursuits) {
+            console.log(formatPursuitPanel(Game.view.pursuits));
+            console.log(t('terminal.pursuitPrompt'));
+        } else {
+            if (Game.view.hud) console.log(formatHud(Game.view.hud));
+            if (Game.view.options) console.log(formatOptions(Game.view.options, width));
+        }
+    }
+
+    function ask(prompt, handler) {
+        pendingPrompt = handler;
+        rl.setPrompt(prompt);
+    }
+
+    // Ask for each field of a form in turn, then submit it
+    // An empty answer keeps the field's current value
+    function askEntry(entry, values = {}, index = 0) {
+        const field = entry.fields[index];
+        if (!field) {
+            Game.submitEntry(values);
+            return;
+        }
+        if (field.choices) console.log(formatFieldChoices(field));
+        ask(`${field.label}${field.value ? ` [${field.value}]` : ''}> `, (input) => {
+            const picked = field.choices ? field.choices[parseInt(input, 10) - 1]?.value : input;
+            values[field.id] = picked || field.value;
+            askEntry(entry, values, index + 1);
+        });
+    }
+
+    function choosePursuit(number) {
+        const pursuit = Game.view.pursuits.pursuits[number - 1];
+        if (!pursuit) {
+            console.log(t('terminal.noPursuit'));
+            return;
+        }
+
+        switch (pursuit.configType) {
+            case 'toggle':
+                PursuitManager.configure(Game, pursuit.id, { enabled: !pursuit.enabled });
+                break;
+
+            case 'select':
+                console.log(`${pursuit.title}:`);
+                pursuit.options.forEach((opt, index) => {
+                    const unavailable = opt.available ? '' : ` ${t('terminal.unavailable')}`;
+                    console.log(`  ${index + 1}) ${t('pursuits.option', { title: opt.title, hours: opt.hoursCost })}${unavailable}`);
+                });
+                ask(`${t('terminal.optionPrompt')}> `, (input) => {
+                    const opt = pursuit.options[parseInt(input, 10) - 1];
+                    if (!opt || !opt.available) {
+                        console.log(t('terminal.unchanged', { setting: formatPursuitSetting(pursuit) }));
+                        return;
+                    }
+                    PursuitManager.configure(Game, pursuit.id, { option: opt.key });
+                });
+                break;
+
+            case 'number':
+                ask(`${pursuit.title} (${pursuit.min}-${pursuit.max})> `, (input) => {
+                    const value = parseFloat(input);
+                    if (isNaN(value) || value < pursuit.min || value > pursuit.max) {
+                        console.log(t('terminal.unchanged', { setting: formatPursuitSetting(pursuit) }));
+                        return;
+                    }
+                    PursuitManager.configure(Game, pursuit.id, { value });
+                });
+                break;
+
+            default:
+                console.log(t('terminal.pursuitByActions', { title: pursuit.title }));
+        }
+    }
+
+    function listSaves() {
+        for (const info of Game.getAllSaveSlots()) {
+            const detail = info.exists
+                ? [t('saves.week', { week: info.meta.week }), info.meta.characterName].filter(Boolean).join(', ')
+                : t('saves.empty');
+            console.log(`  ${info.slot}: ${detail}`);
+        }
+    }
+
+    function runCommand(command, arg) {
+        switch (command) {
+            case 'help':
+                console.log(t('terminal.help'));
+                return true;
+
+            case 'quit':
+            case 'exit':
+                rl.close();
+                return true;
+
+            case 'saves':
+                listSaves();
+                return true;
+
+            case 'save': {
+                const slot = parseSlot(arg, Config);
+                if (slot === null || slot === 'autosave') {
+                    console.log(t('terminal.saveSlots', { last: Config.saveSlotCount - 1 }));
+                } else {
+                    Game.save(slot);
+                    console.log(t('terminal.saved', { slot }));
+                }
+                return true;
+            }
+
+            case 'load': {
+                const slot = parseSlot(arg, Config);
+                if (slot === null || !Game.load(slot)) {
+                    console.log(t('terminal.nothingToLoad', { slot: arg }));
+                } else {
+                    pendingPrompt = null;
+                    Game.resumeFromLoad();
+                }
+                return true;
+            }
+
+            case 'lives': {
+                const lives = Game.state.ledger.pastLives;
+                if (lives.length === 0) console.log(t('pastLives.none'));
+                for (const life of [...lives].reverse()) {
+                    console.log(formatLifeCard(Game.describeLife(life), width));
+                }
+                return true;
+            }
+
+            case 'language': {
+                if (!arg) {
+                    for (const locale of context.Localization.getAvailableLocales()) {
+                        console.log(`  ${locale.id}: ${locale.name}`);
+                    }
+                } else if (context.Localization.setLocale(arg)) {
+                    Game.relocalize();
+                }
+                return true;
+            }
+
+            case 'journal': {
+                const file = arg || `thelastjump-journal-week${Game.state.week}.json`;
+                fs.writeFileSync(file, JSON.stringify(Journal.export(Game), null, 2));
+                console.log(t('terminal.journalWritten', { file }));
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    function handleLine(line) {
+        const input = line.trim();
+        if (echo) console.log(input);
+
+        if (pendingPrompt) {
+            const handler = pendingPrompt;
+            pendingPrompt = null;
+            rl.setPrompt('> ');
+            handler(input);
+        } else if (/^\d+$/.test(input)) {
+            const number = parseInt(input, 10);
+            if (Game.view.pursuits) {
+                choosePursuit(number);
+            } else if (!Game.selectOption(number - 1)) {
+                console.log(t('terminal.optionUnavailable'));
+            }
+        } else if (input === '' && Game.view.pursuits) {
+            PursuitManager.confirm(Game);
+        } else if (input !== '') {
+            const [command, arg] = input.split(/\s+/);
+            if (!runCommand(command.toLowerCase(), arg)) {
+                console.log(t('terminal.unknownCommand', { command }));
+            }
+        }
+    }
+
+    rl.on('line', (line) => {
+        try {
+            handleLine(line);
+        } catch (error) {
+            failed = true;
+            console.error(error.stack);
+        }
+        if (!pendingPrompt) show();
+        rl.prompt();
+    });
+
+    rl.on('close', () => {
+        console.log('');
+        process.exit(failed ? 1 : 0);
+    });
+
+    if (args.load !== null) {
+        const slot = parseSlot(args.load, Config);
+        if (slot === null || !Game.load(slot)) {
+            console.error(`${t('terminal.nothingToLoad', { slot: args.load })} (${args.saves})`);
+            process.exit(2);
+        }
+        Game.resumeFromLoad();
+    } else {
+        Game.init(args.seed);
+    }
+
+    console.log(t('terminal.help'));
+    show();
+    rl.setPrompt('> ');
+    rl.prompt();
+}
+
+main();
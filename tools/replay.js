@@ -0,0 +1,93 @@
+/* The Last Jump - Journal Replay - by FrigOfFury
+ *
+ * Rebuilds a game from a tester's journal using the current data files,
+ * then prints where it ended up. Accepts either an exported journal
+ * ({ seed, entries }) or a raw save ({ state, nextId, meta }).
+ *
+ * Usage:
+ *   node tools/replay.js <journal.json>           - replay and print a summary
+ *   node tools/replay.js <journal.json> --state   - print the full rebuilt state
+ *   node tools/replay.js <journal.json> --to 40   - stop after entry 40
+ *
+ * Exits 1 if an entry cannot be applied (e.g. an action no longer exists).
+ */
+
+const fs = require('fs');
+const { loadEngine } = require('./load-engine');
+
+function parseArgs(argv) {
+    const args = { file: null, printState: false, to: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--state') {
+            args.printState = true;
+        } else if (argv[i] === '--to') {
+            args.to = parseInt(argv[++i], 10);
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+function summarize(Game, log) {
+    const state = Game.state;
+    const player = Game.getPlayer();
+    const lines = [];
+
+    lines.push(`Seed: ${log.seed}`);
+    lines.push(`Entries replayed: ${state.journal.length}/${log.entries.length}`);
+    lines.push(`Universe: ${state.jumpCount + 1}, week ${state.week}, actions ${state.actionsRemaining}`);
+    if (player) {
+        const stats = Object.entries(player.stats).map(([k, v]) => `${k}=${v}`).join(', ');
+        lines.push(`Player: ${player.name} (${player.gender || 'no gender'}) ${stats}`);
+    }
+
+    const storylines = Object.entries(state.storylines)
+        .map(([id, s]) => `${id}:${s.currentChapter}${s.completed ? ` (${s.result})` : ''}`);
+    lines.push(`Storylines: ${storylines.join(', ') || 'none'}`);
+
+    const flags = Object.keys(state.flags).filter(f => state.flags[f]);
+    lines.push(`Flags: ${flags.join(', ') || 'none'}`);
+
+    return lines.join('\n');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: node tools/replay.js <journal-or-save.json> [--state] [--to N]');
+        process.exit(2);
+    }
+
+    const context = loadEngine();
+    const { Game, Journal } = context;
+
+    const log = Journal.fromSaveData(JSON.parse(fs.readFileSync(args.file, 'utf8')));
+    if (log.seed == null) {
+        console.error('Replay: log has no seed; it was saved before seeded randomness existed');
+        process.exit(2);
+    }
+
+    const replayLog = args.to != null
+        ? { ...log, entries: log.entries.slice(0, args.to + 1) }
+        : log;
+
+    let failed = false;
+    try {
+        Journal.replay(replayLog, Game);
+    } catch (error) {
+        failed = true;
+        console.error(`Replay failed: ${error.message}`);
+        console.error('');
+    }
+
+    console.log(summarize(Game, log));
+    if (args.printState) {
+        console.log('');
+        console.log(JSON.stringify(Game.state, null, 2));
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
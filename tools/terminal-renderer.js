@@ -0,0 +1,166 @@
+/* The Last Jump - Terminal Renderer - by FrigOfFury
+ *
+ * Turns the engine's view models into plain text for the terminal frontend
+ * (tools/play.js). See Presentation in js/game.js for the view model shapes.
+ *
+ * The renderer itself only notes which slots changed; the play loop prints
+ * them from Game.view once the engine has finished handling an input, so a
+ * narrative that is replaced mid-input is never shown (as in the browser).
+ *
+ * Labels come from the engine's string tables, so the loaded engine's
+ * Localization has to be handed over before anything is formatted.
+ *
+ * Usage:
+ *   const renderer = createTerminalRenderer();
+ *   const context = loadEngine({}, { renderer });
+ *   useLocalization(context.Localization);
+ *   ...
+ *   renderer.takeChanged();  // Set of slots presented since the last call
+ */
+
+const DEFAULT_WIDTH = 80;
+
+// The engine's Localization (see useLocalization)
+let localization = null;
+
+function useLocalization(engineLocalization) {
+    localization = engineLocalization;
+}
+
+function t(id, params) {
+    return localization.t(id, params);
+}
+
+// Drop markup the browser would render (e.g. <strong>, <br>)
+function stripTags(text) {
+    return String(text).replace(/<br\s*\/?>/g, ' ').replace(/<[^>]+>/g, '');
+}
+
+// Word-wrap a single paragraph to width, prefixing every line with indent
+function wrap(text, width = DEFAULT_WIDTH, indent = '') {
+    const words = stripTags(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = indent;
+
+    for (const word of words) {
+        if (line.length > indent.length && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = indent;
+        }
+        line += (line.length > indent.length ? ' ' : '') + word;
+    }
+    if (line.length > indent.length) lines.push(line);
+
+    return lines.join('\n');
+}
+
+function formatCost(cost) {
+    return cost ? ` ${t('options.cost', { count: cost })}` : '';
+}
+
+function formatNarrative(view, width = DEFAULT_WIDTH) {
+    return view.paragraphs.map(p => wrap(p, width)).join('\n\n');
+}
+
+function formatHud(view) {
+    const parts = [view.time, t('hud.actions', view.actions)];
+    for (const stat of view.stats) {
+        parts.push(`${stat.label}: ${stat.text ?? stat.value}`);
+    }
+    return parts.join(' | ');
+}
+
+// Numbered option list (1-based); toggles show [x]/[ ], disabled options are marked
+function formatOptions(view, width = DEFAULT_WIDTH) {
+    const lines = [];
+    if (view.status) lines.push(view.status);
+
+    view.items.forEach((item, index) => {
+        const toggle = item.selected === undefined ? '' : (item.selected ? '[x] ' : '[ ] ');
+        const unavailable = item.disabled ? ` ${t('terminal.unavailable')}` : '';
+        lines.push(`  ${index + 1}) ${toggle}${stripTags(item.text)}${formatCost(item.cost)}${unavailable}`);
+        if (item.detail) lines.push(wrap(item.detail, width, '       '));
+    });
+
+    return lines.join('\n');
+}
+
+// Life card ({ title, lines } from Game.describeLife)
+function formatLifeCard(card, width = DEFAULT_WIDTH) {
+    return [`== ${card.title} ==`, ...card.lines.map(line => wrap(line, width, '  '))].join('\n');
+}
+
+function formatPursuitSetting(pursuit) {
+    switch (pursuit.configType) {
+        case 'action':
+            return t('terminal.active', { hours: pursuit.hoursCost });
+        case 'toggle':
+            return t(pursuit.enabled ? 'terminal.on' : 'terminal.off', { hours: pursuit.hoursCost });
+        case 'select': {
+            const option = pursuit.options.find(opt => opt.key === pursuit.option);
+            return option ? t('pursuits.option', { title: option.title, hours: option.hoursCost }) : t('terminal.none');
+        }
+        case 'number':
+            return t('terminal.number', { value: pursuit.value, min: pursuit.min, max: pursuit.max, hours: pursuit.hoursCost });
+        default:
+            return '';
+    }
+}
+
+function formatPursuitPanel(view) {
+    const lines = [`== ${view.title} ==`];
+
+    view.pursuits.forEach((pursuit, index) => {
+        lines.push(`  ${index + 1}) ${pursuit.title}: ${formatPursuitSetting(pursuit)}`);
+    });
+
+    const summary = view.summary;
+    let actions = t('pursuits.actions', { count: summary.guaranteedActions });
+    if (summary.bonusChance > 0) {
+        actions += ` ${t('pursuits.bonus', { percent: Math.round(summary.bonusChance * 100) })}`;
+    }
+    const warning = summary.overBudget ? ` ${t('terminal.overBudget')}` : '';
+    lines.push(`${t('pursuits.hours', { hours: summary.hours, free: summary.freeHours })}${warning} | ${actions}`);
+
+    return lines.join('\n');
+}
+
+// Form heading, with the note from a rejected submission
+function formatEntry(view) {
+    return [`== ${view.title} ==`, ...(view.error ? [view.error] : [])].join('\n');
+}
+
+// Numbered choices for a form field that takes one of a list
+function formatFieldChoices(field) {
+    return field.choices.map((choice, index) => `  ${index + 1}) ${choice.text}`).join('\n');
+}
+
+// Renderer for Game.renderer: records which slots changed
+function createTerminalRenderer() {
+    let changed = new Set();
+    return {
+        render(slot) {
+            changed.add(slot);
+        },
+
+        takeChanged() {
+            const slots = changed;
+            changed = new Set();
+            return slots;
+        }
+    };
+}
+
+module.exports = {
+    createTerminalRenderer,
+    useLocalization,
+    formatNarrative,
+    formatHud,
+    formatOptions,
+    formatLifeCard,
+    formatPursuitPanel,
+    formatEntry,
+    formatFieldChoices,
+    formatPursuitSetting,
+    wrap
+};
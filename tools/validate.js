@@ -0,0 +1,284 @@
+/* The Last Jump - Data Validator - by FrigOfFury
+ *
+ * Loads every content file under data/ and reports references the engine
+ * would ignore or trip over at runtime:
+ *   - condition keys ConditionChecker doesn't check, effect keys EffectExecutor doesn't run
+ *   - advanceTo, failTo, next and advanceChapter pointing at missing chapters
+ *   - handler names missing from Handlers
+ *   - skills missing from SkillDefinitions (checks, conditions, effects, JumperStrategies)
+ *   - stats missing from StatDefinitions
+ *   - object types with no ObjectTemplates entry
+ *   - data files that index.html doesn't load
+ *
+ * The known condition and effect keys are the types ConditionChecker and
+ * EffectExecutor declare (ConditionChecker.types, EffectExecutor.types).
+ *
+ * Usage:
+ *   node tools/validate.js
+ *
+ * Exits 1 if any problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine, getScriptPaths, ROOT } = require('./load-engine');
+
+const OUTCOME_TIERS = ['onCrushingSuccess', 'onSuccess', 'onFailure', 'onCrushingFailure'];
+
+// Data files on disk that index.html doesn't load
+function findUnloadedDataFiles() {
+    const loaded = new Set(getScriptPaths());
+    const unloaded = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })) {
+            const file = `${dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                walk(file);
+            } else if (file.endsWith('.js') && !loaded.has(file)) {
+                unloaded.push(file);
+            }
+        }
+    };
+    walk('data');
+    return unloaded;
+}
+
+// Check the content in a loaded engine context
+// Returns [{ where, message }], empty when the data is clean
+function validate(context) {
+    const {
+        ConditionChecker, EffectExecutor, Handlers, AbilityChecks, SkillDefinitions,
+        StatDefinitions, ObjectTemplates, Stories, Events, Actions, Endings, Pursuits,
+        CreationChoices, JumperStrategies, DisplayedStats, TraceDefinitions, TimecopInvestigation
+    } = context;
+
+    const conditionKeys = new Set(ConditionChecker.types);
+    const effectKeys = new Set(EffectExecutor.types);
+    const problems = [];
+    const report = (where, message) => problems.push({ where, message });
+
+    const checkStat = (stat, where) => {
+        if (!StatDefinitions[stat]) report(where, `Unknown stat "${stat}"`);
+    };
+    const checkSkill = (skill, where) => {
+        if (!SkillDefinitions[skill]) report(where, `Unknown skill "${skill}"`);
+    };
+    const checkObjectType = (type, where) => {
+        if (!ObjectTemplates[type]) report(where, `Unknown object type "${type}"`);
+    };
+    const checkHandler = (name, where) => {
+        if (name && typeof Handlers[name] !== 'function') report(where, `Unknown handler "${name}"`);
+    };
+    const checkStory = (storyId, where) => {
+        if (!Stories[storyId]) {
+            report(where, `Unknown story "${storyId}"`);
+            return false;
+        }
+        return true;
+    };
+    const checkChapter = (storyId, chapterId, where) => {
+        if (checkStory(storyId, where) && !Stories[storyId].chapters?.[chapterId]) {
+            report(where, `Story "${storyId}" has no chapter "${chapterId}"`);
+        }
+    };
+    // A `next` advances the storyline that offered it
+    const checkNext = (next, storyId, where) => {
+        if (!next) return;
+        if (!storyId) {
+            report(where, `"next" is "${next}" but nothing binds it to a story`);
+        } else {
+            checkChapter(storyId, next, where);
+        }
+    };
+
+    function checkConditions(conditions, where) {
+        if (!conditions || typeof conditions !== 'object') return;
+        for (const [key, value] of Object.entries(conditions)) {
+            if (!conditionKeys.has(key)) {
+                report(where, `Unknown condition "${key}"`);
+                continue;
+            }
+            if (key === 'all' || key === 'any') {
+                value.forEach((sub, i) => checkConditions(sub, `${where}.${key}[${i}]`));
+            } else if (key === 'not') {
+                checkConditions(value, `${where}.not`);
+            } else if (key === 'stat') {
+                checkStat(value[0], where);
+            } else if (key === 'charStat') {
+                checkStat(value[1], where);
+            } else if (key === 'skill') {
+                checkSkill(value[0], where);
+            } else if (key === 'hasDeepSkill') {
+                [].concat(value).forEach(skill => checkSkill(skill, where));
+            } else if (key === 'traceLevel') {
+                Object.keys(value).forEach(stat => checkStat(stat, where));
+            } else if (key === 'hasObjectOfType' || key === 'playerHasObjectOfType') {
+                checkObjectType(value, where);
+            } else if (key === 'inChapter') {
+                for (const [storyId, chapterId] of Object.entries(value)) {
+                    checkChapter(storyId, chapterId, where);
+                }
+            }
+        }
+    }
+
+    // extraKeys: keys a caller strips before EffectExecutor sees them (pursuit max)
+    function checkEffects(effects, where, extraKeys = []) {
+        if (effects == null) return;
+        if (!Array.isArray(effects)) {
+            report(where, 'Effects must be an array');
+            return;
+        }
+        effects.forEach((effect, i) => {
+            const at = `${where}[${i}]`;
+            for (const [key, value] of Object.entries(effect)) {
+                if (!effectKeys.has(key) && !extraKeys.includes(key)) {
+                    report(at, `Unknown effect "${key}"`);
+                } else if (key === 'modifyStat' || key === 'setStat' || key === 'addTrace') {
+                    checkStat(value[0], at);
+                } else if (key === 'modifyCharStat') {
+                    checkStat(value[1], at);
+                } else if (key === 'modifySkill' || key === 'setSkill' || key === 'gainSkillXp') {
+                    checkSkill([].concat(value)[0], at);
+                } else if (key === 'addDeepSkill') {
+                    checkSkill(value, at);
+                } else if (key === 'giveObject') {
+                    checkObjectType(value.template, at);
+                } else if (key === 'removeObjectOfType') {
+                    checkObjectType(value, at);
+                } else if (key === 'ensurePossession') {
+                    checkObjectType(value[0], at);
+                } else if (key === 'advanceChapter') {
+                    checkChapter(value[0], value[1], at);
+                } else if (key === 'enterStory') {
+                    checkStory(value, at);
+                }
+            }
+        });
+    }
+
+    // Fields of a resolved check that name skills and stats
+    function checkCheckDefinition(check, where) {
+        if (check.skill) checkSkill(check.skill, where);
+        if (check.opposed?.skill) checkSkill(check.opposed.skill, `${where}.opposed`);
+        (check.bonuses || []).forEach((bonus, i) => checkStat(bonus.stat, `${where}.bonuses[${i}]`));
+        (check.modifiers || []).forEach((mod, i) => checkConditions(mod.condition, `${where}.modifiers[${i}].condition`));
+    }
+
+    // An abilityCheck is an AbilityChecks ID, { ref, ...overrides }, or inline
+    function checkAbilityCheck(check, where) {
+        const ref = typeof check === 'string' ? check : check.ref;
+        if (ref && !AbilityChecks[ref]) {
+            report(where, `Unknown ability check "${ref}"`);
+        }
+        if (typeof check === 'object') checkCheckDefinition(check, where);
+    }
+
+    // Actions, events and choices: conditions, effects, handler, check and its outcomes
+    function checkEntity(entity, where, storyId = null) {
+        checkConditions(entity.conditions, `${where}.conditions`);
+        checkEffects(entity.effects, `${where}.effects`);
+        checkHandler(entity.handler, where);
+        checkNext(entity.next, storyId, where);
+        if (entity.abilityCheck) checkAbilityCheck(entity.abilityCheck, `${where}.abilityCheck`);
+        for (const tier of OUTCOME_TIERS) {
+            if (!entity[tier]) continue;
+            checkEffects(entity[tier].effects, `${where}.${tier}.effects`);
+            checkNext(entity[tier].next, storyId, `${where}.${tier}`);
+        }
+        Object.keys(entity.deepMemoryTraces || {}).forEach(stat => checkStat(stat, `${where}.deepMemoryTraces`));
+        (entity.choices || []).forEach((choice, i) => checkEntity(choice, `${where}.choices[${i}]`, storyId));
+    }
+
+    for (const [storyId, story] of Object.entries(Stories)) {
+        const where = `Stories.${storyId}`;
+        if (!story.chapters?.[story.initialChapter]) {
+            report(where, `initialChapter "${story.initialChapter}" is not a chapter`);
+        }
+        for (const [chapterId, chapter] of Object.entries(story.chapters || {})) {
+            const at = `${where}.chapters.${chapterId}`;
+            checkConditions(chapter.advanceWhen, `${at}.advanceWhen`);
+            checkConditions(chapter.failWhen, `${at}.failWhen`);
+            if (chapter.advanceTo) checkChapter(storyId, chapter.advanceTo, `${at}.advanceTo`);
+            if (chapter.failTo) checkChapter(storyId, chapter.failTo, `${at}.failTo`);
+            checkEffects(chapter.successEffects, `${at}.successEffects`);
+            checkEffects(chapter.failureEffects, `${at}.failureEffects`);
+            checkHandler(chapter.successHandler, `${at}.successHandler`);
+            checkHandler(chapter.failureHandler, `${at}.failureHandler`);
+            (chapter.choices || []).forEach((choice, i) => checkEntity(choice, `${at}.choices[${i}]`, storyId));
+        }
+    }
+
+    for (const [eventId, event] of Object.entries(Events)) {
+        if (event.story) checkStory(event.story, `Events.${eventId}.story`);
+        checkEntity(event, `Events.${eventId}`, event.story || null);
+    }
+
+    for (const [actionId, action] of Object.entries(Actions)) {
+        checkEntity(action, `Actions.${actionId}`);
+    }
+
+    for (const [endingId, ending] of Object.entries(Endings)) {
+        checkConditions(ending.conditions, `Endings.${endingId}.conditions`);
+    }
+
+    for (const [pursuitId, pursuit] of Object.entries(Pursuits)) {
+        const where = `Pursuits.${pursuitId}`;
+        checkEffects(pursuit.weeklyEffects, `${where}.weeklyEffects`, ['max']);
+        checkEffects(pursuit.exitEffects, `${where}.exitEffects`);
+        checkConditions(pursuit.exitConditions, `${where}.exitConditions`);
+        if (pursuit.maxStat) checkStat(pursuit.maxStat, `${where}.maxStat`);
+        for (const [optionId, option] of Object.entries(pursuit.options || {})) {
+            checkConditions(option.requirements, `${where}.options.${optionId}.requirements`);
+            checkEffects(option.weeklyEffects, `${where}.options.${optionId}.weeklyEffects`, ['max']);
+        }
+    }
+
+    for (const [checkId, check] of Object.entries(AbilityChecks)) {
+        checkCheckDefinition(check, `AbilityChecks.${checkId}`);
+    }
+
+    for (const [strategyId, strategy] of Object.entries(JumperStrategies)) {
+        (strategy.skills || []).forEach(skill => checkSkill(skill, `JumperStrategies.${strategyId}.skills`));
+    }
+
+    for (const [choiceId, choice] of Object.entries(CreationChoices)) {
+        (choice.options || []).forEach((option, i) => {
+            (option.impacts || []).forEach((impact, j) => {
+                const at = `CreationChoices.${choiceId}.options[${i}].impacts[${j}]`;
+                if (impact.stat) checkStat(impact.stat, at);
+                if (impact.giveObject) checkObjectType(impact.giveObject.template, at);
+            });
+        });
+    }
+
+    DisplayedStats.forEach(stat => checkStat(stat, 'DisplayedStats'));
+    Object.keys(TraceDefinitions).forEach(stat => checkStat(stat, 'TraceDefinitions'));
+    Object.keys(TimecopInvestigation.traceWeights).forEach(stat => checkStat(stat, 'TimecopInvestigation.traceWeights'));
+
+    return problems;
+}
+
+function main() {
+    const problems = findUnloadedDataFiles()
+        .map(file => ({ where: file, message: 'Not loaded by index.html' }));
+    problems.push(...validate(loadEngine()));
+
+    for (const { where, message } of problems) {
+        console.log(`${where}: ${message}`);
+    }
+    if (problems.length === 0) {
+        console.log('No problems found.');
+    } else {
+        console.log('');
+        console.log(`${problems.length} problem${problems.length === 1 ? '' : 's'} found.`);
+    }
+
+    process.exit(problems.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validate, findUnloadedDataFiles };